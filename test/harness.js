@@ -0,0 +1,60 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * A tiny test runner for Node - no packages needed. Test files register their tests with test(), and run.js runs them all:
+ *
+ *     node test/run.js     (or npm test)
+ */
+
+var tests = [];
+
+/**
+ * registers a test
+ * @param {string} name
+ * @param {function} fn throws (e.g. from assert) to fail
+ * @returns {void}
+ */
+function test(name, fn) {
+    tests.push({name: name, fn: fn});
+}
+
+/**
+ * runs every test registered, printing a line for each - the process exits with 1 if any failed
+ * @returns {void}
+ */
+function run() {
+    var failed = 0;
+    for (var i = 0; i < tests.length; i++) {
+        try {
+            tests[i].fn();
+            console.log("ok " + (i + 1) + " - " + tests[i].name);
+        } catch (e) {
+            failed++;
+            console.log("not ok " + (i + 1) + " - " + tests[i].name);
+            console.log("    " + (e.stack || e.message).split("\n").join("\n    "));
+        }
+    }
+    console.log((tests.length - failed) + " of " + tests.length + " tests passed");
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+    test: test,
+    run: run
+};
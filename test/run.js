@@ -0,0 +1,30 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * runs every test file
+ */
+
+var harness = require("./harness.js");
+
+require("./tetris-core.test.js");
+require("./tetris-input.test.js");
+require("./tetris.test.js");
+require("./tetris-server.test.js");
+
+harness.run();
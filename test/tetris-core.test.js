@@ -0,0 +1,681 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Tests for the game rules in tetris-core.js - everything here runs headless
+ */
+
+var assert = require("assert");
+var core = require("../tetris-core.js");
+var puzzles = require("../tetris-puzzles.js");
+var test = require("./harness.js").test;
+
+/**
+ * an engine with a game started on it, pieces baked as soon as they land
+ * @param {object} options GameEngine options, added to {lockDelay: 0}
+ * @returns {GameEngine}
+ */
+function startGame(options) {
+    var settings = {lockDelay: 0};
+    for (var key in options) {
+        if (options.hasOwnProperty(key)) {
+            settings[key] = options[key];
+        }
+    }
+    var engine = new core.GameEngine(settings);
+    engine.init();
+    engine.start();
+    return engine;
+}
+
+/**
+ * sets up the bottom of the board, the rest empty
+ * @param {GameEngine} engine
+ * @param {array} rows the bottom rows, top to bottom - "x" is a garbage block, "." is empty
+ * @returns {void}
+ */
+function setBottomRows(engine, rows) {
+    var board = engine.gameBoard;
+    for (var y = 0; y < board.height; y++) {
+        var row = rows[y - (board.height - rows.length)] || "";
+        for (var x = 0; x < board.width; x++) {
+            board.gameBoard[x][y] = row.charAt(x) === "x" ? new core.GameBlock(core.GameBlock.GARBAGE) : 0;
+        }
+    }
+}
+
+/**
+ * reads back the bottom of the board
+ * @param {GameEngine} engine
+ * @param {int} count how many rows
+ * @returns {array} the rows, top to bottom, as setBottomRows() takes them
+ */
+function getBottomRows(engine, count) {
+    var board = engine.gameBoard, rows = [];
+    for (var y = board.height - count; y < board.height; y++) {
+        var row = "";
+        for (var x = 0; x < board.width; x++) {
+            row += board.isOccupied(x, y) ? "x" : ".";
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * puts a piece in play at a position and rotation of our choosing
+ * @param {GameEngine} engine
+ * @param {string} shape
+ * @param {int} rotation
+ * @param {int} x
+ * @param {int} y
+ * @returns {GamePiece}
+ */
+function placePiece(engine, shape, rotation, x, y) {
+    var piece = new core.GamePiece(engine, shape);
+    piece.rotation = rotation;
+    engine.spawnPiece(piece);
+    piece.position = {x: x, y: y};
+    return piece;
+}
+
+/**
+ * plays a game of the same moves every time, with the clock running in between
+ * @param {GameEngine} engine
+ * @param {int} moves how many moves to make
+ * @returns {void}
+ */
+function playMoves(engine, moves) {
+    var script = ["left", "rotate", "harddrop", "right", "right", "rotateleft", "down", "harddrop", "hold", "left", "left", "harddrop"];
+    for (var i = 0; i < moves && !engine.isGameOver; i++) {
+        engine.performAction(script[i % script.length]);
+        engine.update(16 * (i % 5));
+    }
+}
+
+test("clearLines removes full rows and drops the stack above them", function () {
+    var engine = startGame();
+    setBottomRows(engine, [
+        "x.........",
+        "xxxxxxxxxx",
+        "xx.xxxxxxx",
+        "xxxxxxxxxx"
+    ]);
+    var lines = engine.gameBoard.checkLines();
+    assert.deepStrictEqual(lines, [17, 19]);
+    engine.gameBoard.clearLines(lines);
+    assert.deepStrictEqual(getBottomRows(engine, 3), [
+        "..........",
+        "x.........",
+        "xx.xxxxxxx"
+    ]);
+    assert.strictEqual(engine.gameStats.garbageLines, 2);
+});
+
+test("a piece that can't drop any further is baked, clearing the rows it fills", function () {
+    var engine = startGame();
+    setBottomRows(engine, ["xxxxxx...."]);
+    var bakes = [];
+    engine.on("bake", function (data) {
+        bakes.push(data.lines);
+    });
+    // the i lies flat in the second row of its 4x4 box
+    engine.gamePiece = new core.GamePiece(engine, "i");
+    engine.gamePiece.position = {x: 6, y: 18};
+    assert.ok(engine.performAction("down"));
+    assert.deepStrictEqual(bakes, [[19]]);
+    assert.deepStrictEqual(getBottomRows(engine, 1), [".........."]);
+    assert.notStrictEqual(engine.gamePiece.position.y, 18);
+});
+
+test("classic scoring pays by lines times the level, and the score moves the level up", function () {
+    var engine = startGame();
+    var levels = [];
+    engine.on("levelup", function (data) {
+        levels.push(data.difficulty);
+    });
+    engine.scorePlacement({lines: 4, tspin: null, perfectClear: false});
+    assert.strictEqual(engine.gameStats.score, 1200);
+    assert.deepStrictEqual(levels, []);
+    engine.scorePlacement({lines: 1, tspin: null, perfectClear: false});
+    assert.strictEqual(engine.gameStats.score, 1240);
+    assert.deepStrictEqual(levels, [1]);
+    assert.strictEqual(engine.scorePlacement({lines: 1, tspin: null, perfectClear: false}).points, 40 * 2);
+    assert.strictEqual(engine.scorePlacement({lines: 0, tspin: null, perfectClear: false}).points, 0);
+});
+
+test("the same seed deals the same pieces", function () {
+    var a = startGame({randomizer: "tgm", seed: 99});
+    var b = startGame({randomizer: "tgm", seed: 99});
+    for (var i = 0; i < 50; i++) {
+        assert.strictEqual(a.getRandomPiece().shape, b.getRandomPiece().shape);
+    }
+});
+
+test("the bag deals every piece once before any piece repeats", function () {
+    var bag = new core.BagRandomizer(["i", "j", "l", "o", "s", "t", "z"], new core.SeededRandom(7));
+    for (var round = 0; round < 5; round++) {
+        var dealt = [];
+        for (var i = 0; i < 7; i++) {
+            dealt.push(bag.next());
+        }
+        assert.deepStrictEqual(dealt.sort(), ["i", "j", "l", "o", "s", "t", "z"]);
+    }
+});
+
+test("the hold can be used once per piece, and swaps back after a bake", function () {
+    var engine = startGame({seed: 1});
+    var first = engine.gamePiece.shape, second = engine.nextPieces[0].shape;
+    assert.ok(engine.performAction("hold"));
+    assert.strictEqual(engine.heldPiece.shape, first);
+    assert.strictEqual(engine.gamePiece.shape, second);
+    assert.ok(!engine.performAction("hold"));
+    // drop the piece until it's baked
+    var piece = engine.gamePiece;
+    while (engine.gamePiece === piece) {
+        engine.performAction("down");
+    }
+    var third = engine.gamePiece.shape;
+    assert.ok(engine.performAction("hold"));
+    assert.strictEqual(engine.gamePiece.shape, first);
+    assert.strictEqual(engine.heldPiece.shape, third);
+});
+
+test("the next queue holds previewCount pieces and moves up one at each bake", function () {
+    var engine = startGame({seed: 1, previewCount: 5});
+    var queue = engine.nextPieces.slice();
+    assert.strictEqual(queue.length, 5);
+    var piece = engine.gamePiece;
+    while (engine.gamePiece === piece) {
+        engine.performAction("down");
+    }
+    assert.strictEqual(engine.gamePiece, queue[0]);
+    assert.deepStrictEqual(engine.nextPieces.slice(0, 4), queue.slice(1));
+    assert.strictEqual(engine.nextPieces.length, 5);
+});
+
+test("a hard drop lands where the ghost is, clears the row it fills and pays for the distance", function () {
+    var engine = startGame({seed: 1});
+    setBottomRows(engine, ["xxxxxx...."]);
+    engine.gamePiece = new core.GamePiece(engine, "i");
+    engine.gamePiece.position = {x: 6, y: 0};
+    assert.strictEqual(engine.getGhostPiece().position.y, 18);
+    assert.ok(engine.performAction("harddrop"));
+    assert.deepStrictEqual(getBottomRows(engine, 1), [".........."]);
+    assert.strictEqual(engine.gameStats.score, 18 * 2 + 40);
+    assert.strictEqual(engine.gameStats.dropScore, 18 * 2);
+});
+
+test("SRS kicks a piece off the wall, the classic system refuses", function () {
+    var srs = startGame();
+    placePiece(srs, "t", 1, -1, 5);
+    assert.ok(srs.performAction("rotate"));
+    assert.strictEqual(srs.gamePiece.rotation, 2);
+    assert.deepStrictEqual(srs.gamePiece.position, {x: 0, y: 5});
+
+    var classic = startGame({rotationSystem: "classic"});
+    placePiece(classic, "t", 1, -1, 5);
+    assert.ok(!classic.performAction("rotate"));
+    assert.strictEqual(classic.gamePiece.rotation, 1);
+});
+
+test("the SRS kick tables are used for each shape", function () {
+    var engine = startGame();
+    var t = new core.GamePiece(engine, "t");
+    var i = new core.GamePiece(engine, "i");
+    var o = new core.GamePiece(engine, "o");
+    assert.deepStrictEqual(engine.getKicks(t, 1), [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]]);
+    assert.deepStrictEqual(engine.getKicks(i, 1), [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]]);
+    assert.deepStrictEqual(engine.getKicks(o, 1), [[0, 0]]);
+});
+
+test("a landed piece is baked after the lock delay, which moving restarts a limited number of times", function () {
+    var engine = startGame({seed: 1, lockDelay: 500, lockResets: 2});
+    var piece = placePiece(engine, "t", 0, 4, 18);
+    engine.update(400);
+    assert.strictEqual(engine.gamePiece, piece);
+    // a move restarts the delay
+    assert.ok(engine.performAction("left"));
+    engine.update(400);
+    assert.strictEqual(engine.gamePiece, piece);
+    engine.update(100);
+    assert.notStrictEqual(engine.gamePiece, piece);
+
+    // out of resets, the piece locks as soon as it rests again
+    piece = placePiece(engine, "t", 0, 4, 16);
+    engine.update(100);
+    assert.ok(engine.performAction("left"));
+    engine.update(100);
+    assert.ok(engine.performAction("left"));
+    engine.update(1);
+    assert.notStrictEqual(engine.gamePiece, piece);
+});
+
+test("a T rotated into a slot with 3 corners filled is a T-Spin Double", function () {
+    var engine = startGame({scoring: "guideline"});
+    var clears = [];
+    engine.on("clear", function (clear) {
+        clears.push(clear);
+    });
+    setBottomRows(engine, [
+        "...x......",
+        "xxx...xxxx",
+        "xxxx.xxxxx"
+    ]);
+    placePiece(engine, "t", 1, 3, 17);
+    assert.ok(engine.performAction("rotate"));
+    engine.performAction("harddrop");
+    assert.strictEqual(clears.length, 1);
+    assert.strictEqual(clears[0].name, "T-Spin Double");
+    assert.strictEqual(clears[0].tspin, "full");
+    assert.strictEqual(clears[0].points, 1200);
+});
+
+test("a T dropped into the same slot without rotating is no T-spin", function () {
+    var engine = startGame({scoring: "guideline"});
+    setBottomRows(engine, [
+        "xxx...xxxx",
+        "xxxx.xxxxx"
+    ]);
+    var piece = placePiece(engine, "t", 2, 3, 0);
+    assert.strictEqual(engine.detectTSpin(piece), null);
+});
+
+test("guideline scoring adds back-to-backs, combos and perfect clears", function () {
+    var engine = startGame();
+    var scoring = new core.GuidelineScoring(engine);
+    var first = scoring.scorePlacement({lines: 4, tspin: null, perfectClear: false});
+    assert.strictEqual(first.name, "Tetris");
+    assert.strictEqual(first.points, 800);
+    var second = scoring.scorePlacement({lines: 4, tspin: null, perfectClear: false});
+    assert.ok(second.backToBack);
+    assert.strictEqual(second.combo, 1);
+    assert.strictEqual(second.points, 1200 + 50);
+    // a single breaks the back-to-back but carries on the combo
+    var third = scoring.scorePlacement({lines: 1, tspin: null, perfectClear: true});
+    assert.ok(!third.backToBack);
+    assert.strictEqual(third.points, 100 + 100 + 800);
+    assert.strictEqual(scoring.scorePlacement({lines: 0, tspin: null, perfectClear: false}).combo, 0);
+});
+
+test("a recorded game plays back to the same result", function () {
+    var engine = new core.GameEngine({seed: 42, randomizer: "bag", scoring: "guideline"});
+    var recorder = new core.ReplayRecorder(engine);
+    recorder.attach();
+    engine.init();
+    engine.start();
+    playMoves(engine, 200);
+    var json = recorder.toJSON();
+
+    var other = new core.GameEngine({});
+    var player = new core.ReplayPlayer(other, json);
+    player.start();
+    player.playToEnd();
+    assert.ok(player.matchesResult());
+    assert.strictEqual(other.gameStats.score, engine.gameStats.score);
+    assert.deepStrictEqual(getBottomRows(other, 20), getBottomRows(engine, 20));
+});
+
+test("a saved game carries on exactly where it left off", function () {
+    var engine = startGame({seed: 5, randomizer: "bag", scoring: "guideline"});
+    playMoves(engine, 20);
+    var saved = JSON.parse(JSON.stringify(engine.serialize()));
+
+    var restored = new core.GameEngine({});
+    restored.init();
+    restored.restore(saved);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(restored.serialize())), saved);
+    restored.togglePause();
+
+    // the same moves from here give the same game
+    for (var i = 0; i < 6; i++) {
+        engine.performAction("harddrop");
+        restored.performAction("harddrop");
+    }
+    assert.ok(!engine.isGameOver);
+    assert.deepStrictEqual(getBottomRows(restored, 20), getBottomRows(engine, 20));
+    assert.strictEqual(restored.gameStats.score, engine.gameStats.score);
+});
+
+test("the stats count pieces, clears and key presses, but not auto-repeats", function () {
+    var engine = startGame({seed: 1});
+    setBottomRows(engine, ["x.........", "xxxxxx...."]);
+    engine.gamePiece = new core.GamePiece(engine, "i");
+    engine.gamePiece.position = {x: 6, y: 0};
+    engine.performAction("left");
+    engine.performAction("right", true);
+    engine.performAction("harddrop");
+    var stats = engine.gameStats.getSummary();
+    assert.strictEqual(stats.pieces, 1);
+    assert.strictEqual(stats.piecesByShape.i, 1);
+    assert.strictEqual(stats.singles, 1);
+    assert.strictEqual(stats.lines, 1);
+    assert.strictEqual(stats.keys, 2);
+    assert.strictEqual(stats.maxHeight, 2);
+    assert.strictEqual(stats.keysPerPiece, 2);
+});
+
+test("line leveling goes up every 10 lines from the start level, fixed leveling never does", function () {
+    var engine = startGame({leveling: "lines", startLevel: 3});
+    var levels = [];
+    engine.on("levelup", function (data) {
+        levels.push(data.difficulty);
+    });
+    assert.strictEqual(engine.difficulty, 2);
+    engine.gameStats.recordLines(9);
+    engine.gameStats.addScore(1);
+    assert.strictEqual(engine.difficulty, 2);
+    assert.deepStrictEqual(engine.leveling.getGoal(), {label: "Goal", value: 1});
+    engine.gameStats.recordLines(1);
+    engine.gameStats.addScore(1);
+    assert.strictEqual(engine.difficulty, 3);
+    // several levels at once if need be
+    engine.gameStats.recordLines(25);
+    engine.gameStats.addScore(1);
+    assert.deepStrictEqual(levels, [3, 5]);
+
+    var fixed = startGame({leveling: "fixed", startLevel: 4});
+    fixed.gameStats.recordLines(100);
+    fixed.gameStats.addScore(100000);
+    assert.strictEqual(fixed.difficulty, 3);
+    assert.strictEqual(fixed.leveling.getGoal(), null);
+
+    assert.throws(function () {
+        startGame({leveling: "sideways"});
+    }, /Unknown leveling policy: sideways/);
+});
+
+test("a sprint is complete once its lines are cleared", function () {
+    var engine = startGame({mode: "sprint", modeOptions: {lines: 2}});
+    var ends = [];
+    engine.on("gameover", function (e) {
+        ends.push(e.reason);
+    });
+    setBottomRows(engine, ["xxxxxx....", "xxxxxx...."]);
+    engine.gamePiece = new core.GamePiece(engine, "o");
+    engine.gamePiece.position = {x: 6, y: 0};
+    engine.performAction("harddrop");
+    assert.strictEqual(engine.mode.getLinesLeft(), 2);
+    engine.gamePiece = new core.GamePiece(engine, "o");
+    engine.gamePiece.position = {x: 8, y: 0};
+    engine.performAction("harddrop");
+    assert.deepStrictEqual(ends, ["complete"]);
+    assert.strictEqual(engine.endReason, "complete");
+});
+
+test("an ultra game stops when the time is up, on the dot", function () {
+    var engine = startGame({mode: "ultra", modeOptions: {time: 1000}});
+    var ends = [];
+    engine.on("gameover", function (e) {
+        ends.push(e.reason);
+    });
+    engine.update(600);
+    assert.deepStrictEqual(ends, []);
+    engine.update(600);
+    assert.deepStrictEqual(ends, ["timeup"]);
+    assert.strictEqual(engine.gameStats.time, 1000);
+});
+
+test("a dig is complete once its garbage lines are cleared", function () {
+    var engine = startGame({mode: "dig", modeOptions: {lines: 1, rows: 0, interval: 0}});
+    engine.addGarbage(1, 9);
+    assert.deepStrictEqual(getBottomRows(engine, 2), ["..........", "xxxxxxxxx."]);
+    // a standing i in the hole
+    engine.gamePiece = new core.GamePiece(engine, "i");
+    engine.gamePiece.rotation = 1;
+    engine.gamePiece.position = {x: 7, y: 0};
+    engine.performAction("harddrop");
+    assert.strictEqual(engine.gameStats.garbageLines, 1);
+    assert.strictEqual(engine.endReason, "complete");
+});
+
+test("garbage rises on the clock and after pieces that clear nothing", function () {
+    var timed = startGame({mode: "dig", modeOptions: {rows: 2, interval: 1000}});
+    assert.strictEqual(getBottomRows(timed, 2).join().replace(/[^.]/g, "").length, 2);
+    timed.update(2500);
+    assert.deepStrictEqual(getBottomRows(timed, 5).map(function (row) {
+        return row.replace(/[^.]/g, "").length;
+    }), [10, 1, 1, 1, 1]);
+
+    var counted = startGame({mode: "dig", modeOptions: {rows: 0, interval: 0, pieces: 2}});
+    var risen = 0;
+    counted.on("garbage", function (e) {
+        risen += e.rows;
+    });
+    counted.performAction("harddrop");
+    assert.strictEqual(risen, 0);
+    counted.performAction("harddrop");
+    assert.strictEqual(risen, 1);
+    assert.strictEqual(getBottomRows(counted, 1)[0].replace(/[^.]/g, "").length, 1);
+});
+
+test("versus attacks cancel the garbage waiting for the attacker, and the rest rises on the opponent", function () {
+    var players = [new core.GameEngine({lockDelay: 0}), new core.GameEngine({lockDelay: 0})];
+    var match = new core.VersusMatch(players, {seed: 1});
+    match.attach();
+    players[0].init();
+    players[1].init();
+    match.togglePause();
+    var tetris = {lines: 4, tspin: null, backToBack: false, combo: 0, perfectClear: false};
+    var double = {lines: 2, tspin: null, backToBack: false, combo: 0, perfectClear: false};
+    players[1].emit("clear", tetris);
+    assert.strictEqual(players[0].mode.getPendingRows(), 4);
+    players[0].emit("clear", double);
+    assert.strictEqual(players[0].mode.getPendingRows(), 3);
+    assert.strictEqual(players[1].mode.getPendingRows(), 0);
+    players[0].emit("clear", tetris);
+    assert.strictEqual(players[0].mode.getPendingRows(), 0);
+    assert.strictEqual(players[1].mode.getPendingRows(), 1);
+    assert.strictEqual(players[0].mode.sent, 5);
+
+    // the garbage rises after the next piece that clears nothing
+    var risen = 0;
+    players[1].on("garbage", function (e) {
+        risen += e.rows;
+    });
+    players[1].performAction("harddrop");
+    assert.strictEqual(risen, 1);
+    assert.strictEqual(players[1].mode.getPendingRows(), 0);
+
+    // the first to top out loses the round
+    players[0].endGame("topout");
+    assert.strictEqual(players[1].endReason, "win");
+    assert.deepStrictEqual(match.wins, [0, 1]);
+    assert.ok(!match.isOver());
+});
+
+test("the bot drops an i into the well for a Tetris", function () {
+    var engine = startGame({seed: 1});
+    var row = "xxxxxxxxx.";
+    setBottomRows(engine, [row, row, row, row]);
+    placePiece(engine, "i", 0, 3, 0);
+    var bot = new core.Bot(engine, {difficulty: {thinkTime: 0, moveInterval: 0, mistakes: 0, hold: false, lookahead: false}});
+    var move = bot.findBestMove();
+    assert.strictEqual(move.actions[move.actions.length - 1], "harddrop");
+    assert.ok(bot.playPiece());
+    assert.strictEqual(engine.gameStats.tetrises, 1);
+});
+
+test("the bot plays a long game without topping out, the same way every time", function () {
+    var games = [];
+    for (var i = 0; i < 2; i++) {
+        var engine = startGame({seed: 3, randomizer: "bag"});
+        new core.Bot(engine, {difficulty: "medium", seed: 1}).play(100);
+        assert.ok(!engine.isGameOver);
+        assert.strictEqual(engine.gameStats.pieces, 100);
+        games.push(getBottomRows(engine, 20));
+    }
+    assert.deepStrictEqual(games[0], games[1]);
+});
+
+test("the bot waits its think time, then moves at its own pace", function () {
+    var engine = startGame({seed: 1});
+    var bot = new core.Bot(engine, {difficulty: {thinkTime: 300, moveInterval: 100, mistakes: 0, hold: false, lookahead: false}});
+    var actions = [];
+    engine.on("action", function (e) {
+        actions.push(e.action);
+    });
+    bot.update(299);
+    assert.strictEqual(actions.length, 0);
+    bot.update(1);
+    assert.strictEqual(actions.length, 1);
+    bot.update(99);
+    assert.strictEqual(actions.length, 1);
+    bot.update(1);
+    assert.strictEqual(actions.length, 2);
+});
+
+test("the bot doesn't play a paused game", function () {
+    var engine = startGame({seed: 1});
+    var bot = new core.Bot(engine, {difficulty: "medium", seed: 1});
+    engine.togglePause();
+    assert.strictEqual(bot.playPiece(), false);
+    bot.play(10);
+    assert.strictEqual(engine.gameStats.pieces, 0);
+    engine.togglePause();
+    bot.play(10);
+    assert.strictEqual(engine.gameStats.pieces, 10);
+});
+
+test("the finesse trainer faults a piece that took more keys than it had to", function () {
+    var engine = new core.GameEngine({seed: 1, lockDelay: 0});
+    new core.FinesseTrainer(engine).attach();
+    engine.init();
+    engine.start();
+    var results = [];
+    engine.on("finesse", function (result) {
+        results.push(result);
+    });
+    // held against the wall, the repeats don't count
+    engine.spawnPiece(new core.GamePiece(engine, "o"));
+    engine.performAction("left");
+    engine.performAction("left", true);
+    engine.performAction("left", true);
+    engine.performAction("left", true);
+    engine.performAction("harddrop");
+    engine.spawnPiece(new core.GamePiece(engine, "t"));
+    engine.performAction("right");
+    engine.performAction("left");
+    engine.performAction("left");
+    engine.performAction("harddrop");
+    assert.deepStrictEqual(results.map(function (result) {
+        return [result.shape, result.keys, result.minimum, result.fault];
+    }), [["o", 1, 1, false], ["t", 3, 1, true]]);
+    assert.deepStrictEqual(results[1].actions, ["left"]);
+    assert.strictEqual(engine.gameStats.getSummary().finesseFaults, 1);
+});
+
+test("a puzzle is checked, and ends complete when its goal is met", function () {
+    var engine = new core.GameEngine({lockDelay: 0});
+    engine.init();
+    engine.loadPuzzle({version: 1, board: ["xxxxxx....".replace(/x/g, "7")], pieces: "i", goal: {type: "lines", lines: 1}});
+    engine.start();
+    engine.gamePiece.position.x = 6;
+    engine.performAction("harddrop");
+    assert.strictEqual(engine.endReason, "complete");
+
+    assert.throws(function () {
+        engine.parsePuzzle({version: 1, pieces: "q", goal: {type: "perfectclear"}});
+    }, /Invalid puzzle: unknown piece/);
+});
+
+test("a puzzle is failed when its pieces run out first", function () {
+    var engine = new core.GameEngine({lockDelay: 0});
+    engine.init();
+    engine.loadPuzzle({version: 1, board: ["xxxxxx....".replace(/x/g, "7")], pieces: "oo", goal: {type: "perfectclear"}});
+    engine.start();
+    engine.performAction("harddrop");
+    assert.ok(!engine.isGameOver);
+    engine.performAction("harddrop");
+    assert.strictEqual(engine.endReason, "outofpieces");
+});
+
+test("the example puzzles can all be played", function () {
+    var engine = new core.GameEngine({});
+    engine.init();
+    for (var i = 0; i < puzzles.length; i++) {
+        engine.loadPuzzle(puzzles[i]);
+    }
+});
+
+test("the board size, hidden rows, spawn position and gravity are options", function () {
+    var engine = startGame({width: 6, height: 8, hiddenRows: 2, spawnPosition: {x: 0, y: 1}, gravity: "guideline", startLevel: 12});
+    assert.strictEqual(engine.gameBoard.width, 6);
+    assert.strictEqual(engine.gameBoard.height, 10);
+    assert.deepStrictEqual(engine.gamePiece.position, {x: 0, y: 1});
+    assert.strictEqual(engine.getTickInterval(), 28);
+    engine.setGravity([500, 100]);
+    assert.strictEqual(engine.getTickInterval(), 100);
+    assert.throws(function () {
+        engine.setGravity("sideways");
+    }, /Unknown gravity table: sideways/);
+});
+
+test("a piece that locks wholly in the hidden rows tops out", function () {
+    var engine = startGame({height: 4, hiddenRows: 2});
+    setBottomRows(engine, [".xxxxxxxxx", ".xxxxxxxxx", ".xxxxxxxxx", ".xxxxxxxxx"]);
+    // off to the side, out of the way of the next piece
+    placePiece(engine, "o", 0, 0, 0);
+    engine.performAction("harddrop");
+    assert.strictEqual(engine.endReason, "topout");
+});
+
+test("boards must be a sane size", function () {
+    assert.throws(function () {
+        new core.GameEngine({width: 100000, height: 100000});
+    }, /Invalid board size/);
+    var engine = startGame();
+    assert.throws(function () {
+        engine.applySettings({hiddenRows: 50});
+    }, /Invalid board size/);
+    engine.applySettings({width: 12, height: 24, hiddenRows: 2});
+    engine.stop();
+    assert.strictEqual(engine.gameBoard.width, 12);
+    assert.strictEqual(engine.gameBoard.height, 26);
+});
+
+test("the tetrominoes fill the cells their SRS bitmasks describe", function () {
+    var engine = startGame();
+    assert.deepStrictEqual(engine.getShapeKeys(), ["i", "j", "l", "o", "s", "t", "z"]);
+    assert.deepStrictEqual(engine.shapes.t.cells[0], [[0, 1], [1, 0], [1, 1], [2, 1]]);
+    assert.deepStrictEqual(engine.shapes.i.cells[1], [[2, 0], [2, 1], [2, 2], [2, 3]]);
+    assert.ok(engine.shapes.t.tspin);
+});
+
+test("other piece sets can be played, and bad ones are refused", function () {
+    var engine = startGame({pieceSet: "pentominoes"});
+    assert.strictEqual(engine.getShapeKeys().length, 18);
+    assert.strictEqual(engine.getLargestPieceSize(), 5);
+    assert.ok(!engine.shapes.t.tspin);
+    new core.Bot(engine, {difficulty: "hard", seed: 1}).play(20);
+    assert.strictEqual(engine.gameStats.pieces, 20);
+
+    var custom = startGame({pieceSet: {d: {size: 2, blocks: [["##", ".."]], color: 3}}});
+    assert.deepStrictEqual(custom.shapes.d.cells[1], [[1, 0], [1, 1]]);
+
+    assert.throws(function () {
+        new core.GameEngine({pieceSet: "hexominoes"});
+    }, /Unknown piece set/);
+    assert.throws(function () {
+        new core.GameEngine({pieceSet: {a: {size: 2, blocks: [["#"]], color: 0}}});
+    }, /Invalid piece set/);
+    // 7 is for garbage - clearing it counts towards Dig
+    assert.throws(function () {
+        new core.GameEngine({pieceSet: {d: {size: 2, blocks: [["##", ".."]], color: 7}}});
+    }, /Invalid piece set: shape "d" needs a color from 0 to 6/);
+});
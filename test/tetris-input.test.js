@@ -0,0 +1,120 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Tests for the input handling in tetris-input.js - the game is a stand-in that records the actions it is sent
+ */
+
+var assert = require("assert");
+var input = require("../tetris-input.js");
+var test = require("./harness.js").test;
+
+/**
+ * a stand-in for a Game that records every action sent to it
+ * @returns {object}
+ */
+function recordingGame() {
+    return {
+        actions: [],
+        handleInput: function (action) {
+            this.actions.push(action);
+            return true;
+        }
+    };
+}
+
+/**
+ * a key event, as the browser would send it
+ * @param {int} keyCode
+ * @returns {object}
+ */
+function key(keyCode) {
+    return {keyCode: keyCode, repeat: false, preventDefault: function () {}};
+}
+
+test("a held action waits for the DAS, then repeats at the ARR", function () {
+    var game = recordingGame();
+    var repeater = new input.ActionRepeater(game, {das: 100, arr: 20});
+    repeater.press("left", "key37");
+    assert.deepStrictEqual(game.actions, ["left"]);
+    repeater.update(99);
+    assert.strictEqual(game.actions.length, 1);
+    repeater.update(1);
+    assert.strictEqual(game.actions.length, 2);
+    repeater.update(40);
+    assert.strictEqual(game.actions.length, 4);
+    repeater.release("left", "key37");
+    repeater.update(100);
+    assert.strictEqual(game.actions.length, 4);
+});
+
+test("the last direction pressed wins, and the other charges up again when it is let go", function () {
+    var game = recordingGame();
+    var repeater = new input.ActionRepeater(game, {das: 100, arr: 20});
+    repeater.press("left", "key37");
+    repeater.update(100);
+    repeater.press("right", "key39");
+    repeater.update(60);
+    assert.deepStrictEqual(game.actions, ["left", "left", "right"]);
+    repeater.release("right", "key39");
+    repeater.update(99);
+    assert.strictEqual(game.actions.length, 3);
+    repeater.update(1);
+    assert.deepStrictEqual(game.actions.slice(3), ["left"]);
+});
+
+test("only what pressed an action can release it", function () {
+    var game = recordingGame();
+    var repeater = new input.ActionRepeater(game, {das: 100, arr: 100});
+    repeater.press("left", "key37");
+    repeater.press("left", "pad14");
+    repeater.release("left", "pad14");
+    repeater.update(100);
+    assert.deepStrictEqual(game.actions, ["left", "left"]);
+});
+
+test("keys can be rebound, and actions that don't repeat fire once", function () {
+    var game = recordingGame();
+    var repeater = new input.ActionRepeater(game, {das: 100, arr: 100});
+    var keyboard = new input.KeyboardInput(repeater, {bindings: {13: "harddrop"}});
+    keyboard.rebind("left", 65);
+    assert.deepStrictEqual(keyboard.getKeysFor("left"), [65]);
+    keyboard.onKeyDown(key(13));
+    keyboard.onKeyDown(key(65));
+    repeater.update(300);
+    assert.deepStrictEqual(game.actions, ["harddrop", "left", "left", "left", "left"]);
+});
+
+test("saved keys get the default keys of actions added since, unless those keys are taken", function () {
+    // saved before "resume" and "scores" had keys, with L since taken for hold
+    var saved = {37: "left", 39: "right", 40: "down", 13: "harddrop", 38: "rotate", 90: "rotateleft", 76: "hold", 32: "pause"};
+    global.localStorage = {
+        getItem: function () {
+            return JSON.stringify(saved);
+        }
+    };
+    try {
+        var keyboard = new input.KeyboardInput(new input.ActionRepeater(recordingGame()));
+        assert.deepStrictEqual(keyboard.getKeysFor("resume"), [82]);
+        assert.deepStrictEqual(keyboard.getKeysFor("scores"), []);
+        assert.deepStrictEqual(keyboard.getKeysFor("hold"), [76]);
+        assert.deepStrictEqual(keyboard.getKeysFor("rotate"), [38]);
+    } finally {
+        delete global.localStorage;
+    }
+});
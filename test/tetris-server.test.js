@@ -0,0 +1,305 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Tests for the lobby server in tetris-server.js - the WebSocket framing and what the server lets players send each other
+ */
+
+var assert = require("assert");
+var EventEmitter = require("events").EventEmitter;
+var core = require("../tetris-core.js");
+var server = require("../tetris-server.js");
+var test = require("./harness.js").test;
+
+/**
+ * a WebSocket connection over a pretend socket, which keeps what is written to it
+ * @returns {object} {connection, socket, messages} - messages are the text messages received
+ */
+function connect() {
+    var socket = new EventEmitter();
+    socket.written = [];
+    socket.isDestroyed = false;
+    socket.write = function (data) {
+        socket.written.push(data);
+    };
+    socket.end = function () {};
+    socket.destroy = function () {
+        socket.isDestroyed = true;
+    };
+    var connection = new server.WebSocketConnection(socket);
+    var messages = [];
+    connection.onmessage = function (message) {
+        messages.push(message);
+    };
+    return {connection: connection, socket: socket, messages: messages};
+}
+
+/**
+ * a frame as a client would send it
+ * @param {int} opcode
+ * @param {boolean} fin whether it is the last frame of the message
+ * @param {string|Buffer} payload
+ * @param {boolean} isMasked clients must mask their frames - pass false to leave it off
+ * @returns {Buffer}
+ */
+function frame(opcode, fin, payload, isMasked) {
+    payload = Buffer.from(payload);
+    var head;
+    if (payload.length < 126) {
+        head = Buffer.from([(fin ? 0x80 : 0) | opcode, (isMasked ? 0x80 : 0) | payload.length]);
+    } else {
+        head = Buffer.from([(fin ? 0x80 : 0) | opcode, (isMasked ? 0x80 : 0) | 126, payload.length >> 8, payload.length & 0xFF]);
+    }
+    if (!isMasked) {
+        return Buffer.concat([head, payload]);
+    }
+    var mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    for (var i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([head, mask, payload]);
+}
+
+test("a message split over several frames comes through whole", function () {
+    var client = connect();
+    client.socket.emit("data", frame(0x1, false, "{\"type\":", true));
+    client.socket.emit("data", frame(0x0, true, "\"join\"}", true));
+    assert.deepStrictEqual(client.messages, ["{\"type\":\"join\"}"]);
+    assert.ok(client.connection.isOpen);
+});
+
+test("unmasked frames and stray continuations close the connection", function () {
+    var unmasked = connect();
+    unmasked.socket.emit("data", frame(0x1, true, "hello", false));
+    assert.ok(!unmasked.connection.isOpen);
+    assert.deepStrictEqual(unmasked.messages, []);
+
+    var stray = connect();
+    stray.socket.emit("data", frame(0x0, true, "hello", true));
+    assert.ok(!stray.connection.isOpen);
+});
+
+test("a fragmented message can't grow past the size limit", function () {
+    var client = connect();
+    var chunk = Buffer.alloc(60000, 0x20);
+    client.socket.emit("data", frame(0x1, false, chunk, true));
+    assert.ok(client.connection.isOpen);
+    client.socket.emit("data", frame(0x0, false, chunk, true));
+    assert.ok(!client.connection.isOpen);
+    assert.ok(client.socket.isDestroyed);
+});
+
+/**
+ * a player connected to a lobby, without a socket - messages go straight in and out
+ * @param {LobbyServer} lobby
+ * @returns {object} {connection, received} - received are the messages sent to the player, parsed
+ */
+function joinLobby(lobby) {
+    var received = [];
+    var connection = {
+        send: function (text) {
+            received.push(JSON.parse(text));
+        },
+        close: function () {}
+    };
+    lobby.connect(connection);
+    return {connection: connection, received: received};
+}
+
+/**
+ * sends a message to the lobby from a player
+ * @param {object} player as returned by joinLobby()
+ * @param {object} message
+ * @returns {void}
+ */
+function say(player, message) {
+    player.connection.onmessage(JSON.stringify(message));
+}
+
+/**
+ * a game joined to a lobby through a NetworkMatch - what the lobby sends back waits in received until handed to the match
+ * @param {LobbyServer} lobby
+ * @param {GameEngine} engine
+ * @returns {object} {connection, received, match}
+ */
+function joinRace(lobby, engine) {
+    var player = joinLobby(lobby);
+    player.match = new core.NetworkMatch(engine, function (message) {
+        say(player, message);
+    }, {room: "r"});
+    return player;
+}
+
+/**
+ * asks the lobby for a file - a file it refuses is answered straight away, one it serves only once read from disk
+ * @param {LobbyServer} lobby
+ * @param {string} url
+ * @returns {int|undefined} the status it was refused with, if it was
+ */
+function requestFile(lobby, url) {
+    var status;
+    lobby.serveFile({method: "GET", url: url}, {
+        writeHead: function (code) {
+            status = code;
+        },
+        end: function () {}
+    });
+    return status;
+}
+
+test("only the game's own files are served", function () {
+    var lobby = new server.LobbyServer();
+    var served = ["/", "/play.html", "/tetris-core.js", "/js/jquery-1.11.1.min.js", "/css/jquery-ui.min.css", "/tetris.mp3"];
+    for (var i = 0; i < served.length; i++) {
+        assert.strictEqual(requestFile(lobby, served[i]), undefined, served[i]);
+    }
+    var refused = ["/package.json", "/README.md", "/test/run.js", "/.git/config", "/css/.hidden.png", "/../etc/passwd",
+        "/%2e%2e/tetris.js", "/js//jquery-1.11.1.min.js", "/requests.jsonl"];
+    for (i = 0; i < refused.length; i++) {
+        assert.strictEqual(requestFile(lobby, refused[i]), 404, refused[i]);
+    }
+});
+
+test("race settings are kept to the rules the game knows", function () {
+    var lobby = new server.LobbyServer();
+    assert.deepStrictEqual(lobby.checkSettings({scoring: "guideline", previewCount: 3, junk: true}), {scoring: "guideline", previewCount: 3});
+    assert.deepStrictEqual(lobby.checkSettings(null), {});
+    assert.deepStrictEqual(lobby.checkSettings({width: 12, height: 24, hiddenRows: 2, gravity: [1000, 500], pieceSet: "pentominoes"}),
+        {width: 12, height: 24, hiddenRows: 2, gravity: [1000, 500], pieceSet: "pentominoes"});
+    var invalid = [
+        {rotationSystem: "nope"},
+        {leveling: "toString"},
+        {startLevel: "5"},
+        {previewCount: 100},
+        {width: 100000, height: 100000},
+        {spawnPosition: {x: "left"}},
+        {gravity: [-1]},
+        {pieceSet: {a: {size: 2, blocks: [["#"]], color: 0}}}
+    ];
+    for (var i = 0; i < invalid.length; i++) {
+        assert.throws(function () {
+            lobby.checkSettings(invalid[i]);
+        }, /Invalid race settings/);
+    }
+});
+
+test("board snapshots must fit the race's board", function () {
+    var lobby = new server.LobbyServer();
+    var room = {settings: {width: 4, height: 4, hiddenRows: 1}};
+    assert.ok(lobby.isValidBoard(room, ["....", "....", "....", "..5.", "7777"]));
+    assert.ok(!lobby.isValidBoard(room, [1, 2, 3, 4, 5]));
+    assert.ok(!lobby.isValidBoard(room, ["....", "....", "....", "7777"]));
+    assert.ok(!lobby.isValidBoard(room, ["....", "....", "....", "..5.", "77777"]));
+    assert.ok(!lobby.isValidBoard(room, ["....", "....", "....", "..5.", "7<77"]));
+    // before any race, the board is the usual 10x20
+    var rows = [];
+    for (var y = 0; y < 20; y++) {
+        rows.push("..........");
+    }
+    assert.ok(lobby.isValidBoard({settings: null}, rows));
+});
+
+test("a race starts for everyone in the room, and the last one standing wins", function () {
+    var lobby = new server.LobbyServer({countdown: 0});
+    var a = joinLobby(lobby), b = joinLobby(lobby);
+    say(a, {type: "join", room: "r", name: "A"});
+    say(a, {type: "start"});
+    assert.strictEqual(a.received.pop().type, "error");
+    say(b, {type: "join", room: "r", name: "B"});
+    say(b, {type: "start", settings: {scoring: "guideline"}});
+    var countdown = a.received.pop();
+    assert.strictEqual(countdown.type, "countdown");
+    assert.deepStrictEqual(b.received.pop(), countdown);
+    var rows = [];
+    for (var y = 0; y < 20; y++) {
+        rows.push("..........");
+    }
+    say(a, {type: "board", rows: rows, score: 10});
+    var before = b.received.length;
+    say(a, {type: "board", rows: ["....."], score: 20});
+    assert.strictEqual(b.received.length, before);
+    assert.strictEqual(b.received.pop().score, 10);
+    say(a, {type: "gameover"});
+    assert.deepStrictEqual(b.received.slice(-2), [{type: "gameover", id: 1, place: 2}, {type: "result", winner: 2}]);
+});
+
+test("players race through the lobby, seeing each other's boards and sending garbage across", function () {
+    var lobby = new server.LobbyServer({countdown: 1000});
+    var racers = [];
+    for (var i = 0; i < 2; i++) {
+        var engine = new core.GameEngine({lockDelay: 0});
+        engine.init();
+        racers.push(joinRace(lobby, engine));
+    }
+    racers.forEach(function (racer) {
+        racer.match.attach();
+    });
+    racers[1].match.togglePause();
+    racers.forEach(function (racer) {
+        racer.received.forEach(function (message) {
+            racer.match.receive(message);
+        });
+        racer.received.length = 0;
+        racer.match.update(1000);
+    });
+    var a = racers[0].match, b = racers[1].match;
+    assert.ok(a.isRacing && b.isRacing);
+    assert.strictEqual(a.game.seed, b.game.seed);
+
+    a.game.emit("clear", {lines: 4, tspin: null, backToBack: false, combo: 0, perfectClear: false});
+    a.game.performAction("harddrop");
+    racers[1].received.forEach(function (message) {
+        b.receive(message);
+    });
+    assert.strictEqual(b.game.mode.getPendingRows(), 4);
+    assert.deepStrictEqual(b.opponents[a.id].board.getRows(), a.game.gameBoard.getRows());
+});
+
+test("a race ignores messages from the server it can't make sense of", function () {
+    var engine = new core.GameEngine({lockDelay: 0});
+    engine.init();
+    var match = new core.NetworkMatch(engine, function () {}, {room: "r"});
+    match.attach();
+    match.receive({type: "welcome", id: 1, players: [{id: 1, name: "A"}, {id: 2, name: "B"}]});
+    match.receive({type: "players", players: "B"});
+    match.receive({type: "players", players: [null]});
+    assert.strictEqual(match.getOpponents().length, 1);
+
+    match.receive({type: "countdown", seed: 1, delay: 1000, settings: "fast"});
+    match.receive({type: "countdown", seed: 1, delay: 1000, settings: {width: 12, height: 24, rotationSystem: "nope"}});
+    assert.strictEqual(match.countdown, 0);
+    assert.strictEqual(engine.boardWidth, 10);
+    assert.strictEqual(engine.rotationSystemType, "srs");
+    match.receive({type: "countdown", seed: 1, delay: 1000, settings: {width: 12, height: 24}});
+    assert.strictEqual(match.countdown, 1000);
+    match.update(1000);
+    assert.strictEqual(engine.gameBoard.width, 12);
+
+    var rows = engine.gameBoard.getRows();
+    rows[rows.length - 1] = "777777777.7.";
+    match.receive({type: "board", id: 2, rows: ["7777"]});
+    match.receive({type: "board", id: 2, rows: rows.slice(1)});
+    assert.strictEqual(match.opponents[2].board.getStackHeight(), 0);
+    match.receive({type: "board", id: 2, rows: rows});
+    assert.strictEqual(match.opponents[2].board.getStackHeight(), 1);
+
+    match.receive(null);
+    match.receive({type: "emote", id: 2});
+    match.receive({type: "attack", rows: "lots"});
+    assert.strictEqual(engine.mode.getPendingRows(), 0);
+});
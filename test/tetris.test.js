@@ -0,0 +1,112 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Tests for the parts of the browser front-end in tetris.js that don't need a page -
+ * the scripts are run the way a page runs them, as plain globals, with an in-memory localStorage
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var test = require("./harness.js").test;
+
+/**
+ * a localStorage that keeps everything in memory
+ * @returns {object}
+ */
+function memoryStorage() {
+    var items = {};
+    return {
+        getItem: function (key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function (key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function (key) {
+            delete items[key];
+        }
+    };
+}
+
+/**
+ * runs the game's scripts in a fresh global scope, as play.html loads them
+ * @param {object} storage the localStorage to give them (default a new, empty one)
+ * @returns {object} the global scope - Game, HighScoreTable, ...
+ */
+function loadScripts(storage) {
+    var page = vm.createContext({localStorage: storage || memoryStorage()});
+    ["tetris-core.js", "tetris-input.js", "tetris.js"].forEach(function (file) {
+        var source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+        vm.runInContext(source, page, {filename: file});
+    });
+    return page;
+}
+
+test("high scores are kept best first, ties going to whoever got there first", function () {
+    var page = loadScripts();
+    var table = new page.HighScoreTable("scores", 3);
+    var marathon = new page.MarathonMode(null);
+    assert.strictEqual(table.add(marathon, {name: "A", score: 100}), 0);
+    assert.strictEqual(table.add(marathon, {name: "B", score: 300}), 0);
+    assert.strictEqual(table.add(marathon, {name: "C", score: 100}), 2);
+    assert.ok(!table.qualifies(marathon, {score: 100}));
+    assert.strictEqual(table.add(marathon, {name: "D", score: 50}), -1);
+    assert.strictEqual(table.add(marathon, {name: "E", score: 200}), 1);
+    assert.strictEqual(table.getScores(marathon).map(function (entry) {
+        return entry.name;
+    }).join(), "B,E,A");
+    assert.strictEqual(table.getScores(new page.SprintMode(null)).length, 0);
+});
+
+test("each mode has its own table, ordered its own way", function () {
+    var page = loadScripts();
+    var table = new page.HighScoreTable("scores", 10);
+    var sprint = new page.SprintMode(null, {lines: 40});
+    // an unfinished sprint doesn't count, and the fastest wins
+    assert.strictEqual(table.add(sprint, {name: "A", lines: 39, duration: 1000}), -1);
+    assert.strictEqual(table.add(sprint, {name: "B", lines: 40, duration: 90000}), 0);
+    assert.strictEqual(table.add(sprint, {name: "C", lines: 40, duration: 60000}), 0);
+    assert.strictEqual(table.getScores(new page.SprintMode(null, {lines: 20})).length, 0);
+    assert.strictEqual(table.getScores(new page.MarathonMode(null)).length, 0);
+});
+
+test("high scores are saved, and come back in a new table", function () {
+    var storage = memoryStorage();
+    var page = loadScripts(storage);
+    var marathon = new page.MarathonMode(null);
+    var table = new page.HighScoreTable("scores", 10);
+    table.lastName = "A";
+    table.add(marathon, {name: "A", score: 100});
+    var reloaded = new page.HighScoreTable("scores", 10);
+    assert.strictEqual(reloaded.getScores(marathon)[0].score, 100);
+    assert.strictEqual(reloaded.lastName, "A");
+    assert.strictEqual(new page.HighScoreTable("other", 10).getScores(marathon).length, 0);
+});
+
+test("prompts name the key bound to the action, and are left out when there is none", function () {
+    var page = loadScripts();
+    var repeater = new page.ActionRepeater({handleInput: function () {}});
+    var game = {keyboard: new page.KeyboardInput(repeater, {bindings: {32: "pause", 82: "resume"}})};
+    assert.strictEqual(page.Game.prototype.getKeyLabel.call(game, "pause"), "SPACE");
+    assert.strictEqual(page.Game.prototype.getKeyLabel.call(game, "resume"), "R");
+    assert.strictEqual(page.Game.prototype.getKeyLabel.call(game, "scores"), null);
+    assert.strictEqual(page.Game.prototype.getKeyLabel.call({keyboard: null}, "pause"), null);
+});
@@ -0,0 +1,4645 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * The game rules, with no knowledge of the DOM or the canvas
+ * Everything in this file can be run under Node (tests, bots, server validation) or in the browser,
+ * where tetris.js builds the canvas renderer and input handling on top of it
+ */
+
+/**
+ * A colored block that can be drawn
+ * @param {type} color the css color of the block
+ */
+function GameBlock(color) {
+    this.size = 20;
+    this.color = color;
+}
+
+// the color of garbage rows pushed up from the bottom of the board (see GameBoard.insertGarbage)
+GameBlock.GARBAGE = 7;
+
+
+/**
+ * Models the rules and state of a game of Tetris
+ * The engine never schedules itself - call update() with the time elapsed (or tick() to step one gravity interval)
+ * and performAction() to move the piece
+ * @param {object} options
+ *      width, height: the size of the board (in blocks), defaults to 10x20 - 4 to 40 columns and 4 to 60 rows (see GameEngine.boardLimits)
+ *      hiddenRows: rows kept above the top of the board, out of sight, for pieces to spawn into (default 0) -
+ *                  a piece that locks in them without reaching the board tops out
+ *      spawnPosition: {x, y} where pieces come into play (in blocks, counting the hidden rows) - x defaults to centered,
+ *                     y to the top row
+ *      pieceSet: the name of a set of shapes in GameEngine.pieceSets ("tetrominoes", "trominoes", "pentominoes"),
+ *                or the shape definitions themselves, keyed by shape key (see parsePieceSet) - defaults to "tetrominoes"
+ *      gravity: the name of a table in GameEngine.gravityTables ("classic", "guideline"), or an array of how long (in ms)
+ *               a piece takes to fall a row at each level - defaults to "classic"
+ *      randomizer: the name of a strategy in GameEngine.randomizers ("random", "bag", "tgm"), or a constructor - defaults to "random".
+ *                  An array of shape keys deals exactly those pieces, in that order (see SequenceRandomizer)
+ *      seed: seeds the randomizer so the piece sequence can be reproduced - every game after a reset() reuses it.
+ *            When omitted, each game picks its own seed (see this.seed)
+ *      previewCount: how many upcoming pieces are queued up and visible (default 1)
+ *      rotationSystem: the name of a kick table in GameEngine.rotationSystems ("srs", "classic") - defaults to "srs"
+ *      lockDelay: how long (in ms) a piece can rest on the stack before it is baked - defaults to 500, 0 bakes it right away
+ *      lockResets: how many times moving or rotating a resting piece restarts the lock delay - defaults to 15
+ *      scoring: the name of a scoring model in GameEngine.scoringModels ("classic", "guideline"), or a constructor - defaults to "classic"
+ *      leveling: the name of a leveling policy in GameEngine.levelingPolicies ("score", "lines", "fixed"), or a constructor - defaults to "score"
+ *      startLevel: the level every game starts at (1-10, default 1)
+ *      mode: the name of a game mode in GameEngine.gameModes ("marathon", "sprint", "ultra"), or a constructor - defaults to "marathon"
+ *      modeOptions: passed to the game mode, e.g. {lines: 40} for sprint or {time: 180000} for ultra
+ * @returns {GameEngine}
+ */
+function GameEngine(options) {
+    options = options || {};
+
+    //#region properties
+
+    // the size of the board (in blocks) - see setBoardSize
+    this.boardWidth = null;
+    this.boardHeight = null;
+    // and the rows above it, out of sight (the board itself is boardHeight + hiddenRows tall)
+    this.hiddenRows = null;
+    this.setBoardSize(options.width || 10, options.height || 20, options.hiddenRows || 0);
+    this.spawnPosition = options.spawnPosition || {};
+
+    /*
+     * The bitmask values for one GameBlock existing in all possible positions of a 4x4 grid
+     * This is used to do a bitmask AND with a shape given in hex (see GameEngine.pieceSets) using i,j indices to see if a GameBlock exists
+     * In other words, we're checking to see if i,j is occupied in the hex
+     *
+     * It's fairly clear to visualize the occupied blocks here (zero is empty), and the hex shapes are just the sums of
+     * the appropriate combination of these elements
+     *
+     * For example, the second column here show a vertical bar. The sum of (0x0800 + 0x0400 + 0x0200 + 0x0100) = 0x0F00
+     */
+    this.hexValues = [
+        [0x8000, 0x0800, 0x0080, 0x0008],
+        [0x4000, 0x0400, 0x0040, 0x0004],
+        [0x2000, 0x0200, 0x0020, 0x0002],
+        [0x1000, 0x0100, 0x0010, 0x0001]
+    ];
+
+    /* PIECE SET */
+    // the shapes in play, keyed by shape key - built from the piece set by createPieceSet()
+    this.pieceSetType = options.pieceSet || "tetrominoes";
+    this.shapes = null;
+    this.createPieceSet();
+
+
+    /* GAME STATE */
+    // the gravity interval (in ms) at each level - see setGravity
+    this.gravityType = null;
+    this.difficultyTimeouts = null;
+    this.setGravity(options.gravity || "classic");
+    this.startDifficulty = Math.min(Math.max((options.startLevel || 1) - 1, 0), this.difficultyTimeouts.length - 1);
+    this.difficulty = this.startDifficulty;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isGameOver = false;
+    this.endReason = null;      // why the game ended - "topout", or whatever ended the game mode ("complete", "timeup")
+
+    /* GRAVITY AND LOCKING */
+    this.lockDelay = options.lockDelay !== undefined ? options.lockDelay : 500;
+    this.maxLockResets = options.lockResets !== undefined ? options.lockResets : 15;
+    this.gravityTime = 0;       // ms since the piece last fell a row
+    this.lockTime = 0;          // ms the piece has been resting on the stack
+    this.lockResets = 0;        // lock delay restarts used since the piece reached its lowest row
+    this.lowestRow = 0;         // the lowest row the piece has reached
+
+    // the kick used by the last action, if it was a successful rotation - needed to spot T-spins
+    this.lastRotation = null;
+
+    /* PIECE SEQUENCE */
+    this.randomizerType = options.randomizer || "random";
+    this.seedOption = options.seed;
+    this.seed = null;
+    this.randomizer = null;
+    this.previewCount = Math.max(1, options.previewCount || 1);
+
+    /* ROTATION */
+    this.rotationSystemType = options.rotationSystem || "srs";
+    this.rotationSystem = GameEngine.rotationSystems[this.rotationSystemType];
+    if (!this.rotationSystem) {
+        throw new Error("Unknown rotation system: " + options.rotationSystem);
+    }
+
+    /* SCORE MODEL */
+    this.scoringType = options.scoring || "classic";
+    this.scoring = null;
+    this.pointsAwardedForLines = [40, 100, 300, 1200];
+    this.pointsAwardedPerRowDropped = {soft: 1, hard: 2};
+    this.scorePerLevel = [1200, 1200 * 4, 1200 * 8, 1200 * 16, 1200 * 32, 1200 * 64, 1200 * 128, 1200 * 256, 1200 * 512];
+
+    /* LEVEL PROGRESSION */
+    this.levelingType = options.leveling || "score";
+    this.leveling = null;
+
+    /* GAME MODE */
+    this.modeType = options.mode || "marathon";
+    this.modeOptions = options.modeOptions || {};
+    this.mode = null;
+
+    // the VersusMatch this engine plays in, if any
+    this.match = null;
+
+    /*
+     * the engine contains a Board, Stats, the Piece in play, the queue of "next" Pieces and the held Piece
+     */
+    this.gameBoard = null;
+    this.gameStats = null;
+    this.gamePiece = null;
+    this.nextPieces = [];
+    this.heldPiece = null;
+
+    // the hold can be used once per piece - it is available again once the piece in play is baked
+    this.canHold = true;
+
+    // callbacks registered with on(), keyed by event name
+    this.listeners = {};
+
+    //#endregion properties
+}
+
+/**
+ * registers a callback for a game event
+ * events: "start", "pause", "resume", "reset", "restore", "hold", "bake", "clear", "levelup", "gameover",
+ * and "action" ({action, performed, repeat}) and "update" ({elapsed}) for every player action and clock update that reaches the game"
+ * @param {string} eventName
+ * @param {function} callback called with the engine as "this" and the event data as the only argument
+ * @returns {void}
+ */
+GameEngine.prototype.on = function (eventName, callback) {
+    if (!this.listeners[eventName]) {
+        this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(callback);
+};
+
+/**
+ * removes a callback previously registered with on()
+ * @param {string} eventName
+ * @param {function} callback
+ * @returns {void}
+ */
+GameEngine.prototype.off = function (eventName, callback) {
+    var callbacks = this.listeners[eventName];
+    if (callbacks) {
+        var index = callbacks.indexOf(callback);
+        if (index >= 0) {
+            callbacks.splice(index, 1);
+        }
+    }
+};
+
+/**
+ * notifies every callback registered for this event
+ * @param {string} eventName
+ * @param {object} data passed along to the callbacks
+ * @returns {void}
+ */
+GameEngine.prototype.emit = function (eventName, data) {
+    var callbacks = this.listeners[eventName];
+    if (callbacks) {
+        // copy so a callback can safely remove itself
+        callbacks = callbacks.slice();
+        for (var i = 0; i < callbacks.length; i++) {
+            callbacks[i].call(this, data);
+        }
+    }
+};
+
+/**
+ * the keys of every shape in play
+ * @returns {array}
+ */
+GameEngine.prototype.getShapeKeys = function () {
+    var temp_key, keys = [];
+    for (temp_key in this.shapes) {
+        if (this.shapes.hasOwnProperty(temp_key)) {
+            keys.push(temp_key);
+        }
+    }
+    return keys;
+};
+
+/**
+ * creates a fresh randomizer for a new game, seeded with the seed option or a new random seed
+ * @returns {void}
+ */
+GameEngine.prototype.createRandomizer = function () {
+    if (this.seedOption !== undefined && this.seedOption !== null) {
+        this.seed = this.seedOption;
+    } else {
+        this.seed = Math.floor(Math.random() * 4294967296);
+    }
+
+    var Randomizer = this.randomizerType;
+    if (Array.isArray(Randomizer)) {
+        this.randomizer = new SequenceRandomizer(Randomizer);
+    } else {
+        if (typeof Randomizer !== "function") {
+            Randomizer = GameEngine.randomizers[this.randomizerType];
+            if (!Randomizer) {
+                throw new Error("Unknown randomizer: " + this.randomizerType);
+            }
+        }
+        this.randomizer = new Randomizer(this.getShapeKeys(), new SeededRandom(this.seed));
+    }
+
+    // garbage holes come from their own sequence, so rising garbage never changes the pieces dealt
+    this.garbageRandom = new SeededRandom(this.seed ^ 0x5BD1E995);
+};
+
+/**
+ * creates a fresh scoring model for a new game
+ * @returns {void}
+ */
+GameEngine.prototype.createScoring = function () {
+    var Scoring = this.scoringType;
+    if (typeof Scoring !== "function") {
+        Scoring = GameEngine.scoringModels[this.scoringType];
+        if (!Scoring) {
+            throw new Error("Unknown scoring model: " + this.scoringType);
+        }
+    }
+    this.scoring = new Scoring(this);
+};
+
+/**
+ * creates the leveling policy for a new game
+ * @returns {void}
+ */
+GameEngine.prototype.createLeveling = function () {
+    var Leveling = this.levelingType;
+    if (typeof Leveling !== "function") {
+        Leveling = GameEngine.levelingPolicies[this.levelingType];
+        if (!Leveling) {
+            throw new Error("Unknown leveling policy: " + this.levelingType);
+        }
+    }
+    this.leveling = new Leveling(this);
+};
+
+/**
+ * creates the game mode for a new game
+ * @returns {void}
+ */
+GameEngine.prototype.createMode = function () {
+    var Mode = this.modeType;
+    if (typeof Mode !== "function") {
+        Mode = GameEngine.gameModes[this.modeType];
+        if (!Mode) {
+            throw new Error("Unknown game mode: " + this.modeType);
+        }
+    }
+    this.mode = new Mode(this, this.modeOptions);
+};
+
+/**
+ * advances the difficulty as far as the leveling policy says it has come - several levels at once if need be
+ * emits "levelup" when the difficulty changes
+ * @returns {void}
+ */
+GameEngine.prototype.updateDifficulty = function () {
+    var difficulty = Math.min(this.leveling.getDifficulty(), this.difficultyTimeouts.length - 1);
+    if (difficulty > this.difficulty) {
+        this.difficulty = difficulty;
+        this.emit("levelup", {difficulty: this.difficulty});
+    }
+};
+
+/**
+ * returns a random GamePiece, as chosen by the randomizer
+ * @returns {GamePiece} or null once a fixed sequence of pieces has run out
+ */
+GameEngine.prototype.getRandomPiece = function () {
+    var shape = this.randomizer.next();
+    return shape ? new GamePiece(this, shape) : null;
+};
+
+/**
+ * tops up the queue of "next" pieces from the randomizer, as far as it has pieces to give
+ * @returns {void}
+ */
+GameEngine.prototype.fillQueue = function () {
+    while (this.nextPieces.length < this.previewCount) {
+        var piece = this.getRandomPiece();
+        if (!piece) {
+            break;
+        }
+        this.nextPieces.push(piece);
+    }
+};
+
+/**
+ * takes the first piece off the "next" queue and puts it in play
+ * the queue is topped up with a new piece
+ * if the "next" piece cannot be dropped on the board, the game is over
+ * once a fixed sequence has run out the held piece is played last, and then the game is over ("outofpieces")
+ * @returns {void}
+ */
+GameEngine.prototype.selectNextPiece = function () {
+    var piece = this.nextPieces.shift();
+    this.fillQueue();
+    if (!piece && this.heldPiece) {
+        piece = this.heldPiece;
+        this.heldPiece = null;
+    }
+    if (!piece) {
+        this.endGame("outofpieces");
+        return;
+    }
+    this.spawnPiece(piece);
+};
+
+/**
+ * puts a piece in play at the top of the board
+ * if the piece cannot be dropped on the board, the game is over - otherwise emits "spawn" with the piece
+ * @param {GamePiece} piece
+ * @returns {void}
+ */
+GameEngine.prototype.spawnPiece = function (piece) {
+    this.gamePiece = piece;
+    this.gamePiece.position = this.getSpawnPosition(piece);
+    this.gravityTime = 0;
+    this.lockTime = 0;
+    this.lockResets = 0;
+    this.lowestRow = 0;
+    this.lastRotation = null;
+    if (typeof this.mode.spawn === "function") {
+        this.mode.spawn(piece);
+    }
+    //check to see if the piece can fit.. if not, game over
+    if (!this.gameBoard.isValidMove(this.gamePiece, "down")) {
+        this.endGame("topout");
+        return;
+    }
+    this.emit("spawn", {piece: piece});
+};
+
+/**
+ * where a piece is put in play - the spawnPosition option, or at the top of the board, centered (rounding to the left)
+ * @param {GamePiece} piece
+ * @returns {object} {x, y} (in blocks)
+ */
+GameEngine.prototype.getSpawnPosition = function (piece) {
+    var spawn = this.spawnPosition;
+    return {
+        x: typeof spawn.x === "number" ? spawn.x : Math.floor((this.gameBoard.width - piece.shapeDescription.size) / 2),
+        y: typeof spawn.y === "number" ? spawn.y : 0
+    };
+};
+
+/**
+ * whether a piece lies wholly in the hidden rows, above the board
+ * @param {GamePiece} piece
+ * @returns {boolean}
+ */
+GameEngine.prototype.isAboveBoard = function (piece) {
+    var hiddenRows = this.hiddenRows;
+    return hiddenRows > 0 && piece.getCells().every(function (cell) {
+        return cell[1] < hiddenRows;
+    });
+};
+
+/**
+ * ends the game
+ * emits "gameover" with the reason and the statistics of the game
+ * @param {string} reason "topout", "outofpieces", or whatever ended the game mode ("complete", "timeup")
+ * @returns {void}
+ */
+GameEngine.prototype.endGame = function (reason) {
+    this.isGameOver = true;
+    this.isPaused = true;
+    this.endReason = reason;
+    this.emit("gameover", {reason: reason, stats: this.gameStats.getSummary()});
+};
+
+/**
+ * pushes rows of garbage up from the bottom of the board, lifting the piece in play with the stack if it has to
+ * the game is over if blocks are pushed off the top, or the piece can't be lifted clear
+ * emits "garbage" with the number of rows and the hole
+ * @param {int} rows
+ * @param {int} hole the empty column, the same for every row - or undefined for a random hole in each row
+ * @returns {void}
+ */
+GameEngine.prototype.addGarbage = function (rows, hole) {
+    if (rows <= 0 || this.isGameOver) {
+        return;
+    }
+    var overflowed = this.gameBoard.insertGarbage(rows, hole);
+    this.emit("garbage", {rows: rows, hole: hole});
+
+    var piece = this.gamePiece;
+    var stuck = false;
+    if (piece) {
+        var y = piece.position.y;
+        while (piece.position.y > y - rows && !this.gameBoard.isValidPosition(piece)) {
+            piece.position.y--;
+        }
+        stuck = !this.gameBoard.isValidPosition(piece);
+        if (stuck) {
+            piece.position.y = y;
+        }
+        this.lowestRow = Math.min(this.lowestRow, piece.position.y);
+    }
+    if (overflowed || stuck) {
+        this.endGame("topout");
+    }
+};
+
+/**
+ * replaces every block on the board - for boards set up by hand rather than by play
+ * emits "board"
+ * @param {array} rows see GameBoard.setRows
+ * @returns {void}
+ */
+GameEngine.prototype.setBoard = function (rows) {
+    this.gameBoard.setRows(rows);
+    this.emit("board", {rows: rows});
+};
+
+/**
+ * checks a puzzle (as saved by the puzzle editor) and fills in its defaults
+ * @param {object|string} puzzle the puzzle, or its JSON
+ *      version: 1
+ *      title: the name of the puzzle
+ *      width, height: the size of the board it is made for (in blocks, default 10x20)
+ *      board: the rows of blocks, as in GameBoard.getRows() - the last row is the bottom of the board, and rows left out
+ *             at the top are empty. "." is an empty cell, a digit the color of a block
+ *      pieceSet: the piece set the pieces come from (see the "pieceSet" option) - defaults to "tetrominoes"
+ *      pieces: the shape keys dealt, in order - an array, or a string such as "tiol"
+ *      goal: what solves the puzzle (see PuzzleMode)
+ * @returns {object} the puzzle, with every field filled in and the pieces as an array
+ */
+GameEngine.prototype.parsePuzzle = function (puzzle) {
+    if (typeof puzzle === "string") {
+        puzzle = JSON.parse(puzzle);
+    }
+    function fail(reason) {
+        throw new Error("Invalid puzzle: " + reason);
+    }
+    if (!puzzle || typeof puzzle !== "object") {
+        fail("not an object");
+    }
+    if (puzzle.version !== 1) {
+        fail("unsupported version " + puzzle.version);
+    }
+
+    var width = puzzle.width || 10;
+    var height = puzzle.height || 20;
+    try {
+        this.checkBoardSize(width, height, 0);
+    } catch (e) {
+        fail(e.message);
+    }
+    var board = puzzle.board || [];
+    if (!Array.isArray(board) || board.length > height) {
+        fail("the board must be a list of at most " + height + " rows");
+    }
+    for (var y = 0; y < board.length; y++) {
+        var row = board[y];
+        if (typeof row !== "string" || row.length !== width) {
+            fail("row " + (y + 1) + " is not " + width + " blocks wide");
+        }
+        if (!/^[.0-7]*$/.test(row)) {
+            fail("row " + (y + 1) + " has an unknown block");
+        }
+        if (row.indexOf(".") < 0) {
+            fail("row " + (y + 1) + " is already full");
+        }
+    }
+
+    var pieceSet = puzzle.pieceSet || "tetrominoes";
+    var shapes = null;
+    try {
+        shapes = this.parsePieceSet(pieceSet);
+    } catch (e) {
+        fail(e.message);
+    }
+    var pieces = typeof puzzle.pieces === "string" ? puzzle.pieces.split("") : puzzle.pieces;
+    if (!Array.isArray(pieces) || pieces.length === 0) {
+        fail("there are no pieces");
+    }
+    for (var i = 0; i < pieces.length; i++) {
+        if (!shapes.hasOwnProperty(pieces[i])) {
+            fail("unknown piece \"" + pieces[i] + "\"");
+        }
+    }
+
+    var goal = puzzle.goal;
+    if (!goal || PuzzleMode.goals.indexOf(goal.type) < 0) {
+        fail("unknown goal " + (goal && goal.type));
+    }
+    if (goal.type === "lines" && !(goal.lines >= 1 && goal.lines % 1 === 0)) {
+        fail("the goal needs a number of lines");
+    }
+    if (goal.type === "clear" && (typeof goal.name !== "string" || !goal.name)) {
+        fail("the goal needs the name of a clear");
+    }
+
+    return {
+        version: 1,
+        title: puzzle.title || "Puzzle",
+        width: width,
+        height: height,
+        board: board.slice(),
+        pieceSet: pieceSet,
+        pieces: pieces.slice(),
+        goal: goal
+    };
+};
+
+/**
+ * sets the engine up to play a puzzle (see parsePuzzle) - the board and goal become the mode, the pieces the randomizer,
+ * and T-spins are recognized (guideline scoring). Any game in progress is abandoned; start() begins the puzzle
+ * @param {object|string} puzzle the puzzle, or its JSON
+ * @returns {void}
+ */
+GameEngine.prototype.loadPuzzle = function (puzzle) {
+    puzzle = this.parsePuzzle(puzzle);
+    this.applySettings({
+        width: puzzle.width,
+        height: puzzle.height,
+        pieceSet: puzzle.pieceSet,
+        randomizer: puzzle.pieces,
+        scoring: "guideline",
+        leveling: "fixed",
+        mode: "puzzle",
+        modeOptions: {title: puzzle.title, board: puzzle.board, goal: puzzle.goal}
+    });
+    this.stop();
+    // show the puzzle before it starts
+    this.setBoard(this.mode.getRows());
+};
+
+/**
+ * ends the game if the game mode says it is over
+ * @returns {boolean} whether the game ended
+ */
+GameEngine.prototype.checkEnd = function () {
+    var reason = this.mode.checkEnd();
+    if (reason) {
+        this.endGame(reason);
+        return true;
+    }
+    return false;
+};
+
+/**
+ * banks the piece in play in the hold slot
+ * the previously held piece (if any) is put in play, otherwise the "next" piece is
+ * only allowed once until the piece in play is baked, and not when there is nothing left to swap it for
+ * @returns {boolean} whether the hold was used
+ */
+GameEngine.prototype.holdPiece = function () {
+    if (!this.canHold || !this.gamePiece || (!this.heldPiece && this.nextPieces.length === 0)) {
+        return false;
+    }
+    // the held piece goes back to its spawn orientation
+    var held = new GamePiece(this, this.gamePiece.shape);
+    if (this.heldPiece) {
+        this.spawnPiece(this.heldPiece);
+    } else {
+        this.selectNextPiece();
+    }
+    this.heldPiece = held;
+    this.canHold = false;
+    this.emit("hold", {piece: held});
+    return true;
+};
+
+/**
+ * determines if a GameBlock should exist at i,j given this hex value that describes the shape
+ * does a simple bitwise AND on the shape and a single position in the grid using hexValues[i][j]
+ * @param {int} i "x" index
+ * @param {int} j "y" index
+ * @param {int} shape hex value describing the shape
+ *
+ */
+GameEngine.prototype.indexContainsBlock = function (i, j, shape) {
+    // The shape contains i,j, so return true
+    // A block exists at this position in the shape because it was set in the bitmask describing the shape
+    if (this.hexValues[i][j] & shape) {
+        return true;
+    } else {
+        return false;
+    }
+};
+
+/**
+ * applies a player action to the piece in play, if the move is valid
+ * moving "down" when the piece cannot drop any further bakes it onto the board
+ * @param {string} action ['left','right','down','harddrop','rotate','rotateleft','rotate180','hold']
+ * @param {boolean} isRepeat whether the action is an auto-repeat of a held key, rather than a key press
+ * @returns {boolean} whether the action was carried out
+ */
+GameEngine.prototype.performAction = function (action, isRepeat) {
+    if (this.isPaused || !this.gamePiece) {
+        return false;
+    }
+    if (!isRepeat) {
+        this.gameStats.recordKey();
+    }
+    var performed = this.applyAction(action);
+    this.emit("action", {action: action, performed: performed, repeat: !!isRepeat});
+    return performed;
+};
+
+/**
+ * carries out a player action - see performAction
+ * @param {string} action
+ * @returns {boolean} whether the action was carried out
+ */
+GameEngine.prototype.applyAction = function (action) {
+    switch (action) {
+        case "rotate":
+            return this.rotatePiece(1) && this.resetLockDelay();
+        case "rotateleft":
+            return this.rotatePiece(-1) && this.resetLockDelay();
+        case "rotate180":
+            return this.rotatePiece(2) && this.resetLockDelay();
+        case "left":
+        case "right":
+            if (this.gameBoard.isValidMove(this.gamePiece, action)) {
+                this.gamePiece.move(action);
+                this.lastRotation = null;
+                return this.resetLockDelay();
+            }
+            break;
+        case "down":
+            if (this.gameBoard.isValidMove(this.gamePiece, "down")) {
+                this.dropPiece();
+                this.gameStats.addScore(this.pointsAwardedPerRowDropped.soft, "drop");
+                return true;
+            } else if (this.lockDelay === 0) {
+                this.gameBoard.bakePiece(this.gamePiece);
+                return true;
+            }
+            // a resting piece is left for the lock delay to bake
+            break;
+        case "harddrop":
+            this.hardDrop();
+            return true;
+        case "hold":
+            return this.holdPiece();
+    }
+    return false;
+};
+
+/**
+ * the offsets to try, in order, when the piece is rotated - the first one that fits wins
+ * @param {GamePiece} piece the piece before it is rotated
+ * @param {int} turns quarter turns clockwise [1, -1, 2]
+ * @returns {array} [x, y] offsets (in blocks, y down)
+ */
+GameEngine.prototype.getKicks = function (piece, turns) {
+    var kicks = null;
+    if (turns === 2) {
+        kicks = this.rotationSystem["180"];
+    } else {
+        var table = this.rotationSystem[piece.shapeDescription.kicks];
+        var newRotation = (piece.rotation + turns + 4) % 4;
+        kicks = table && table[piece.rotation + ">" + newRotation];
+    }
+    return kicks || [[0, 0]];
+};
+
+/**
+ * rotates the piece in play, kicking it away from walls and the stack if it would collide where it is
+ * @param {int} turns quarter turns clockwise [1, -1, 2]
+ * @returns {boolean} whether the piece could be rotated
+ */
+GameEngine.prototype.rotatePiece = function (turns) {
+    var rotation = this.findRotation(this.gamePiece, turns);
+    if (!rotation) {
+        return false;
+    }
+    this.gamePiece.rotate(turns);
+    this.gamePiece.position = rotation.piece.position;
+    this.lastRotation = {turns: turns, kick: rotation.kick};
+    return true;
+};
+
+/**
+ * works out where a piece would end up if it were rotated - the first kick that fits wins
+ * @param {GamePiece} piece left as it is
+ * @param {int} turns quarter turns clockwise [1, -1, 2]
+ * @param {GameBoard} board the board to fit it on (default the game's)
+ * @returns {object} {piece, kick} - a rotated copy of the piece and the index of the kick it took, or null if it can't rotate
+ */
+GameEngine.prototype.findRotation = function (piece, turns, board) {
+    board = board || this.gameBoard;
+    var kicks = this.getKicks(piece, turns);
+    for (var i = 0; i < kicks.length; i++) {
+        var tmpPiece = piece.clone();
+        tmpPiece.rotate(turns);
+        tmpPiece.position.x += kicks[i][0];
+        tmpPiece.position.y += kicks[i][1];
+        if (board.isValidPosition(tmpPiece)) {
+            return {piece: tmpPiece, kick: i};
+        }
+    }
+    return null;
+};
+
+/**
+ * spots a T-spin using the 3-corner rule: the T was rotated into place and at least 3 of the 4 corners
+ * around its center are filled (walls and floor count). It is a full T-spin if both corners the T points at are filled,
+ * or the rotation needed the last SRS kick - otherwise it is a mini
+ * @param {GamePiece} piece the piece about to be baked
+ * @returns {string} ['full','mini'] or null
+ */
+GameEngine.prototype.detectTSpin = function (piece) {
+    if (!piece.shapeDescription.tspin || !this.lastRotation) {
+        return null;
+    }
+    // the corners of the 3x3 box, clockwise from top left
+    var corners = [[0, 0], [2, 0], [2, 2], [0, 2]];
+    // the two corners either side of where the T points, for each rotation (up, right, down, left)
+    var front = [[0, 1], [1, 2], [2, 3], [3, 0]][piece.rotation];
+
+    var occupied = [];
+    var count = 0;
+    for (var i = 0; i < corners.length; i++) {
+        occupied[i] = this.gameBoard.isOccupied(piece.position.x + corners[i][0], piece.position.y + corners[i][1]);
+        if (occupied[i]) {
+            count++;
+        }
+    }
+    if (count < 3) {
+        return null;
+    }
+    if ((occupied[front[0]] && occupied[front[1]]) || this.lastRotation.kick === 4) {
+        return "full";
+    }
+    return "mini";
+};
+
+/**
+ * scores a piece that was just baked, adding the points to the stats
+ * emits "clear" with the classification when lines were cleared or a T-spin was made
+ * @param {object} placement {piece, lines, tspin, perfectClear} - lines is the number of lines cleared
+ * @returns {object} the classification from the scoring model - {name, lines, tspin, perfectClear, backToBack, combo, points}
+ */
+GameEngine.prototype.scorePlacement = function (placement) {
+    var clear = this.scoring.scorePlacement(placement);
+    if (clear.points > 0) {
+        this.gameStats.addScore(clear.points, "clear");
+    }
+    if (clear.lines > 0 || clear.tspin) {
+        this.emit("clear", clear);
+    }
+    return clear;
+};
+
+/**
+ * finds how many rows the piece can fall before it lands
+ * @param {GamePiece} piece
+ * @param {GameBoard} board the board it falls on (default the game's)
+ * @returns {int}
+ */
+GameEngine.prototype.getDropDistance = function (piece, board) {
+    board = board || this.gameBoard;
+    var tmpPiece = piece.clone();
+    var distance = 0;
+    while (board.isValidMove(tmpPiece, "down")) {
+        tmpPiece.move("down");
+        distance++;
+    }
+    return distance;
+};
+
+/**
+ * a copy of the piece in play, moved to where it would land - the "ghost" piece
+ * @returns {GamePiece} null when no piece is in play
+ */
+GameEngine.prototype.getGhostPiece = function () {
+    if (!this.gamePiece) {
+        return null;
+    }
+    var ghost = this.gamePiece.clone();
+    ghost.position.y += this.getDropDistance(ghost);
+    return ghost;
+};
+
+/**
+ * drops the piece in play straight down to where it lands and bakes it immediately
+ * @returns {void}
+ */
+GameEngine.prototype.hardDrop = function () {
+    var distance = this.getDropDistance(this.gamePiece);
+    this.gamePiece.position.y += distance;
+    if (distance > 0) {
+        this.lastRotation = null;
+        this.gameStats.addScore(distance * this.pointsAwardedPerRowDropped.hard, "drop");
+    }
+    this.gameBoard.bakePiece(this.gamePiece);
+};
+
+/**
+ * every placement a piece can reach from where it is by shifting and rotating (with kicks) at that height, then dropping
+ * straight down - each with the fewest key presses that get it there, holding a direction to slide it all the way (DAS) counting as one.
+ * Placements that fill the same cells are only counted once. Tucks and spins under the stack are left out
+ * @param {GamePiece} piece left as it is
+ * @param {GameBoard} board (default the game's)
+ * @returns {array} [{piece, cells, actions, keys}] - the piece as it would land, the cells it would fill (see GamePiece.getCells),
+ *      the actions that put it there before the drop (an auto-repeat has "+" in front, as in a replay) and how many keys they take
+ */
+GameEngine.prototype.findPlacements = function (piece, board) {
+    board = board || this.gameBoard;
+    var rotations = [[1, "rotate"], [-1, "rotateleft"], [2, "rotate180"]];
+    var directions = ["left", "right"];
+    var placements = [];
+    var reached = {};
+    var visited = {};
+    var getKey = function (piece) {
+        return piece.rotation + "," + piece.position.x + "," + piece.position.y;
+    };
+
+    // breadth first, so every position is found with the fewest key presses
+    var queue = [{piece: piece.clone(), actions: [], keys: 0}];
+    visited[getKey(piece)] = true;
+    while (queue.length > 0) {
+        var state = queue.shift();
+
+        var landed = state.piece.clone();
+        landed.position.y += this.getDropDistance(landed, board);
+        var cells = landed.getCells();
+        var cellsKey = cells.join(" ");
+        if (!reached[cellsKey]) {
+            reached[cellsKey] = true;
+            placements.push({piece: landed, cells: cells, actions: state.actions, keys: state.keys});
+        }
+
+        // every move from here is one more key press
+        var moves = [];
+        for (var i = 0; i < rotations.length; i++) {
+            var rotation = this.findRotation(state.piece, rotations[i][0], board);
+            if (rotation) {
+                moves.push({piece: rotation.piece, actions: [rotations[i][1]]});
+            }
+        }
+        for (var j = 0; j < directions.length; j++) {
+            var moved = state.piece.clone();
+            var actions = [];
+            while (board.isValidMove(moved, directions[j])) {
+                moved.move(directions[j]);
+                actions.push(actions.length === 0 ? directions[j] : "+" + directions[j]);
+                if (actions.length === 1) {
+                    moves.push({piece: moved.clone(), actions: actions.slice()});
+                }
+            }
+            if (actions.length > 1) {
+                moves.push({piece: moved, actions: actions});
+            }
+        }
+
+        for (var k = 0; k < moves.length; k++) {
+            var key = getKey(moves[k].piece);
+            if (!visited[key]) {
+                visited[key] = true;
+                queue.push({piece: moves[k].piece, actions: state.actions.concat(moves[k].actions), keys: state.keys + 1});
+            }
+        }
+    }
+    return placements;
+};
+
+/**
+ * determines if the piece in play is resting on the stack (or the floor)
+ * @returns {boolean}
+ */
+GameEngine.prototype.isGrounded = function () {
+    return !this.gameBoard.isValidMove(this.gamePiece, "down");
+};
+
+/**
+ * moves the piece in play down one row - the caller has checked the move is valid
+ * reaching a new lowest row gives the piece a fresh set of lock delay resets
+ * @returns {void}
+ */
+GameEngine.prototype.dropPiece = function () {
+    this.gamePiece.move("down");
+    this.lastRotation = null;
+    this.gravityTime = 0;
+    this.lockTime = 0;
+    if (this.gamePiece.position.y > this.lowestRow) {
+        this.lowestRow = this.gamePiece.position.y;
+        this.lockResets = 0;
+    }
+};
+
+/**
+ * restarts the lock delay after the piece in play was moved or rotated while resting on the stack,
+ * unless it has run out of resets
+ * @returns {boolean} always true, so it can be chained after a successful move
+ */
+GameEngine.prototype.resetLockDelay = function () {
+    if (this.lockTime > 0 && this.lockResets < this.maxLockResets) {
+        this.lockTime = 0;
+        this.lockResets++;
+    }
+    return true;
+};
+
+/**
+ * advances the game clock - drops the piece down as gravity dictates,
+ * or bakes it onto the board once it has rested on the stack for the lock delay
+ * does nothing unless the game is running
+ * @param {int} elapsed the time that has passed (in ms)
+ * @returns {void}
+ */
+GameEngine.prototype.update = function (elapsed) {
+    if (!this.isRunning || this.isPaused || !this.gamePiece) {
+        return;
+    }
+    this.emit("update", {elapsed: elapsed});
+
+    // a timed game stops on the dot
+    var timeLimit = this.mode.getTimeLimit();
+    if (timeLimit !== null) {
+        elapsed = Math.min(elapsed, timeLimit - this.gameStats.time);
+    }
+    this.gameStats.time += elapsed;
+    if (this.checkEnd()) {
+        return;
+    }
+    if (typeof this.mode.update === "function") {
+        this.mode.update(elapsed);
+        if (this.isGameOver) {
+            return;
+        }
+    }
+
+    if (this.isGrounded()) {
+        this.gravityTime = 0;
+        this.lockTime += elapsed;
+        // out of resets, the piece locks as soon as it touches down again
+        if (this.lockTime >= this.lockDelay || this.lockResets >= this.maxLockResets) {
+            this.gameBoard.bakePiece(this.gamePiece);
+        }
+        return;
+    }
+
+    //Move the gamePiece down 1 for every gravity interval that has passed
+    this.gravityTime += elapsed;
+    var interval = this.getTickInterval();
+    while (this.gravityTime >= interval && !this.isGrounded()) {
+        this.gravityTime -= interval;
+        this.dropPiece();
+    }
+};
+
+/**
+ * handles a game tick - advances the clock by one gravity interval,
+ * dropping the piece down or baking it onto the board if it has been resting for the lock delay
+ * @returns {void}
+ */
+GameEngine.prototype.tick = function () {
+    this.update(this.getTickInterval());
+};
+
+/**
+ * the time between gravity drops (in ms) for the current difficulty
+ * @returns {int}
+ */
+GameEngine.prototype.getTickInterval = function () {
+    return this.difficultyTimeouts[Math.min(this.difficulty, this.difficultyTimeouts.length - 1)];
+};
+
+/**
+ * changes how fast pieces fall at each level - the table's length is the highest level
+ * @param {string|array} gravity the name of a table in GameEngine.gravityTables, or the intervals (in ms) from level 1 up
+ * @returns {void}
+ */
+GameEngine.prototype.setGravity = function (gravity) {
+    var table = typeof gravity === "string" ? GameEngine.gravityTables[gravity] : gravity;
+    if (!Array.isArray(table) || table.length === 0) {
+        throw new Error("Unknown gravity table: " + gravity);
+    }
+    this.gravityType = typeof gravity === "string" ? gravity : gravity.slice();
+    this.difficultyTimeouts = table.slice();
+    if (this.startDifficulty !== undefined) {
+        this.startDifficulty = Math.min(this.startDifficulty, table.length - 1);
+    }
+};
+
+/**
+ * builds the shapes of the piece set chosen for the next game (see parsePieceSet)
+ * @returns {void}
+ */
+GameEngine.prototype.createPieceSet = function () {
+    this.shapes = this.parsePieceSet(this.pieceSetType);
+};
+
+/**
+ * checks a piece set and works out which cells each shape fills in each of its rotation states
+ * throws "Unknown piece set: ..." or "Invalid piece set: ..." if it can't be played
+ * @param {string|object} pieceSet the name of a set in GameEngine.pieceSets, or shape definitions keyed by shape key (a single character):
+ *      size: the shape is laid out in a size x size box, and turns within it
+ *      blocks: its rotation states, clockwise from the spawn orientation - each a list of size row strings, top first ("." is empty),
+ *              or a 4x4 "bitmask" in hex. States left out are made by turning the last one given
+ *      color: the color index of its blocks (0-6, see Game.colors - 7 is GameBlock.GARBAGE)
+ *      kicks: the kick table it rotates with (see rotationSystems) - defaults to "jlstz", null for none
+ *      name: what it is called in the stats - defaults to the key, in capitals
+ *      tspin: whether it is the T that T-spins are spotted for (it must be 3x3, see detectTSpin)
+ * @returns {object} {key: {size, cells, color, kicks, name, tspin}} - cells are the [x, y] cells filled in each rotation state
+ */
+GameEngine.prototype.parsePieceSet = function (pieceSet) {
+    var definitions = typeof pieceSet === "string" ? GameEngine.pieceSets[pieceSet] : pieceSet;
+    if (!definitions || typeof definitions !== "object" || Array.isArray(definitions)) {
+        throw new Error("Unknown piece set: " + pieceSet);
+    }
+    function fail(key, reason) {
+        throw new Error("Invalid piece set: shape \"" + key + "\" " + reason);
+    }
+
+    var shapes = {};
+    var count = 0;
+    for (var key in definitions) {
+        if (!definitions.hasOwnProperty(key)) {
+            continue;
+        }
+        var definition = definitions[key] || {};
+        var size = definition.size;
+        if (key.length !== 1) {
+            fail(key, "needs a single character key");
+        }
+        if (!(size >= 1 && size % 1 === 0)) {
+            fail(key, "needs a size");
+        }
+        if (!(definition.color >= 0 && definition.color < GameBlock.GARBAGE && definition.color % 1 === 0)) {
+            fail(key, "needs a color from 0 to 6");
+        }
+        if (!Array.isArray(definition.blocks) || definition.blocks.length < 1 || definition.blocks.length > 4) {
+            fail(key, "needs 1 to 4 rotation states");
+        }
+        if (definition.tspin && size !== 3) {
+            fail(key, "can only be a T if it is 3x3");
+        }
+
+        var cells = [];
+        for (var rotation = 0; rotation < 4; rotation++) {
+            var state = definition.blocks[rotation];
+            var stateCells = [];
+            if (rotation >= definition.blocks.length) {
+                // turn the last state a quarter turn clockwise within the box
+                stateCells = cells[rotation - 1].map(function (cell) {
+                    return [size - 1 - cell[1], cell[0]];
+                });
+            } else if (typeof state === "number") {
+                if (size > 4) {
+                    fail(key, "is too big to give in hex");
+                }
+                for (var x = 0; x < size; x++) {
+                    for (var y = 0; y < size; y++) {
+                        if (this.indexContainsBlock(x, y, state)) {
+                            stateCells.push([x, y]);
+                        }
+                    }
+                }
+            } else if (Array.isArray(state) && state.length === size) {
+                for (var row = 0; row < size; row++) {
+                    if (typeof state[row] !== "string" || state[row].length !== size) {
+                        fail(key, "has a row that isn't " + size + " blocks wide");
+                    }
+                    for (var column = 0; column < size; column++) {
+                        if (state[row].charAt(column) !== ".") {
+                            stateCells.push([column, row]);
+                        }
+                    }
+                }
+            } else {
+                fail(key, "has a rotation state that isn't " + size + " rows");
+            }
+            if (stateCells.length === 0 || (rotation > 0 && stateCells.length !== cells[0].length)) {
+                fail(key, "has rotation states with different numbers of blocks");
+            }
+            cells.push(stateCells);
+        }
+
+        shapes[key] = {
+            size: size,
+            cells: cells,
+            color: definition.color,
+            kicks: definition.kicks !== undefined ? definition.kicks : "jlstz",
+            name: definition.name || key.toUpperCase(),
+            tspin: !!definition.tspin
+        };
+        count++;
+    }
+    if (count === 0) {
+        throw new Error("Invalid piece set: there are no shapes");
+    }
+    return shapes;
+};
+
+/**
+ * the size of the box the largest shape in play turns in (4 for the tetrominoes)
+ * @returns {int} (in blocks)
+ */
+GameEngine.prototype.getLargestPieceSize = function () {
+    var size = 0;
+    for (var key in this.shapes) {
+        if (this.shapes.hasOwnProperty(key)) {
+            size = Math.max(size, this.shapes[key].size);
+        }
+    }
+    return size;
+};
+
+/**
+ * start the game - puts the first piece in play
+ * @returns {void}
+ */
+GameEngine.prototype.start = function () {
+    if (!this.isRunning) {
+        if (typeof this.mode.start === "function") {
+            this.mode.start();
+        }
+        this.selectNextPiece();
+        this.isRunning = true;
+        this.emit("start");
+    }
+};
+
+/**
+ * pause/resume the game. If the game was over, resets the game
+ * @returns {void}
+ */
+GameEngine.prototype.togglePause = function () {
+    if (!this.isPaused) {
+        this.isPaused = true;
+        this.emit("pause");
+    } else {
+        if (this.isGameOver) {
+            //reset the game instead..
+            this.reset();
+            return;
+        }
+        this.isPaused = false;
+        this.emit("resume");
+    }
+};
+
+/**
+ * resets this game and starts a new one
+ * @returns {void}
+ */
+GameEngine.prototype.reset = function () {
+    this.stop();
+    this.start();
+};
+
+/**
+ * abandons the game (if any) for a new board that hasn't started yet - start() begins the next game
+ * emits "reset"
+ * @returns {void}
+ */
+GameEngine.prototype.stop = function () {
+    this.difficulty = this.startDifficulty;
+    this.isGameOver = false;
+    this.endReason = null;
+    this.isRunning = false;
+    this.isPaused = false;
+
+    // create a new board, stats, and pieces
+    GameEngine.prototype.init.call(this);
+
+    this.emit("reset");
+};
+
+/**
+ * resizes the game board
+ * @param {int} width (in blocks)
+ * @param {int} height (in blocks)
+ * @returns {void}
+ */
+GameEngine.prototype.resizeBoard = function (width, height) {
+    this.setBoardSize(width, height, this.hiddenRows);
+    this.gameBoard.resize(width, height + this.hiddenRows);
+};
+
+/**
+ * changes the size of the board the next game is played on (see createBoard)
+ * @param {int} width (in blocks)
+ * @param {int} height (in blocks)
+ * @param {int} hiddenRows the rows above the board, out of sight
+ * @returns {void}
+ */
+GameEngine.prototype.setBoardSize = function (width, height, hiddenRows) {
+    this.checkBoardSize(width, height, hiddenRows);
+    this.boardWidth = width;
+    this.boardHeight = height;
+    this.hiddenRows = hiddenRows;
+};
+
+/**
+ * throws "Invalid board size: ..." unless the board is a size the game can be played on (see GameEngine.boardLimits)
+ * @param {int} width (in blocks)
+ * @param {int} height (in blocks)
+ * @param {int} hiddenRows
+ * @returns {void}
+ */
+GameEngine.prototype.checkBoardSize = function (width, height, hiddenRows) {
+    var sizes = {width: width, height: height, hiddenRows: hiddenRows};
+    for (var name in GameEngine.boardLimits) {
+        if (GameEngine.boardLimits.hasOwnProperty(name)) {
+            var limits = GameEngine.boardLimits[name];
+            var size = sizes[name];
+            if (typeof size !== "number" || size % 1 !== 0 || size < limits[0] || size > limits[1]) {
+                throw new Error("Invalid board size: " + name + " must be " + limits[0] + " to " + limits[1] + ", not " + size);
+            }
+        }
+    }
+};
+
+/**
+ * the options that decide how a game plays out, as GameEngine options - enough to replay a game given the same inputs
+ * a randomizer or scoring model given as a constructor can't be written down, and is left out (null)
+ * @returns {object}
+ */
+GameEngine.prototype.getSettings = function () {
+    return {
+        width: this.boardWidth,
+        height: this.boardHeight,
+        hiddenRows: this.hiddenRows,
+        spawnPosition: {x: this.spawnPosition.x, y: this.spawnPosition.y},
+        gravity: this.gravityType,
+        pieceSet: this.pieceSetType,
+        randomizer: typeof this.randomizerType === "string" || Array.isArray(this.randomizerType) ? this.randomizerType : null,
+        seed: this.seed,
+        previewCount: this.previewCount,
+        rotationSystem: this.rotationSystemType,
+        lockDelay: this.lockDelay,
+        lockResets: this.maxLockResets,
+        scoring: typeof this.scoringType === "string" ? this.scoringType : null,
+        leveling: typeof this.levelingType === "string" ? this.levelingType : null,
+        startLevel: this.startDifficulty + 1,
+        mode: typeof this.modeType === "string" ? this.modeType : null,
+        modeOptions: this.modeOptions
+    };
+};
+
+/**
+ * changes the options the next game is played with (see getSettings) - takes effect on reset(),
+ * or right away if the game hasn't started yet. Settings left out (or null) are left as they are, except the seed
+ * @param {object} settings
+ * @returns {void}
+ */
+GameEngine.prototype.applySettings = function (settings) {
+    if (settings.rotationSystem) {
+        if (!GameEngine.rotationSystems[settings.rotationSystem]) {
+            throw new Error("Unknown rotation system: " + settings.rotationSystem);
+        }
+        this.rotationSystemType = settings.rotationSystem;
+        this.rotationSystem = GameEngine.rotationSystems[settings.rotationSystem];
+    }
+    var hasSize = settings.width && settings.height;
+    var hasHiddenRows = settings.hiddenRows !== undefined && settings.hiddenRows !== null;
+    if (hasSize || hasHiddenRows) {
+        this.setBoardSize(hasSize ? settings.width : this.boardWidth, hasSize ? settings.height : this.boardHeight,
+            hasHiddenRows ? settings.hiddenRows : this.hiddenRows);
+    }
+    if (settings.spawnPosition) {
+        this.spawnPosition = settings.spawnPosition;
+    }
+    if (settings.gravity) {
+        this.setGravity(settings.gravity);
+    }
+    if (settings.pieceSet) {
+        this.pieceSetType = settings.pieceSet;
+    }
+    if (settings.randomizer) {
+        this.randomizerType = settings.randomizer;
+    }
+    if (settings.scoring) {
+        this.scoringType = settings.scoring;
+    }
+    if (settings.previewCount) {
+        this.previewCount = Math.max(1, settings.previewCount);
+    }
+    if (settings.lockDelay !== undefined && settings.lockDelay !== null) {
+        this.lockDelay = settings.lockDelay;
+    }
+    if (settings.lockResets !== undefined && settings.lockResets !== null) {
+        this.maxLockResets = settings.lockResets;
+    }
+    if (settings.leveling) {
+        this.levelingType = settings.leveling;
+    }
+    if (settings.mode) {
+        this.modeType = settings.mode;
+        this.modeOptions = settings.modeOptions || {};
+    }
+    if (settings.startLevel) {
+        this.startDifficulty = Math.min(Math.max(settings.startLevel - 1, 0), this.difficultyTimeouts.length - 1);
+    }
+    this.seedOption = settings.seed;
+
+    if (!this.isRunning) {
+        this.difficulty = this.startDifficulty;
+        this.createPieceSet();
+        this.createLeveling();
+        this.createMode();
+    }
+};
+
+/**
+ * a snapshot of the game in progress as plain (JSON-safe) data - the board, the pieces in play, queued and held,
+ * the score, the clock and the state of the randomizer - to carry on with later, see restore()
+ * @returns {object}
+ */
+GameEngine.prototype.serialize = function () {
+    var describePiece = function (piece) {
+        return piece ? {shape: piece.shape, rotation: piece.rotation, x: piece.position.x, y: piece.position.y} : null;
+    };
+
+    return {
+        version: 1,
+        settings: this.getSettings(),
+        board: this.gameBoard.getRows(),
+        piece: describePiece(this.gamePiece),
+        nextPieces: this.nextPieces.map(describePiece),
+        heldPiece: describePiece(this.heldPiece),
+        canHold: this.canHold,
+        difficulty: this.difficulty,
+        stats: this.gameStats.getState(),
+        gravityTime: this.gravityTime,
+        lockTime: this.lockTime,
+        lockResets: this.lockResets,
+        lowestRow: this.lowestRow,
+        lastRotation: this.lastRotation,
+        // custom randomizers and scoring models without getState() start afresh
+        randomizer: typeof this.randomizer.getState === "function" ? this.randomizer.getState() : null,
+        scoring: typeof this.scoring.getState === "function" ? this.scoring.getState() : null,
+        garbageRandom: this.garbageRandom.state,
+        modeState: typeof this.mode.getState === "function" ? this.mode.getState() : null,
+        isGameOver: this.isGameOver,
+        endReason: this.endReason
+    };
+};
+
+/**
+ * carries on with a game saved by serialize() - it comes back paused
+ * emits "restore"
+ * @param {object} state
+ * @returns {void}
+ */
+GameEngine.prototype.restore = function (state) {
+    if (!state || state.version !== 1 || !Array.isArray(state.board)) {
+        throw new Error("Unsupported saved game");
+    }
+    var self = this;
+
+    // play on with the saved settings and randomizer, but keep our own seed option for the games after this one
+    var seedOption = this.seedOption;
+    this.applySettings(state.settings);
+    this.createPieceSet();
+    this.createRandomizer();
+    this.seedOption = seedOption;
+    if (state.randomizer && typeof this.randomizer.setState === "function") {
+        this.randomizer.setState(state.randomizer);
+    }
+    this.createScoring();
+    if (state.scoring && typeof this.scoring.setState === "function") {
+        this.scoring.setState(state.scoring);
+    }
+    if (state.garbageRandom !== undefined) {
+        this.garbageRandom.state = state.garbageRandom;
+    }
+    this.createLeveling();
+    this.createMode();
+    if (state.modeState && typeof this.mode.setState === "function") {
+        this.mode.setState(state.modeState);
+    }
+
+    this.gameBoard = this.createBoard();
+    this.gameBoard.setRows(state.board);
+
+    var createPiece = function (description) {
+        if (!description) {
+            return null;
+        }
+        if (!self.shapes[description.shape]) {
+            throw new Error("Unknown shape: " + description.shape);
+        }
+        var piece = new GamePiece(self, description.shape);
+        piece.rotation = description.rotation;
+        piece.position = {x: description.x, y: description.y};
+        return piece;
+    };
+    this.gamePiece = createPiece(state.piece);
+    this.nextPieces = state.nextPieces.map(createPiece);
+    this.fillQueue();
+    this.heldPiece = createPiece(state.heldPiece);
+    this.canHold = state.canHold;
+
+    this.gameStats = new GameStats(this);
+    this.gameStats.setState(state.stats);
+    this.difficulty = state.difficulty;
+
+    this.gravityTime = state.gravityTime;
+    this.lockTime = state.lockTime;
+    this.lockResets = state.lockResets;
+    this.lowestRow = state.lowestRow;
+    this.lastRotation = state.lastRotation;
+
+    this.isRunning = true;
+    this.isPaused = true;
+    this.isGameOver = state.isGameOver;
+    this.endReason = state.endReason || null;
+
+    this.emit("restore");
+};
+
+/**
+ * an empty board the size the settings call for, hidden rows and all
+ * @returns {GameBoard}
+ */
+GameEngine.prototype.createBoard = function () {
+    return new GameBoard(this, this.boardWidth, this.boardHeight + this.hiddenRows);
+};
+
+/**
+ * initializes the engine with an empty board, ready to start()
+ * @returns void
+ */
+GameEngine.prototype.init = function () {
+    this.gameBoard = this.createBoard();
+    this.createPieceSet();
+    this.gameStats = new GameStats(this);
+    this.createRandomizer();
+    this.createScoring();
+    this.createLeveling();
+    this.createMode();
+    this.gamePiece = null;
+    this.nextPieces = [];
+    this.fillQueue();
+    this.heldPiece = null;
+    this.canHold = true;
+};
+
+
+/**
+ * a small, fast seedable pseudo-random number generator (mulberry32)
+ * the same seed always produces the same sequence, in every browser and under Node
+ * @param {int} seed any 32 bit integer
+ * @returns {SeededRandom}
+ */
+function SeededRandom(seed) {
+    this.state = seed >>> 0;
+}
+
+/**
+ * returns the next number in the sequence
+ * @returns {number} in the range [0, 1), like Math.random()
+ */
+SeededRandom.prototype.next = function () {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    var t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * returns a random integer
+ * @param {int} max
+ * @returns {int} in the range [0, max)
+ */
+SeededRandom.prototype.nextInt = function (max) {
+    return Math.floor(this.next() * max);
+};
+
+
+/*
+ * Piece randomizers
+ * A randomizer is constructed with the list of shape keys and a SeededRandom, and hands out one key per call to next()
+ * Register new strategies in GameEngine.randomizers to make them selectable by name
+ * getState()/setState(state) let a saved game carry on with the same sequence - a randomizer without them is reseeded
+ */
+
+/**
+ * every piece is equally likely, every time - no memory of what came before
+ * @param {array} keys the shape keys to choose from
+ * @param {SeededRandom} random
+ * @returns {RandomRandomizer}
+ */
+function RandomRandomizer(keys, random) {
+    this.keys = keys;
+    this.random = random;
+}
+
+RandomRandomizer.prototype.next = function () {
+    return this.keys[this.random.nextInt(this.keys.length)];
+};
+
+/**
+ * what the randomizer needs to carry on where it left off (see GameEngine.serialize)
+ * @returns {object}
+ */
+RandomRandomizer.prototype.getState = function () {
+    return {random: this.random.state};
+};
+
+RandomRandomizer.prototype.setState = function (state) {
+    this.random.state = state.random;
+};
+
+/**
+ * deals every piece once, in a shuffled order, before reshuffling (the "7-bag")
+ * guarantees no piece is ever more than 12 pieces away
+ * @param {array} keys the shape keys to choose from
+ * @param {SeededRandom} random
+ * @returns {BagRandomizer}
+ */
+function BagRandomizer(keys, random) {
+    this.keys = keys;
+    this.random = random;
+    this.bag = [];
+}
+
+BagRandomizer.prototype.next = function () {
+    if (this.bag.length === 0) {
+        // refill the bag and shuffle it (Fisher-Yates)
+        this.bag = this.keys.slice();
+        for (var i = this.bag.length - 1; i > 0; i--) {
+            var j = this.random.nextInt(i + 1);
+            var tmp = this.bag[i];
+            this.bag[i] = this.bag[j];
+            this.bag[j] = tmp;
+        }
+    }
+    return this.bag.shift();
+};
+
+BagRandomizer.prototype.getState = function () {
+    return {random: this.random.state, bag: this.bag.slice()};
+};
+
+BagRandomizer.prototype.setState = function (state) {
+    this.random.state = state.random;
+    this.bag = state.bag.slice();
+};
+
+/**
+ * remembers the last few pieces and re-rolls a few times when a recent piece comes up, as in TGM
+ * the first piece is never one that is awkward to open with (s, z or o)
+ * @param {array} keys the shape keys to choose from
+ * @param {SeededRandom} random
+ * @returns {HistoryRandomizer}
+ */
+function HistoryRandomizer(keys, random) {
+    this.keys = keys;
+    this.random = random;
+    this.rolls = 6;
+    this.history = ["z", "s", "s", "z"];
+    this.isFirst = true;
+}
+
+HistoryRandomizer.prototype.next = function () {
+    var key;
+    if (this.isFirst) {
+        this.isFirst = false;
+        var openers = this.keys.filter(function (k) {
+            return k !== "s" && k !== "z" && k !== "o";
+        });
+        if (openers.length === 0) {
+            openers = this.keys;
+        }
+        key = openers[this.random.nextInt(openers.length)];
+    } else {
+        for (var roll = 0; roll < this.rolls; roll++) {
+            key = this.keys[this.random.nextInt(this.keys.length)];
+            if (this.history.indexOf(key) < 0) {
+                break;
+            }
+        }
+    }
+    this.history.shift();
+    this.history.push(key);
+    return key;
+};
+
+HistoryRandomizer.prototype.getState = function () {
+    return {random: this.random.state, history: this.history.slice(), isFirst: this.isFirst};
+};
+
+HistoryRandomizer.prototype.setState = function (state) {
+    this.random.state = state.random;
+    this.history = state.history.slice();
+    this.isFirst = state.isFirst;
+};
+
+/**
+ * deals a fixed list of pieces in order, then runs dry - next() returns null once every piece has been dealt
+ * for puzzles, where the pieces are part of the challenge. Chosen by passing the list itself as the "randomizer" option
+ * @param {array} sequence the shape keys, in the order they are dealt
+ * @returns {SequenceRandomizer}
+ */
+function SequenceRandomizer(sequence) {
+    this.sequence = sequence.slice();
+    this.position = 0;
+}
+
+SequenceRandomizer.prototype.next = function () {
+    return this.position < this.sequence.length ? this.sequence[this.position++] : null;
+};
+
+/**
+ * how many pieces are still to be dealt
+ * @returns {int}
+ */
+SequenceRandomizer.prototype.getRemaining = function () {
+    return this.sequence.length - this.position;
+};
+
+SequenceRandomizer.prototype.getState = function () {
+    return {position: this.position};
+};
+
+SequenceRandomizer.prototype.setState = function (state) {
+    this.position = state.position;
+};
+
+/*
+ * the Super Rotation System wall kicks
+ * every table maps "from>to" rotation states to the [x, y] offsets to try in order (y is down, as on the board)
+ */
+var SRS_KICKS = {
+    jlstz: {
+        "0>1": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        "1>0": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+        "1>2": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+        "2>1": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        "2>3": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+        "3>2": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        "3>0": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        "0>3": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]]
+    },
+    i: {
+        "0>1": [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]],
+        "1>0": [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]],
+        "1>2": [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]],
+        "2>1": [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]],
+        "2>3": [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]],
+        "3>2": [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]],
+        "3>0": [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]],
+        "0>3": [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]]
+    },
+    // 180 degree turns aren't part of SRS - nudge up, then sideways
+    "180": [[0, 0], [0, -1], [1, 0], [-1, 0]]
+};
+
+/*
+ * the rotation systems that can be chosen by name with the "rotationSystem" option
+ * "classic" never kicks - a rotation that collides is simply rejected
+ */
+GameEngine.rotationSystems = {
+    srs: SRS_KICKS,
+    classic: {}
+};
+
+/*
+ * Scoring models
+ * A scoring model is constructed with the engine and scores every baked piece with scorePlacement(placement),
+ * where placement is {piece, lines, tspin, perfectClear}. It returns the classification of the placement:
+ * {name, lines, tspin, perfectClear, backToBack, combo, points}
+ * Register new models in GameEngine.scoringModels to make them selectable by name
+ */
+
+/**
+ * names a clear for display, e.g. "Tetris", "T-Spin Double" or "Mini T-Spin"
+ * @param {int} lines the number of lines cleared
+ * @param {string} tspin ['full','mini'] or null
+ * @returns {string} empty when there is nothing to announce
+ */
+function describeClear(lines, tspin) {
+    var lineNames = ["", "Single", "Double", "Triple", "Tetris"];
+    var name = lines < lineNames.length ? lineNames[lines] : lines + " Lines";
+    if (tspin) {
+        name = (tspin === "mini" ? "Mini T-Spin" : "T-Spin") + (lines > 0 ? " " + name : "");
+    }
+    return name;
+}
+
+/**
+ * the NES-style table: points for the number of lines cleared, times the level
+ * T-spins, combos and perfect clears earn nothing extra
+ * @param {GameEngine} game
+ * @returns {ClassicScoring}
+ */
+function ClassicScoring(game) {
+    this.game = game;
+}
+
+ClassicScoring.prototype.scorePlacement = function (placement) {
+    var table = this.game.pointsAwardedForLines;
+    var points = 0;
+    if (placement.lines > 0) {
+        points = table[Math.min(placement.lines, table.length) - 1] * (this.game.difficulty + 1);
+    }
+    return {
+        name: describeClear(placement.lines, null),
+        lines: placement.lines,
+        tspin: null,
+        perfectClear: placement.perfectClear,
+        backToBack: false,
+        combo: 0,
+        points: points
+    };
+};
+
+/**
+ * modern guideline scoring - T-spins (full and mini), back-to-back bonuses for consecutive Tetrises and T-spins,
+ * combos for consecutive clears and perfect clear bonuses, all times the level
+ * @param {GameEngine} game
+ * @returns {GuidelineScoring}
+ */
+function GuidelineScoring(game) {
+    this.game = game;
+    this.combo = -1;            // consecutive placements that cleared lines, minus one
+    this.backToBack = false;    // whether the last clear was a "difficult" one (a Tetris or a T-spin)
+
+    this.pointsForLines = [0, 100, 300, 500, 800];
+    this.pointsForTSpin = {
+        mini: [100, 200, 400],
+        full: [400, 800, 1200, 1600]
+    };
+    this.pointsForPerfectClear = [0, 800, 1200, 1800, 2000];
+    this.pointsForBackToBackPerfectTetris = 3200;
+    this.pointsPerCombo = 50;
+    this.backToBackMultiplier = 1.5;
+}
+
+/**
+ * the combo and back-to-back carried between placements (see GameEngine.serialize)
+ * @returns {object}
+ */
+GuidelineScoring.prototype.getState = function () {
+    return {combo: this.combo, backToBack: this.backToBack};
+};
+
+GuidelineScoring.prototype.setState = function (state) {
+    this.combo = state.combo;
+    this.backToBack = state.backToBack;
+};
+
+GuidelineScoring.prototype.scorePlacement = function (placement) {
+    var level = this.game.difficulty + 1;
+    var lines = placement.lines;
+    var tspin = placement.tspin;
+
+    var table = tspin ? this.pointsForTSpin[tspin] : this.pointsForLines;
+    var points = table[Math.min(lines, table.length - 1)];
+
+    var backToBack = false;
+    if (lines > 0) {
+        var isDifficult = lines >= 4 || !!tspin;
+        backToBack = isDifficult && this.backToBack;
+        this.backToBack = isDifficult;
+        this.combo++;
+    } else {
+        // a placement that clears nothing breaks the combo, but not the back-to-back
+        this.combo = -1;
+    }
+
+    if (backToBack) {
+        points = Math.floor(points * this.backToBackMultiplier);
+    }
+    points *= level;
+    if (this.combo > 0) {
+        points += this.pointsPerCombo * this.combo * level;
+    }
+    if (placement.perfectClear) {
+        if (backToBack && lines >= 4) {
+            points += this.pointsForBackToBackPerfectTetris * level;
+        } else {
+            points += this.pointsForPerfectClear[Math.min(lines, this.pointsForPerfectClear.length - 1)] * level;
+        }
+    }
+
+    return {
+        name: describeClear(lines, tspin),
+        lines: lines,
+        tspin: tspin,
+        perfectClear: placement.perfectClear,
+        backToBack: backToBack,
+        combo: Math.max(this.combo, 0),
+        points: points
+    };
+};
+
+/*
+ * the scoring models that can be chosen by name with the "scoring" option
+ */
+GameEngine.scoringModels = {
+    classic: ClassicScoring,
+    guideline: GuidelineScoring
+};
+
+
+/*
+ * Leveling policies
+ * A policy is constructed with the engine and decides how far the difficulty has come with getDifficulty() -
+ * the engine asks after every score - and what the player is aiming for next with getGoal()
+ * Register new policies in GameEngine.levelingPolicies to make them selectable by name
+ */
+
+/**
+ * levels up when the score passes the threshold for the level (GameEngine.scorePerLevel)
+ * @param {GameEngine} game
+ * @returns {ScoreLeveling}
+ */
+function ScoreLeveling(game) {
+    this.game = game;
+}
+
+/**
+ * the difficulty the game has reached
+ * @returns {int}
+ */
+ScoreLeveling.prototype.getDifficulty = function () {
+    var difficulty = this.game.difficulty;
+    var thresholds = this.game.scorePerLevel;
+    while (difficulty < thresholds.length && this.game.gameStats.score > thresholds[difficulty]) {
+        difficulty++;
+    }
+    return difficulty;
+};
+
+/**
+ * what it takes to reach the next level
+ * @returns {object} {label, value} for the sidebar, or null at the top level
+ */
+ScoreLeveling.prototype.getGoal = function () {
+    var threshold = this.game.scorePerLevel[this.game.difficulty];
+    return threshold !== undefined ? {label: "Next", value: threshold} : null;
+};
+
+/**
+ * levels up every 10 lines cleared, counting from the start level, as the guideline does
+ * @param {GameEngine} game
+ * @returns {LineLeveling}
+ */
+function LineLeveling(game) {
+    this.game = game;
+    this.linesPerLevel = 10;
+}
+
+LineLeveling.prototype.getDifficulty = function () {
+    var reached = this.game.startDifficulty + Math.floor(this.game.gameStats.lines / this.linesPerLevel);
+    return Math.max(this.game.difficulty, reached);
+};
+
+LineLeveling.prototype.getGoal = function () {
+    if (this.game.difficulty >= this.game.difficultyTimeouts.length - 1) {
+        return null;
+    }
+    var target = (this.game.difficulty - this.game.startDifficulty + 1) * this.linesPerLevel;
+    return {label: "Goal", value: Math.max(target - this.game.gameStats.lines, 0)};
+};
+
+/**
+ * stays at the start level for the whole game
+ * @param {GameEngine} game
+ * @returns {FixedLeveling}
+ */
+function FixedLeveling(game) {
+    this.game = game;
+}
+
+FixedLeveling.prototype.getDifficulty = function () {
+    return this.game.difficulty;
+};
+
+FixedLeveling.prototype.getGoal = function () {
+    return null;
+};
+
+/*
+ * the leveling policies that can be chosen by name with the "leveling" option
+ */
+GameEngine.levelingPolicies = {
+    score: ScoreLeveling,
+    lines: LineLeveling,
+    fixed: FixedLeveling
+};
+
+/*
+ * the smallest and largest boards that can be played on, [min, max] (in blocks) - see GameEngine.checkBoardSize
+ */
+GameEngine.boardLimits = {
+    width: [4, 40],
+    height: [4, 60],
+    hiddenRows: [0, 20]
+};
+
+/*
+ * the gravity tables that can be chosen by name with the "gravity" option - how long (in ms) a piece takes to fall a row
+ * at each level, from level 1 up. The length of the table is the highest level
+ */
+GameEngine.gravityTables = {
+    classic: [1000, 750, 625, 500, 425, 300, 250, 225, 200, 175],
+    // the guideline's curve, (0.8 - (level - 1) * 0.007) ^ (level - 1) seconds a row, up to level 15
+    guideline: [1000, 793, 618, 473, 355, 262, 190, 135, 94, 64, 43, 28, 18, 11, 7]
+};
+
+/*
+ * the piece sets that can be chosen by name with the "pieceSet" option, each a set of shape definitions keyed by shape key
+ * (see GameEngine.parsePieceSet). A shape is laid out in a size x size box, and its rotation states are given clockwise,
+ * starting with the spawn orientation - either as row strings ("." is empty) or as a 4x4 "bitmask" in hex (see hexValues)
+ */
+GameEngine.pieceSets = {
+    /*
+     * pre-baked Tetromino shapes, represented as a "bitmask" in hex
+     * every configuration of a 4x4 array can be described
+     * inspired by: https://github.com/jakesgordon/javascript-tetris/blob/master/index.html
+     *
+     * blocks are the 4 rotation states in clockwise order, starting with the spawn orientation (flat side down),
+     * as laid out by the Super Rotation System. kicks names the kick table used to rotate the shape (see rotationSystems)
+     */
+    tetrominoes: {
+        i: {size: 4, blocks: [0x0F00, 0x2222, 0x00F0, 0x4444], color: 0, kicks: "i"},
+        j: {size: 3, blocks: [0x8E00, 0x6440, 0x0E20, 0x44C0], color: 1, kicks: "jlstz"},
+        l: {size: 3, blocks: [0x2E00, 0x4460, 0x0E80, 0xC440], color: 2, kicks: "jlstz"},
+        o: {size: 2, blocks: [0xCC00, 0xCC00, 0xCC00, 0xCC00], color: 3, kicks: null},
+        s: {size: 3, blocks: [0x6C00, 0x4620, 0x06C0, 0x8C40], color: 4, kicks: "jlstz"},
+        t: {size: 3, blocks: [0x4E00, 0x4640, 0x0E40, 0x4C40], color: 5, kicks: "jlstz", tspin: true},
+        z: {size: 3, blocks: [0xC600, 0x2640, 0x0C60, 0x4C80], color: 6, kicks: "jlstz"}
+    },
+    // the straight and the bent tromino - the other rotation states are the spawn orientation turned
+    trominoes: {
+        i: {size: 3, blocks: [["...", "###", "..."]], color: 0},
+        l: {size: 2, blocks: [["#.", "##"]], color: 2}
+    },
+    // the 18 one-sided pentominoes - the mirror image of a shape that isn't symmetrical has the same letter in capitals
+    pentominoes: {
+        f: {size: 3, blocks: [[".##", "##.", ".#."]], color: 4},
+        F: {size: 3, blocks: [["##.", ".##", ".#."]], color: 6, name: "F'"},
+        i: {size: 5, blocks: [[".....", "#####", ".....", ".....", "....."]], color: 0, kicks: "i"},
+        l: {size: 4, blocks: [["...#", "####", "....", "...."]], color: 2, kicks: "i"},
+        L: {size: 4, blocks: [["#...", "####", "....", "...."]], color: 1, kicks: "i", name: "L'"},
+        n: {size: 4, blocks: [["..##", "###.", "....", "...."]], color: 6, kicks: "i"},
+        N: {size: 4, blocks: [["##..", ".###", "....", "...."]], color: 4, kicks: "i", name: "N'"},
+        p: {size: 3, blocks: [["##.", "###", "..."]], color: 3},
+        P: {size: 3, blocks: [[".##", "###", "..."]], color: 3, name: "P'"},
+        t: {size: 3, blocks: [["###", ".#.", ".#."]], color: 5},
+        u: {size: 3, blocks: [["#.#", "###", "..."]], color: 3},
+        v: {size: 3, blocks: [["#..", "#..", "###"]], color: 1},
+        w: {size: 3, blocks: [["#..", "##.", ".##"]], color: 4},
+        x: {size: 3, blocks: [[".#.", "###", ".#."]], color: 5, kicks: null},
+        y: {size: 4, blocks: [["..#.", "####", "....", "...."]], color: 5, kicks: "i"},
+        Y: {size: 4, blocks: [[".#..", "####", "....", "...."]], color: 0, kicks: "i", name: "Y'"},
+        z: {size: 3, blocks: [["##.", ".#.", ".##"]], color: 6},
+        Z: {size: 3, blocks: [[".##", ".#.", "##."]], color: 4, name: "Z'"}
+    }
+};
+
+
+/*
+ * Game modes
+ * A mode is constructed with the engine and its options, and decides when the game is over (besides topping out) -
+ * the engine asks checkEnd() after every piece and clock update. It also names its own high score table
+ * and says which results are better (compareEntries), since "better" depends on the mode
+ * A mode may also act on the game through optional hooks: start() as the game starts, update(elapsed) on every clock update,
+ * spawn(piece) as each piece comes into play and bake(lines, piece, clear) after every piece, with getState()/setState() to carry
+ * its own state in a saved game
+ * Register new modes in GameEngine.gameModes to make them selectable by name
+ */
+
+/**
+ * the endless game - play until the stack tops out, for the highest score
+ * @param {GameEngine} game
+ * @returns {MarathonMode}
+ */
+function MarathonMode(game) {
+    this.game = game;
+    this.name = "marathon";
+    this.title = "Marathon";
+}
+
+/**
+ * determines if the game is over
+ * @returns {string} why ("complete", "timeup"), or null to play on
+ */
+MarathonMode.prototype.checkEnd = function () {
+    return null;
+};
+
+/**
+ * how long the game lasts
+ * @returns {int} (in ms), or null if it isn't timed
+ */
+MarathonMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+/**
+ * determines if a finished game belongs in the high score table
+ * @param {object} entry {score, level, lines, duration}
+ * @returns {boolean}
+ */
+MarathonMode.prototype.isRanked = function (entry) {
+    return entry.score > 0;
+};
+
+/**
+ * orders two high score entries
+ * @param {object} a
+ * @param {object} b
+ * @returns {number} less than 0 if a is better, more than 0 if b is
+ */
+MarathonMode.prototype.compareEntries = function (a, b) {
+    return b.score - a.score;
+};
+
+/**
+ * clear a number of lines (40 by default) as fast as possible
+ * @param {GameEngine} game
+ * @param {object} options
+ *      lines: how many lines to clear
+ * @returns {SprintMode}
+ */
+function SprintMode(game, options) {
+    this.game = game;
+    this.lines = (options && options.lines) || 40;
+    this.name = "sprint" + this.lines;
+    this.title = "Sprint " + this.lines;
+}
+
+SprintMode.prototype.checkEnd = function () {
+    return this.game.gameStats.lines >= this.lines ? "complete" : null;
+};
+
+SprintMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+/**
+ * the lines still to clear
+ * @returns {int}
+ */
+SprintMode.prototype.getLinesLeft = function () {
+    return Math.max(this.lines - this.game.gameStats.lines, 0);
+};
+
+// only a finished sprint counts, and the fastest wins
+SprintMode.prototype.isRanked = function (entry) {
+    return entry.lines >= this.lines;
+};
+
+SprintMode.prototype.compareEntries = function (a, b) {
+    return a.duration - b.duration;
+};
+
+/**
+ * score as much as possible before the time (2 minutes by default) runs out
+ * @param {GameEngine} game
+ * @param {object} options
+ *      time: how long the game lasts (in ms)
+ * @returns {UltraMode}
+ */
+function UltraMode(game, options) {
+    this.game = game;
+    this.time = (options && options.time) || 120000;
+    this.name = "ultra" + Math.round(this.time / 1000);
+    this.title = "Ultra " + (this.time % 60000 === 0 ? (this.time / 60000) + " min" : Math.round(this.time / 1000) + " sec");
+}
+
+UltraMode.prototype.checkEnd = function () {
+    return this.game.gameStats.time >= this.time ? "timeup" : null;
+};
+
+UltraMode.prototype.getTimeLimit = function () {
+    return this.time;
+};
+
+/**
+ * the time left to play
+ * @returns {int} (in ms)
+ */
+UltraMode.prototype.getTimeLeft = function () {
+    return Math.max(this.time - this.game.gameStats.time, 0);
+};
+
+UltraMode.prototype.isRanked = function (entry) {
+    return entry.score > 0;
+};
+
+UltraMode.prototype.compareEntries = function (a, b) {
+    return b.score - a.score;
+};
+
+/**
+ * dig out of garbage that keeps rising from the bottom - clear a number of garbage lines (20 by default) as fast as possible,
+ * or with {lines: 0} survive for as long as possible
+ * @param {GameEngine} game
+ * @param {object} options
+ *      lines: how many garbage lines to clear, or 0 to play until topping out
+ *      rows: the rows of garbage the game starts with (default 4)
+ *      interval: a row rises every this many ms (default 5000, 0 for none)
+ *      pieces: a row rises after every this many pieces that don't clear a line (default 0 for none)
+ * @returns {DigMode}
+ */
+function DigMode(game, options) {
+    options = options || {};
+    this.game = game;
+    this.lines = options.lines !== undefined ? options.lines : 20;
+    this.rows = options.rows !== undefined ? options.rows : 4;
+    this.interval = options.interval !== undefined ? options.interval : 5000;
+    this.pieces = options.pieces || 0;
+    this.name = this.lines > 0 ? "dig" + this.lines : "survival";
+    this.title = this.lines > 0 ? "Dig " + this.lines : "Survival";
+
+    // the time since a row last rose on the clock (in ms), and the pieces since one rose on the piece count
+    this.timer = 0;
+    this.pieceCount = 0;
+}
+
+DigMode.prototype.start = function () {
+    this.game.addGarbage(this.rows);
+};
+
+DigMode.prototype.update = function (elapsed) {
+    if (this.interval <= 0) {
+        return;
+    }
+    this.timer += elapsed;
+    while (this.timer >= this.interval && !this.game.isGameOver) {
+        this.timer -= this.interval;
+        this.game.addGarbage(1);
+    }
+};
+
+DigMode.prototype.bake = function (lines) {
+    if (this.pieces <= 0 || lines > 0) {
+        return;
+    }
+    this.pieceCount++;
+    if (this.pieceCount >= this.pieces) {
+        this.pieceCount = 0;
+        this.game.addGarbage(1);
+    }
+};
+
+DigMode.prototype.checkEnd = function () {
+    return this.lines > 0 && this.game.gameStats.garbageLines >= this.lines ? "complete" : null;
+};
+
+DigMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+/**
+ * the garbage lines still to clear
+ * @returns {int}
+ */
+DigMode.prototype.getLinesLeft = function () {
+    return Math.max(this.lines - this.game.gameStats.garbageLines, 0);
+};
+
+// a dig counts once it is finished, and the fastest wins - survival goes by the most garbage cleared, then the longest game
+DigMode.prototype.isRanked = function (entry) {
+    return this.lines > 0 ? entry.garbageLines >= this.lines : entry.garbageLines > 0;
+};
+
+DigMode.prototype.compareEntries = function (a, b) {
+    if (this.lines > 0) {
+        return a.duration - b.duration;
+    }
+    return (b.garbageLines - a.garbageLines) || (b.duration - a.duration);
+};
+
+DigMode.prototype.getState = function () {
+    return {timer: this.timer, pieceCount: this.pieceCount};
+};
+
+DigMode.prototype.setState = function (state) {
+    this.timer = state.timer;
+    this.pieceCount = state.pieceCount;
+};
+
+/**
+ * one side of a versus match (see VersusMatch) - the garbage sent by the opponent waits in a queue,
+ * and rises after the next piece that clears nothing. Only topping out ends the game, and there is no high score table
+ * @param {GameEngine} game
+ * @returns {VersusMode}
+ */
+function VersusMode(game) {
+    this.game = game;
+    this.name = "versus";
+    this.title = "Versus";
+
+    // the garbage waiting to rise - {rows, hole} for each attack, oldest first
+    this.garbage = [];
+
+    // the rows of garbage sent to the opponent and received from them
+    this.sent = 0;
+    this.received = 0;
+
+    // the rows of garbage each clear sends
+    this.attackForLines = [0, 0, 1, 2, 4];
+    this.attackForTSpin = {
+        mini: [0, 0, 1],
+        full: [0, 2, 4, 6]
+    };
+    this.attackForCombo = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+    this.attackForBackToBack = 1;
+    this.attackForPerfectClear = 10;
+}
+
+/**
+ * the rows of garbage a clear sends
+ * @param {object} clear the classification of the clear (see GameEngine.scorePlacement)
+ * @returns {int}
+ */
+VersusMode.prototype.getAttack = function (clear) {
+    if (clear.lines === 0) {
+        return 0;
+    }
+    var table = clear.tspin ? this.attackForTSpin[clear.tspin] : this.attackForLines;
+    var attack = clear.lines < table.length ? table[clear.lines] : clear.lines;
+    if (clear.backToBack) {
+        attack += this.attackForBackToBack;
+    }
+    if (clear.combo > 0) {
+        attack += this.attackForCombo[Math.min(clear.combo, this.attackForCombo.length - 1)];
+    }
+    if (clear.perfectClear) {
+        attack += this.attackForPerfectClear;
+    }
+    return attack;
+};
+
+/**
+ * sends an attack: it cancels the garbage waiting here first
+ * @param {object} clear the classification of the clear
+ * @returns {int} the rows left over for the opponent
+ */
+VersusMode.prototype.attack = function (clear) {
+    var attack = this.getAttack(clear);
+    this.sent += attack;
+    return this.offset(attack);
+};
+
+/**
+ * queues garbage sent by the opponent
+ * @param {int} rows
+ * @param {int} hole the empty column
+ * @returns {void}
+ */
+VersusMode.prototype.receive = function (rows, hole) {
+    this.garbage.push({rows: rows, hole: hole});
+    this.received += rows;
+};
+
+/**
+ * cancels queued garbage with an attack, oldest first
+ * @param {int} rows the rows of the attack
+ * @returns {int} the rows left over to send on
+ */
+VersusMode.prototype.offset = function (rows) {
+    while (rows > 0 && this.garbage.length > 0) {
+        var cancelled = Math.min(rows, this.garbage[0].rows);
+        this.garbage[0].rows -= cancelled;
+        rows -= cancelled;
+        if (this.garbage[0].rows === 0) {
+            this.garbage.shift();
+        }
+    }
+    return rows;
+};
+
+/**
+ * the rows of garbage waiting to rise
+ * @returns {int}
+ */
+VersusMode.prototype.getPendingRows = function () {
+    var rows = 0;
+    for (var i = 0; i < this.garbage.length; i++) {
+        rows += this.garbage[i].rows;
+    }
+    return rows;
+};
+
+VersusMode.prototype.bake = function (lines) {
+    if (lines > 0) {
+        return;
+    }
+    while (this.garbage.length > 0 && !this.game.isGameOver) {
+        var attack = this.garbage.shift();
+        this.game.addGarbage(attack.rows, attack.hole);
+    }
+};
+
+VersusMode.prototype.checkEnd = function () {
+    return null;
+};
+
+VersusMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+VersusMode.prototype.isRanked = function () {
+    return false;
+};
+
+VersusMode.prototype.compareEntries = function (a, b) {
+    return b.score - a.score;
+};
+
+VersusMode.prototype.getState = function () {
+    return {garbage: this.garbage.slice(), sent: this.sent, received: this.received};
+};
+
+VersusMode.prototype.setState = function (state) {
+    this.garbage = state.garbage.slice();
+    this.sent = state.sent;
+    this.received = state.received;
+};
+
+/**
+ * finesse practice - every piece comes into play on an empty board, with a placement to put it in (see getTarget)
+ * the drill is over after a number of pieces, and has no high score table. Pair it with a FinesseTrainer to count the keys
+ * @param {GameEngine} game
+ * @param {object} options
+ *      pieces: how many pieces the drill lasts (default 20)
+ * @returns {DrillMode}
+ */
+function DrillMode(game, options) {
+    options = options || {};
+    this.game = game;
+    this.pieces = options.pieces || 20;
+    this.name = "drill" + this.pieces;
+    this.title = "Finesse Drill";
+
+    // picks the targets - seeded by the game, so a replay gets the same ones
+    this.random = new SeededRandom(game.seed ^ 0x2545F491);
+
+    // the cells the piece in play should fill ([x, y]), the pieces played and how many filled their target
+    this.target = null;
+    this.count = 0;
+    this.hits = 0;
+}
+
+DrillMode.prototype.spawn = function (piece) {
+    this.game.setBoard([]);
+    var placements = this.game.findPlacements(piece);
+    this.target = placements[this.random.nextInt(placements.length)].cells;
+};
+
+DrillMode.prototype.bake = function (lines, piece) {
+    this.count++;
+    if (this.target && piece.getCells().join(" ") === this.target.join(" ")) {
+        this.hits++;
+    }
+    this.target = null;
+    // the last piece ends the drill before another comes into play
+    this.game.checkEnd();
+};
+
+DrillMode.prototype.checkEnd = function () {
+    return this.count >= this.pieces ? "complete" : null;
+};
+
+DrillMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+/**
+ * the cells the piece in play should fill
+ * @returns {array} [x, y] - null between pieces
+ */
+DrillMode.prototype.getTarget = function () {
+    return this.target;
+};
+
+DrillMode.prototype.isRanked = function () {
+    return false;
+};
+
+DrillMode.prototype.compareEntries = function (a, b) {
+    return a.duration - b.duration;
+};
+
+DrillMode.prototype.getState = function () {
+    return {target: this.target, count: this.count, hits: this.hits, random: this.random.state};
+};
+
+DrillMode.prototype.setState = function (state) {
+    this.target = state.target;
+    this.count = state.count;
+    this.hits = state.hits;
+    this.random.state = state.random;
+};
+
+/**
+ * a puzzle - a board set up by hand and a fixed list of pieces (the "randomizer" setting) to reach a goal with
+ * the puzzle is solved ("complete") as soon as the goal is met, and failed if the pieces run out first ("outofpieces").
+ * GameEngine.loadPuzzle() sets all of it up from a puzzle file. Puzzles have no high score table
+ * @param {GameEngine} game
+ * @param {object} options
+ *      title: the name of the puzzle
+ *      board: the rows of blocks it starts with, as in GameBoard.getRows() - the last row is the bottom of the board,
+ *             and rows left out at the top are empty
+ *      goal: {type: "lines", lines: n} to clear n lines, {type: "perfectclear"} to empty the board,
+ *            or {type: "clear", name: "T-Spin Double"} for a clear of that name (see describeClear)
+ * @returns {PuzzleMode}
+ */
+function PuzzleMode(game, options) {
+    options = options || {};
+    this.game = game;
+    this.name = "puzzle";
+    this.title = options.title || "Puzzle";
+    this.board = options.board || [];
+    this.goal = options.goal || {type: "lines", lines: 1};
+    this.isSolved = false;
+}
+
+// the kinds of goal a puzzle can set
+PuzzleMode.goals = ["lines", "perfectclear", "clear"];
+
+/**
+ * the rows of the board the puzzle starts with, padded out to the height of the board
+ * @returns {array}
+ */
+PuzzleMode.prototype.getRows = function () {
+    var rows = [];
+    for (var y = this.board.length; y < this.game.gameBoard.height; y++) {
+        rows.push("");
+    }
+    return rows.concat(this.board);
+};
+
+/**
+ * what the puzzle asks for, e.g. "Clear 4 lines" or "T-Spin Double"
+ * @returns {string}
+ */
+PuzzleMode.prototype.describeGoal = function () {
+    switch (this.goal.type) {
+        case "lines":
+            return "Clear " + this.goal.lines + (this.goal.lines === 1 ? " line" : " lines");
+        case "perfectclear":
+            return "Perfect Clear";
+        default:
+            return this.goal.name;
+    }
+};
+
+/**
+ * how many pieces are left to play, counting the one in play and the held one
+ * @returns {int}
+ */
+PuzzleMode.prototype.getPiecesLeft = function () {
+    var game = this.game;
+    var left = game.nextPieces.length + (game.gamePiece ? 1 : 0) + (game.heldPiece ? 1 : 0);
+    if (typeof game.randomizer.getRemaining === "function") {
+        left += game.randomizer.getRemaining();
+    }
+    return left;
+};
+
+PuzzleMode.prototype.start = function () {
+    this.game.setBoard(this.getRows());
+};
+
+PuzzleMode.prototype.bake = function (lines, piece, clear) {
+    var goal = this.goal;
+    if ((goal.type === "lines" && this.game.gameStats.lines >= goal.lines) ||
+            (goal.type === "perfectclear" && clear.perfectClear) ||
+            (goal.type === "clear" && clear.name === goal.name)) {
+        this.isSolved = true;
+    }
+    // solved with the last piece is still solved
+    this.game.checkEnd();
+};
+
+PuzzleMode.prototype.checkEnd = function () {
+    return this.isSolved ? "complete" : null;
+};
+
+PuzzleMode.prototype.getTimeLimit = function () {
+    return null;
+};
+
+PuzzleMode.prototype.isRanked = function () {
+    return false;
+};
+
+PuzzleMode.prototype.compareEntries = function (a, b) {
+    return a.duration - b.duration;
+};
+
+PuzzleMode.prototype.getState = function () {
+    return {isSolved: this.isSolved};
+};
+
+PuzzleMode.prototype.setState = function (state) {
+    this.isSolved = state.isSolved;
+};
+
+/*
+ * the game modes that can be chosen by name with the "mode" option
+ */
+GameEngine.gameModes = {
+    marathon: MarathonMode,
+    sprint: SprintMode,
+    ultra: UltraMode,
+    dig: DigMode,
+    versus: VersusMode,
+    drill: DrillMode,
+    puzzle: PuzzleMode
+};
+
+/*
+ * the randomizer strategies that can be chosen by name with the "randomizer" option
+ */
+GameEngine.randomizers = {
+    random: RandomRandomizer,
+    bag: BagRandomizer,
+    tgm: HistoryRandomizer
+};
+
+
+/**
+ * records a game as it is played - the seed and settings it started with, then every action performed
+ * and every clock update, in order - so ReplayPlayer can play it back exactly
+ * a new replay starts whenever a game starts; the one before is kept until the next reset
+ * @param {GameEngine} game
+ * @returns {ReplayRecorder}
+ */
+function ReplayRecorder(game) {
+    this.game = game;
+
+    // the game being recorded, and the one before it
+    this.replay = null;
+    this.lastReplay = null;
+
+    this.listeners = null;
+}
+
+/**
+ * starts recording every game played
+ * @returns {void}
+ */
+ReplayRecorder.prototype.attach = function () {
+    var self = this;
+    this.listeners = {
+        start: function () {
+            self.begin();
+        },
+        action: function (e) {
+            if (self.replay) {
+                self.replay.log.push(e.repeat ? "+" + e.action : e.action);
+            }
+        },
+        update: function (e) {
+            self.recordTime(e.elapsed);
+        },
+        gameover: function () {
+            self.finish();
+        },
+        // a restored game didn't start from its seed, so it can't be replayed
+        restore: function () {
+            self.replay = null;
+        },
+        reset: function () {
+            if (self.replay) {
+                self.finish();
+                self.lastReplay = self.replay;
+                self.replay = null;
+            }
+        }
+    };
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.on(eventName, this.listeners[eventName]);
+        }
+    }
+};
+
+/**
+ * stops recording
+ * @returns {void}
+ */
+ReplayRecorder.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.off(eventName, this.listeners[eventName]);
+        }
+    }
+    this.listeners = null;
+};
+
+/**
+ * starts a new replay for the game that just started
+ * @returns {void}
+ */
+ReplayRecorder.prototype.begin = function () {
+    this.replay = {
+        version: 1,
+        date: new Date().toISOString(),
+        settings: this.game.getSettings(),
+        // actions (strings, "+" in front of an auto-repeat) and clock updates (elapsed ms) in the order they happened -
+        // a run of identical updates is written as [elapsed, count]
+        log: [],
+        duration: 0,
+        result: null
+    };
+};
+
+/**
+ * adds a clock update to the replay
+ * @param {int} elapsed (in ms)
+ * @returns {void}
+ */
+ReplayRecorder.prototype.recordTime = function (elapsed) {
+    if (!this.replay) {
+        return;
+    }
+    var log = this.replay.log;
+    var last = log[log.length - 1];
+    if (last === elapsed) {
+        log[log.length - 1] = [elapsed, 2];
+    } else if (Array.isArray(last) && last[0] === elapsed) {
+        last[1]++;
+    } else {
+        log.push(elapsed);
+    }
+    this.replay.duration += elapsed;
+};
+
+/**
+ * notes how the game stands, so a playback can be checked against it
+ * @returns {void}
+ */
+ReplayRecorder.prototype.finish = function () {
+    if (this.replay) {
+        this.replay.result = {
+            score: this.game.gameStats.score,
+            difficulty: this.game.difficulty,
+            isGameOver: this.game.isGameOver
+        };
+    }
+};
+
+/**
+ * the game being recorded (as it stands) or, between games, the last one
+ * @returns {object} null if nothing was recorded yet
+ */
+ReplayRecorder.prototype.getReplay = function () {
+    if (this.replay) {
+        this.finish();
+        return this.replay;
+    }
+    return this.lastReplay;
+};
+
+/**
+ * the replay as JSON, to save or send along with a bug report
+ * @returns {string} null if nothing was recorded yet
+ */
+ReplayRecorder.prototype.toJSON = function () {
+    var replay = this.getReplay();
+    return replay ? JSON.stringify(replay) : null;
+};
+
+
+/**
+ * plays a recorded game back into a game - it is reset with the replay's seed and settings,
+ * then fed the same actions and clock updates. The game's own settings come back with stop()
+ * @param {GameEngine} game
+ * @param {object|string} replay as recorded by ReplayRecorder, or its JSON
+ * @returns {ReplayPlayer}
+ */
+function ReplayPlayer(game, replay) {
+    if (typeof replay === "string") {
+        replay = JSON.parse(replay);
+    }
+    if (!replay || replay.version !== 1 || !Array.isArray(replay.log)) {
+        throw new Error("Unsupported replay");
+    }
+    this.game = game;
+    this.replay = replay;
+
+    // where we are in the log - the entry, and how many updates of a run were played
+    this.position = 0;
+    this.repeat = 0;
+
+    // playback time (in ms) not yet used up by clock updates
+    this.time = 0;
+
+    this.previousSettings = null;
+}
+
+/**
+ * resets the game with the replay's settings, ready to play
+ * @returns {void}
+ */
+ReplayPlayer.prototype.start = function () {
+    this.previousSettings = this.game.getSettings();
+    this.previousSettings.seed = this.game.seedOption;
+    this.game.applySettings(this.replay.settings);
+    this.game.reset();
+    this.position = 0;
+    this.repeat = 0;
+    this.time = 0;
+};
+
+/**
+ * plays the next stretch of the replay
+ * @param {number} elapsed how much of the game to play (in ms) - scale real time to play faster or slower
+ * @returns {boolean} whether the replay is finished
+ */
+ReplayPlayer.prototype.advance = function (elapsed) {
+    var log = this.replay.log;
+    this.time += elapsed;
+    while (this.position < log.length) {
+        var entry = log[this.position];
+        if (typeof entry === "string") {
+            if (entry.charAt(0) === "+") {
+                this.game.performAction(entry.substring(1), true);
+            } else {
+                this.game.performAction(entry);
+            }
+            this.position++;
+            continue;
+        }
+        var time = Array.isArray(entry) ? entry[0] : entry;
+        var count = Array.isArray(entry) ? entry[1] : 1;
+        if (this.time < time) {
+            break;
+        }
+        this.time -= time;
+        this.game.update(time);
+        this.repeat++;
+        if (this.repeat >= count) {
+            this.position++;
+            this.repeat = 0;
+        }
+    }
+    return this.isFinished();
+};
+
+/**
+ * plays the rest of the replay at once
+ * @returns {void}
+ */
+ReplayPlayer.prototype.playToEnd = function () {
+    this.advance(Infinity);
+};
+
+/**
+ * determines if the whole replay has been played
+ * @returns {boolean}
+ */
+ReplayPlayer.prototype.isFinished = function () {
+    return this.position >= this.replay.log.length;
+};
+
+/**
+ * determines if the game ended up where the recording did
+ * @returns {boolean}
+ */
+ReplayPlayer.prototype.matchesResult = function () {
+    var result = this.replay.result;
+    return !!result && result.score === this.game.gameStats.score &&
+        result.difficulty === this.game.difficulty && result.isGameOver === this.game.isGameOver;
+};
+
+/**
+ * gives the game its own settings back, for the games played after the replay
+ * @returns {void}
+ */
+ReplayPlayer.prototype.stop = function () {
+    if (this.previousSettings) {
+        this.game.applySettings(this.previousSettings);
+        this.previousSettings = null;
+    }
+};
+
+
+/**
+ * judges the finesse of every piece played - whether it got where it landed with as few key presses as it could have
+ * (see GameEngine.findPlacements). Only moves and rotations count, and holding a direction counts once however far the piece slides.
+ * Pieces tucked or spun in under the stack, or pushed up by garbage, aren't judged
+ * each result is counted in the stats (see GameStats.recordFinesse), and emitted as "finesse" - {shape, keys, minimum, fault, actions},
+ * with the actions that would have taken the fewest keys
+ * @param {GameEngine} game
+ * @returns {FinesseTrainer}
+ */
+function FinesseTrainer(game) {
+    this.game = game;
+
+    // the actions that count as key presses
+    this.countedActions = ["left", "right", "rotate", "rotateleft", "rotate180"];
+
+    // the best way to each placement of the piece in play, by the cells it fills - null when the piece can't be judged
+    // and the keys pressed for it so far
+    this.placements = null;
+    this.keys = 0;
+
+    // the last piece judged
+    this.lastResult = null;
+
+    this.listeners = null;
+}
+
+/**
+ * starts judging every piece that comes into play
+ * @returns {void}
+ */
+FinesseTrainer.prototype.attach = function () {
+    var self = this;
+    var forget = function () {
+        self.placements = null;
+    };
+    this.listeners = {
+        spawn: function (e) {
+            self.begin(e.piece);
+        },
+        action: function (e) {
+            if (self.placements && !e.repeat && self.countedActions.indexOf(e.action) !== -1) {
+                self.keys++;
+            }
+        },
+        bake: function (e) {
+            self.judge(e.piece);
+        },
+        garbage: forget,
+        board: forget,
+        restore: forget,
+        reset: function () {
+            self.placements = null;
+            self.lastResult = null;
+        }
+    };
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.on(eventName, this.listeners[eventName]);
+        }
+    }
+};
+
+/**
+ * stops judging
+ * @returns {void}
+ */
+FinesseTrainer.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.off(eventName, this.listeners[eventName]);
+        }
+    }
+    this.listeners = null;
+    this.placements = null;
+};
+
+/**
+ * works out the fewest key presses to every placement of a piece that just came into play
+ * @param {GamePiece} piece
+ * @returns {void}
+ */
+FinesseTrainer.prototype.begin = function (piece) {
+    var placements = this.game.findPlacements(piece);
+    this.placements = {};
+    for (var i = 0; i < placements.length; i++) {
+        this.placements[placements[i].cells.join(" ")] = placements[i];
+    }
+    this.keys = 0;
+};
+
+/**
+ * compares the keys pressed for a piece that was just baked with the fewest it could have taken
+ * @param {GamePiece} piece
+ * @returns {void}
+ */
+FinesseTrainer.prototype.judge = function (piece) {
+    var best = this.placements ? this.placements[piece.getCells().join(" ")] : null;
+    this.placements = null;
+    if (!best) {
+        return;
+    }
+    this.lastResult = {
+        shape: piece.shape,
+        keys: this.keys,
+        minimum: best.keys,
+        fault: this.keys > best.keys,
+        actions: best.actions
+    };
+    this.game.gameStats.recordFinesse(this.lastResult.fault);
+    this.game.emit("finesse", this.lastResult);
+};
+
+
+/**
+ * a match between two engines side by side - two players at one keyboard, or a player and a bot
+ * every clear attacks: it first cancels the garbage waiting for the sender, and the rest is queued for the opponent
+ * (see VersusMode). The first to top out loses the round, and the first to win most of the rounds wins the match
+ * @param {array} players the two GameEngines
+ * @param {object} options
+ *      rounds: the most rounds in a match - best of 3 by default
+ *      seed: the seed of the first round (default random) - both players get the same pieces every round
+ * @returns {VersusMatch}
+ */
+function VersusMatch(players, options) {
+    options = options || {};
+    this.players = players;
+    this.rounds = options.rounds || 3;
+    this.seedOption = options.seed;
+
+    // the rounds won by each player, the round being played and who won it, and who won the match (-1 until decided)
+    this.wins = [0, 0];
+    this.round = 0;
+    this.isRoundOver = true;
+    this.roundWinner = -1;
+    this.winner = -1;
+
+    this.listeners = null;
+}
+
+/**
+ * joins the players to the match, sending their attacks across and watching for the loser
+ * @returns {void}
+ */
+VersusMatch.prototype.attach = function () {
+    var self = this;
+    var listenTo = function (index) {
+        return {
+            clear: function (clear) {
+                self.onClear(index, clear);
+            },
+            gameover: function () {
+                self.onGameOver(index);
+            }
+        };
+    };
+    this.listeners = [];
+    for (var i = 0; i < this.players.length; i++) {
+        var player = this.players[i];
+        player.match = this;
+        player.applySettings({mode: "versus"});
+        this.listeners.push(listenTo(i));
+        for (var eventName in this.listeners[i]) {
+            if (this.listeners[i].hasOwnProperty(eventName)) {
+                player.on(eventName, this.listeners[i][eventName]);
+            }
+        }
+    }
+};
+
+/**
+ * lets the players go their own way
+ * @returns {void}
+ */
+VersusMatch.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var i = 0; i < this.players.length; i++) {
+        for (var eventName in this.listeners[i]) {
+            if (this.listeners[i].hasOwnProperty(eventName)) {
+                this.players[i].off(eventName, this.listeners[i][eventName]);
+            }
+        }
+        this.players[i].match = null;
+    }
+    this.listeners = null;
+};
+
+/**
+ * the player across from a player
+ * @param {int} index
+ * @returns {GameEngine}
+ */
+VersusMatch.prototype.getOpponent = function (index) {
+    return this.players[1 - index];
+};
+
+/**
+ * sends the attack of a clear
+ * @param {int} index the player who cleared
+ * @param {object} clear
+ * @returns {void}
+ */
+VersusMatch.prototype.onClear = function (index, clear) {
+    if (this.isRoundOver) {
+        return;
+    }
+    var rows = this.players[index].mode.attack(clear);
+    if (rows > 0) {
+        var opponent = this.getOpponent(index);
+        opponent.mode.receive(rows, opponent.garbageRandom.nextInt(opponent.gameBoard.width));
+    }
+};
+
+/**
+ * ends the round when a player tops out - the other wins it
+ * @param {int} index the player whose game ended
+ * @returns {void}
+ */
+VersusMatch.prototype.onGameOver = function (index) {
+    if (this.isRoundOver) {
+        return;
+    }
+    this.isRoundOver = true;
+    this.roundWinner = 1 - index;
+    this.wins[this.roundWinner]++;
+    if (this.wins[this.roundWinner] > this.rounds / 2) {
+        this.winner = this.roundWinner;
+    }
+    this.getOpponent(index).endGame("win");
+};
+
+/**
+ * starts the next round - both players get the same fresh seed
+ * @returns {void}
+ */
+VersusMatch.prototype.startRound = function () {
+    var seed;
+    if (this.seedOption !== undefined && this.seedOption !== null) {
+        seed = this.seedOption + this.round;
+    } else {
+        seed = Math.floor(Math.random() * 4294967296);
+    }
+    this.round++;
+    this.isRoundOver = false;
+    this.roundWinner = -1;
+    for (var i = 0; i < this.players.length; i++) {
+        this.players[i].applySettings({seed: seed, mode: "versus"});
+        this.players[i].reset();
+    }
+};
+
+/**
+ * starts over with no rounds won
+ * @returns {void}
+ */
+VersusMatch.prototype.restart = function () {
+    this.wins = [0, 0];
+    this.round = 0;
+    this.winner = -1;
+    this.startRound();
+};
+
+/**
+ * determines if a player has won the match
+ * @returns {boolean}
+ */
+VersusMatch.prototype.isOver = function () {
+    return this.winner !== -1;
+};
+
+/**
+ * what the start/pause button does in a match: starts the first round, the next round or a new match,
+ * or pauses (or resumes) both players together
+ * @returns {void}
+ */
+VersusMatch.prototype.togglePause = function () {
+    if (this.isRoundOver) {
+        if (this.isOver() || this.round === 0) {
+            this.restart();
+        } else {
+            this.startRound();
+        }
+        return;
+    }
+    for (var i = 0; i < this.players.length; i++) {
+        this.players[i].togglePause();
+    }
+};
+
+
+/**
+ * a race against players on other machines, through a relay server (see tetris-server.js)
+ * everyone starts from the same seed after a countdown; every clear attacks like a VersusMatch, and the server
+ * passes the garbage on to an opponent. The last one standing wins. Opponents are seen through board snapshots
+ * The match doesn't open connections itself - give it a function that sends a message, and pass it the messages
+ * that arrive with receive()
+ * @param {GameEngine} game the local player
+ * @param {function} send called with each message (a plain object) for the server
+ * @param {object} options
+ *      name: the player's name (default "Player")
+ *      room: the room to race in (default "lobby")
+ * @returns {NetworkMatch}
+ */
+function NetworkMatch(game, send, options) {
+    options = options || {};
+    this.game = game;
+    this.send = send;
+    this.name = options.name || "Player";
+    this.room = options.room || "lobby";
+
+    // our id on the server, and everyone else in the room by id - {id, name, board, score, lines, pending, isAlive, place}
+    this.id = null;
+    this.opponents = {};
+
+    // the time left before the race starts (in ms), whether a race is on, and how it ended for us
+    this.countdown = 0;
+    this.isRacing = false;
+    this.place = 0;
+    this.winner = null;
+
+    // the last error the server sent
+    this.error = null;
+
+    this.listeners = null;
+}
+
+/**
+ * joins the room and starts sending the local player's board and attacks
+ * @returns {void}
+ */
+NetworkMatch.prototype.attach = function () {
+    var self = this;
+    this.game.match = this;
+    this.game.applySettings({mode: "versus"});
+    this.listeners = {
+        clear: function (clear) {
+            if (self.isRacing) {
+                var rows = self.game.mode.attack(clear);
+                if (rows > 0) {
+                    self.send({type: "attack", rows: rows});
+                }
+            }
+        },
+        bake: function () {
+            self.sendBoard();
+        },
+        garbage: function () {
+            self.sendBoard();
+        },
+        gameover: function (e) {
+            // a win is the server's call, and it already knows
+            if (self.isRacing && e.reason !== "win") {
+                self.sendBoard();
+                self.send({type: "gameover"});
+            }
+        }
+    };
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.on(eventName, this.listeners[eventName]);
+        }
+    }
+    this.send({type: "join", room: this.room, name: this.name});
+};
+
+/**
+ * stops sending
+ * @returns {void}
+ */
+NetworkMatch.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var eventName in this.listeners) {
+        if (this.listeners.hasOwnProperty(eventName)) {
+            this.game.off(eventName, this.listeners[eventName]);
+        }
+    }
+    this.listeners = null;
+    this.game.match = null;
+};
+
+/**
+ * sends a snapshot of the local board to the opponents
+ * @returns {void}
+ */
+NetworkMatch.prototype.sendBoard = function () {
+    if (!this.isRacing) {
+        return;
+    }
+    this.send({
+        type: "board",
+        rows: this.game.gameBoard.getRows(),
+        score: this.game.gameStats.score,
+        lines: this.game.gameStats.lines,
+        pending: this.game.mode.getPendingRows()
+    });
+};
+
+/**
+ * handles a message from the server - one that isn't valid (see isValidMessage), or of a type this game doesn't know, is ignored
+ * @param {object} message
+ * @returns {void}
+ */
+NetworkMatch.prototype.receive = function (message) {
+    if (!this.isValidMessage(message)) {
+        return;
+    }
+    var opponent = this.opponents[message.id];
+    switch (message.type) {
+        case "welcome":
+            this.id = message.id;
+            this.setPlayers(message.players);
+            break;
+        case "players":
+            this.setPlayers(message.players);
+            break;
+        case "countdown":
+            // everyone plays the same rules and pieces
+            this.game.applySettings(this.getRaceSettings(message));
+            this.countdown = message.delay;
+            this.place = 0;
+            this.winner = null;
+            this.error = null;
+            for (var id in this.opponents) {
+                if (this.opponents.hasOwnProperty(id)) {
+                    this.opponents[id].board = this.game.createBoard();
+                    this.opponents[id].isAlive = true;
+                    this.opponents[id].place = 0;
+                    this.opponents[id].score = 0;
+                    this.opponents[id].lines = 0;
+                    this.opponents[id].pending = 0;
+                }
+            }
+            break;
+        case "board":
+            if (opponent) {
+                opponent.board.setRows(message.rows);
+                opponent.score = message.score;
+                opponent.lines = message.lines;
+                opponent.pending = message.pending;
+            }
+            break;
+        case "attack":
+            if (this.isRacing && !this.game.isGameOver) {
+                this.game.mode.receive(message.rows, this.game.garbageRandom.nextInt(this.game.gameBoard.width));
+                this.sendBoard();
+            }
+            break;
+        case "gameover":
+            if (message.id === this.id) {
+                this.place = message.place;
+            } else if (opponent) {
+                opponent.isAlive = false;
+                opponent.place = message.place;
+            }
+            break;
+        case "result":
+            this.isRacing = false;
+            this.countdown = 0;
+            this.winner = message.winner;
+            if (message.winner === this.id) {
+                this.place = 1;
+                if (!this.game.isGameOver) {
+                    this.game.endGame("win");
+                }
+            } else if (this.opponents[message.winner]) {
+                this.opponents[message.winner].place = 1;
+            }
+            break;
+        case "error":
+            this.error = message.message;
+            break;
+        default:
+            // from a newer server, say
+            break;
+    }
+};
+
+/**
+ * determines if a message from the server can be handled without throwing, or leaving the match half changed -
+ * the lists of players are lists, board snapshots fit the board, attacks are whole rows and the settings of a race can be played
+ * @param {object} message
+ * @returns {boolean}
+ */
+NetworkMatch.prototype.isValidMessage = function (message) {
+    if (!message || typeof message !== "object") {
+        return false;
+    }
+    switch (message.type) {
+        case "welcome":
+        case "players":
+            return Array.isArray(message.players) && message.players.every(function (player) {
+                return !!player && typeof player === "object";
+            });
+        case "countdown":
+            var settings = message.settings;
+            if (settings !== undefined && settings !== null && (typeof settings !== "object" || Array.isArray(settings))) {
+                return false;
+            }
+            // tried out on an engine of their own first, as applySettings() can throw part way through
+            try {
+                new GameEngine(this.getRaceSettings(message)).init();
+            } catch (e) {
+                return false;
+            }
+            return true;
+        case "board":
+            return GameBoard.isValidRows(message.rows, this.game.gameBoard.width, this.game.gameBoard.height);
+        case "attack":
+            return typeof message.rows === "number" && message.rows % 1 === 0 && message.rows > 0;
+        default:
+            return true;
+    }
+};
+
+/**
+ * the settings a countdown message starts the race with - the race's rules, its seed, and versus
+ * @param {object} message
+ * @returns {object}
+ */
+NetworkMatch.prototype.getRaceSettings = function (message) {
+    var settings = {};
+    for (var key in message.settings) {
+        if (message.settings.hasOwnProperty(key)) {
+            settings[key] = message.settings[key];
+        }
+    }
+    settings.seed = message.seed;
+    settings.mode = "versus";
+    return settings;
+};
+
+/**
+ * catches up with who is in the room - players who stay keep their boards
+ * @param {array} players [{id, name}]
+ * @returns {void}
+ */
+NetworkMatch.prototype.setPlayers = function (players) {
+    var opponents = {};
+    for (var i = 0; i < players.length; i++) {
+        var player = players[i];
+        if (player.id === this.id) {
+            continue;
+        }
+        opponents[player.id] = this.opponents[player.id] || {
+            id: player.id,
+            name: player.name,
+            board: this.game.createBoard(),
+            score: 0,
+            lines: 0,
+            pending: 0,
+            isAlive: false,
+            place: 0
+        };
+    }
+    this.opponents = opponents;
+};
+
+/**
+ * everyone else in the room, in the order they joined
+ * @returns {array}
+ */
+NetworkMatch.prototype.getOpponents = function () {
+    var opponents = [];
+    for (var id in this.opponents) {
+        if (this.opponents.hasOwnProperty(id)) {
+            opponents.push(this.opponents[id]);
+        }
+    }
+    return opponents.sort(function (a, b) {
+        return a.id - b.id;
+    });
+};
+
+/**
+ * runs the countdown - the race starts when it runs out
+ * @param {int} elapsed the time that has passed (in ms)
+ * @returns {void}
+ */
+NetworkMatch.prototype.update = function (elapsed) {
+    if (this.countdown <= 0) {
+        return;
+    }
+    this.countdown -= elapsed;
+    if (this.countdown <= 0) {
+        this.countdown = 0;
+        this.isRacing = true;
+        this.game.reset();
+        this.sendBoard();
+    }
+};
+
+/**
+ * what the start/pause button does in a race: asks the server to start one, with our rules - a race can't be paused
+ * @returns {void}
+ */
+NetworkMatch.prototype.togglePause = function () {
+    if (this.isRacing || this.countdown > 0) {
+        return;
+    }
+    var settings = this.game.getSettings();
+    this.send({
+        type: "start",
+        settings: {
+            width: settings.width,
+            height: settings.height,
+            hiddenRows: settings.hiddenRows,
+            spawnPosition: settings.spawnPosition,
+            gravity: settings.gravity,
+            pieceSet: settings.pieceSet,
+            randomizer: settings.randomizer,
+            previewCount: settings.previewCount,
+            rotationSystem: settings.rotationSystem,
+            lockDelay: settings.lockDelay,
+            lockResets: settings.lockResets,
+            scoring: settings.scoring,
+            leveling: settings.leveling,
+            startLevel: settings.startLevel
+        }
+    });
+};
+
+
+/**
+ * a computer player - it finds every placement the piece in play can reach (see GameEngine.findPlacements), scores the board
+ * each one would leave with a heuristic and plays the best through performAction(), one action at a time, like a player's key presses
+ * call update() with the time elapsed to play at the pace of its difficulty, or play() to play as fast as it can
+ * @param {GameEngine} game the game to play
+ * @param {object} options
+ *      heuristic: the name of a set of weights in Bot.heuristics ("standard"), weights by feature name (see getFeatures),
+ *                 or a function(features) that returns a score - higher is better. Defaults to "standard"
+ *      difficulty: the name of a level in Bot.difficulties ("easy", "medium", "hard"), or an object like them - defaults to "medium"
+ *      seed: seeds the bot's mistakes, so it plays a game the same way twice (default random)
+ * @returns {Bot}
+ */
+function Bot(game, options) {
+    options = options || {};
+    this.game = game;
+
+    var heuristic = options.heuristic || "standard";
+    if (typeof heuristic === "string") {
+        if (!Bot.heuristics[heuristic]) {
+            throw new Error("Unknown heuristic: " + heuristic);
+        }
+        heuristic = Bot.heuristics[heuristic];
+    }
+    this.heuristic = heuristic;
+
+    var difficulty = options.difficulty || "medium";
+    if (typeof difficulty === "string") {
+        if (!Bot.difficulties[difficulty]) {
+            throw new Error("Unknown difficulty: " + difficulty);
+        }
+        difficulty = Bot.difficulties[difficulty];
+    }
+    this.difficulty = difficulty;
+
+    var seed = options.seed !== undefined && options.seed !== null ? options.seed : Math.floor(Math.random() * 4294967296);
+    this.random = new SeededRandom(seed);
+
+    // the actions left to play for the piece they were planned for - {piece, actions}, actions is null until it is planned
+    // and the time waited since the piece came into play, or since the last action
+    this.plan = null;
+    this.waitTime = 0;
+
+    // a board to try out the next piece on, so the game's own board is never touched
+    this.scratchBoard = null;
+}
+
+/*
+ * the weights the heuristic can be chosen by, with the "heuristic" option - each feature of the board (see getFeatures)
+ * is multiplied by its weight and the products are added up
+ * "standard" are the weights tuned for Tetris by Yiyuan Lee's genetic algorithm
+ */
+Bot.heuristics = {
+    standard: {lines: 0.760666, aggregateHeight: -0.510066, holes: -0.35663, bumpiness: -0.184483}
+};
+
+/*
+ * the levels the difficulty can be chosen by, with the "difficulty" option
+ *      thinkTime: how long to wait (in ms) before the first move of each piece
+ *      moveInterval: how long to wait (in ms) between moves
+ *      mistakes: how often (0 to 1) to play one of the next best placements rather than the best
+ *      hold: whether to consider holding the piece
+ *      lookahead: whether to consider where the next piece could go, too - much stronger, but much slower
+ */
+Bot.difficulties = {
+    easy: {thinkTime: 600, moveInterval: 150, mistakes: 0.3, hold: false, lookahead: false},
+    medium: {thinkTime: 300, moveInterval: 80, mistakes: 0.08, hold: true, lookahead: false},
+    hard: {thinkTime: 150, moveInterval: 50, mistakes: 0, hold: true, lookahead: true}
+};
+
+/**
+ * plays the game at the pace of the difficulty - called with the game clock, while the bot is in charge
+ * does nothing unless the game is running
+ * @param {int} elapsed the time that has passed (in ms)
+ * @returns {void}
+ */
+Bot.prototype.update = function (elapsed) {
+    var game = this.game;
+    if (!game.isRunning || game.isPaused || !game.gamePiece) {
+        this.plan = null;
+        return;
+    }
+    if (!this.plan || this.plan.piece !== game.gamePiece) {
+        this.plan = {piece: game.gamePiece, actions: null};
+        this.waitTime = 0;
+    }
+    this.waitTime += elapsed;
+
+    if (!this.plan.actions) {
+        if (this.waitTime < this.difficulty.thinkTime) {
+            return;
+        }
+        var move = this.findBestMove();
+        this.plan.actions = move ? move.actions : [];
+        // the first move is made as soon as the bot has made up its mind
+        this.waitTime = this.difficulty.moveInterval;
+    }
+
+    while (this.plan && this.plan.actions && this.plan.actions.length > 0 && this.waitTime >= this.difficulty.moveInterval) {
+        this.waitTime -= this.difficulty.moveInterval;
+        this.step();
+    }
+};
+
+/**
+ * plays the next action of the plan - if it can't be played (gravity got in the way), the piece is planned again from where it is
+ * @returns {void}
+ */
+Bot.prototype.step = function () {
+    var game = this.game;
+    var action = this.plan.actions.shift();
+    var isRepeat = action.charAt(0) === "+";
+    if (!game.performAction(isRepeat ? action.substring(1) : action, isRepeat)) {
+        var move = this.findBestMove();
+        this.plan.actions = move ? move.actions : [];
+    } else if (action === "hold") {
+        // the plan carries on with the piece that came out
+        this.plan.piece = game.gamePiece;
+    }
+};
+
+/**
+ * plays the piece in play straight away, wherever the bot would put it
+ * @returns {boolean} whether a piece was played - not if the game isn't running, is paused or has no piece in play
+ */
+Bot.prototype.playPiece = function () {
+    var game = this.game;
+    if (!game.isRunning || game.isPaused) {
+        return false;
+    }
+    var move = this.findBestMove();
+    if (!move) {
+        return false;
+    }
+    for (var i = 0; i < move.actions.length; i++) {
+        var action = move.actions[i];
+        var isRepeat = action.charAt(0) === "+";
+        if (!game.performAction(isRepeat ? action.substring(1) : action, isRepeat)) {
+            // drop it where it is rather than leave it in play
+            return game.performAction("harddrop");
+        }
+    }
+    return true;
+};
+
+/**
+ * plays the game as fast as it can (the clock stands still) until it is over - starting it first if it hasn't started
+ * stops straight away if the game is paused, or a piece can't be played
+ * @param {int} pieceLimit stop after this many pieces (optional)
+ * @returns {void}
+ */
+Bot.prototype.play = function (pieceLimit) {
+    var game = this.game;
+    if (!game.isRunning) {
+        game.start();
+    }
+    while (game.isRunning && !game.isPaused && !game.isGameOver && !(pieceLimit && game.gameStats.pieces >= pieceLimit)) {
+        if (!this.playPiece()) {
+            break;
+        }
+    }
+};
+
+/**
+ * decides where the piece in play goes - the best scoring placement of the piece, or of the piece it can be swapped for
+ * with hold, then maybe (see the difficulty's mistakes) one of the next best
+ * @returns {object} {piece, actions, score} - the piece as it would land, and the actions that put it there
+ *      (see GameEngine.findPlacements), ending with "harddrop" - null when no piece is in play
+ */
+Bot.prototype.findBestMove = function () {
+    var game = this.game;
+    if (!game.gamePiece) {
+        return null;
+    }
+    var board = game.gameBoard;
+    var grid = this.getGrid(board);
+
+    // the pieces to choose from, and the piece that comes after each
+    var choices = [{piece: game.gamePiece, actions: [], next: game.nextPieces[0]}];
+    if (this.difficulty.hold && game.canHold) {
+        var swap = game.heldPiece || game.nextPieces[0];
+        if (swap) {
+            var piece = new GamePiece(game, swap.shape);
+            piece.position = game.getSpawnPosition(piece);
+            if (board.isValidPosition(piece)) {
+                choices.push({piece: piece, actions: ["hold"], next: game.heldPiece ? game.nextPieces[0] : game.nextPieces[1]});
+            }
+        }
+    }
+
+    var moves = [];
+    for (var i = 0; i < choices.length; i++) {
+        var placements = game.findPlacements(choices[i].piece);
+        for (var j = 0; j < placements.length; j++) {
+            var result = this.place(grid, placements[j].cells);
+            var score = this.difficulty.lookahead && choices[i].next ?
+                    this.scoreNextPiece(result, choices[i].next) :
+                    this.evaluate(this.getFeatures(result.grid, result.lines));
+            moves.push({
+                piece: placements[j].piece,
+                actions: choices[i].actions.concat(placements[j].actions, ["harddrop"]),
+                score: score
+            });
+        }
+    }
+    if (moves.length === 0) {
+        return null;
+    }
+    moves.sort(function (a, b) {
+        return b.score - a.score;
+    });
+
+    if (moves.length > 1 && this.random.next() < this.difficulty.mistakes) {
+        return moves[1 + this.random.nextInt(Math.min(3, moves.length - 1))];
+    }
+    return moves[0];
+};
+
+/**
+ * the score of the best placement of the next piece, on the board one placement left behind
+ * @param {object} result the board after the placement, see place()
+ * @param {GamePiece} next the piece that comes next
+ * @returns {number} -Infinity if the next piece wouldn't fit
+ */
+Bot.prototype.scoreNextPiece = function (result, next) {
+    var board = this.getScratchBoard(result.grid);
+    var piece = new GamePiece(this.game, next.shape);
+    piece.position = this.game.getSpawnPosition(piece);
+    if (!board.isValidPosition(piece)) {
+        return -Infinity;
+    }
+    var best = -Infinity;
+    var placements = this.game.findPlacements(piece, board);
+    for (var i = 0; i < placements.length; i++) {
+        var nextResult = this.place(result.grid, placements[i].cells);
+        best = Math.max(best, this.evaluate(this.getFeatures(nextResult.grid, result.lines + nextResult.lines)));
+    }
+    return best;
+};
+
+/**
+ * which cells of the board are filled - columns of booleans, indexed [x][y] like GameBoard.gameBoard
+ * @param {GameBoard} board
+ * @returns {array}
+ */
+Bot.prototype.getGrid = function (board) {
+    var grid = [];
+    for (var x = 0; x < board.width; x++) {
+        grid[x] = [];
+        for (var y = 0; y < board.height; y++) {
+            grid[x][y] = board.gameBoard[x][y] instanceof GameBlock;
+        }
+    }
+    return grid;
+};
+
+/**
+ * a board with the given cells filled, to try the next piece on - the same one every time
+ * @param {array} grid see getGrid
+ * @returns {GameBoard}
+ */
+Bot.prototype.getScratchBoard = function (grid) {
+    var width = grid.length;
+    var height = width > 0 ? grid[0].length : 0;
+    if (!this.scratchBoard || this.scratchBoard.width !== width || this.scratchBoard.height !== height) {
+        this.scratchBoard = new GameBoard(this.game, width, height);
+    }
+    var block = new GameBlock(null);
+    for (var x = 0; x < width; x++) {
+        for (var y = 0; y < height; y++) {
+            this.scratchBoard.gameBoard[x][y] = grid[x][y] ? block : 0;
+        }
+    }
+    return this.scratchBoard;
+};
+
+/**
+ * fills the cells on a copy of the grid, then clears any lines they complete
+ * @param {array} grid see getGrid - left as it is
+ * @param {array} cells [x, y]
+ * @returns {object} {grid, lines} - the grid after the lines are cleared, and how many there were
+ */
+Bot.prototype.place = function (grid, cells) {
+    var result = [];
+    var x, y;
+    for (x = 0; x < grid.length; x++) {
+        result[x] = grid[x].slice();
+    }
+    for (var i = 0; i < cells.length; i++) {
+        result[cells[i][0]][cells[i][1]] = true;
+    }
+
+    var lines = 0;
+    var height = grid.length > 0 ? grid[0].length : 0;
+    for (y = 0; y < height; y++) {
+        var complete = true;
+        for (x = 0; x < result.length && complete; x++) {
+            complete = result[x][y];
+        }
+        if (complete) {
+            // everything above drops down a row
+            for (x = 0; x < result.length; x++) {
+                result[x].splice(y, 1);
+                result[x].unshift(false);
+            }
+            lines++;
+        }
+    }
+    return {grid: result, lines: lines};
+};
+
+/**
+ * measures a board for the heuristic
+ * @param {array} grid see getGrid
+ * @param {int} lines the lines cleared to get here
+ * @returns {object} {lines, holes (empty cells with a block somewhere above them), aggregateHeight (the heights of the columns added up),
+ *      bumpiness (the differences in height between neighbouring columns added up), maxHeight (the tallest column)} - heights are in rows
+ */
+Bot.prototype.getFeatures = function (grid, lines) {
+    var features = {lines: lines, holes: 0, aggregateHeight: 0, bumpiness: 0, maxHeight: 0};
+    var lastHeight = null;
+    for (var x = 0; x < grid.length; x++) {
+        var column = grid[x];
+        var top = column.indexOf(true);
+        var height = top === -1 ? 0 : column.length - top;
+        for (var y = top + 1; top !== -1 && y < column.length; y++) {
+            if (!column[y]) {
+                features.holes++;
+            }
+        }
+        features.aggregateHeight += height;
+        features.maxHeight = Math.max(features.maxHeight, height);
+        if (lastHeight !== null) {
+            features.bumpiness += Math.abs(height - lastHeight);
+        }
+        lastHeight = height;
+    }
+    return features;
+};
+
+/**
+ * scores a board with the heuristic
+ * @param {object} features see getFeatures
+ * @returns {number} higher is better
+ */
+Bot.prototype.evaluate = function (features) {
+    if (typeof this.heuristic === "function") {
+        return this.heuristic(features);
+    }
+    var score = 0;
+    for (var name in this.heuristic) {
+        if (this.heuristic.hasOwnProperty(name)) {
+            score += this.heuristic[name] * (features[name] || 0);
+        }
+    }
+    return score;
+};
+
+/**
+ * plays games headless, as fast as they can be played, to compare heuristics and difficulties
+ * each game is seeded, so the same options always give the same results
+ * @param {object} options
+ *      heuristic, difficulty: see Bot - the difficulty defaults to one that plays without mistakes or lookahead
+ *      games: how many games to play (default 10)
+ *      pieces: end each game after this many pieces, 0 for no limit (default 1000)
+ *      seed: the seed of the first game - each game after it takes the next one (default 1)
+ *      settings: GameEngine options for every game (a fixed start level keeps the scores comparable)
+ * @returns {object} {games: [{seed, score, lines, pieces, toppedOut}], and the averages over the games - score, lines and pieces,
+ *      and how many topped out (topouts)}
+ */
+Bot.benchmark = function (options) {
+    options = options || {};
+    var games = options.games || 10;
+    var pieceLimit = options.pieces !== undefined ? options.pieces : 1000;
+    var firstSeed = options.seed !== undefined ? options.seed : 1;
+    var difficulty = options.difficulty || {thinkTime: 0, moveInterval: 0, mistakes: 0, hold: true, lookahead: false};
+
+    var results = {games: [], score: 0, lines: 0, pieces: 0, topouts: 0};
+    for (var i = 0; i < games; i++) {
+        var settings = {};
+        for (var key in options.settings) {
+            if (options.settings.hasOwnProperty(key)) {
+                settings[key] = options.settings[key];
+            }
+        }
+        settings.seed = firstSeed + i;
+
+        var game = new GameEngine(settings);
+        game.init();
+        var bot = new Bot(game, {heuristic: options.heuristic, difficulty: difficulty, seed: settings.seed});
+        bot.play(pieceLimit);
+
+        var toppedOut = game.endReason === "topout";
+        results.games.push({
+            seed: settings.seed,
+            score: game.gameStats.score,
+            lines: game.gameStats.lines,
+            pieces: game.gameStats.pieces,
+            toppedOut: toppedOut
+        });
+        results.score += game.gameStats.score / games;
+        results.lines += game.gameStats.lines / games;
+        results.pieces += game.gameStats.pieces / games;
+        if (toppedOut) {
+            results.topouts++;
+        }
+    }
+    return results;
+};
+
+
+/**
+ * models the game board
+ * @param {GameEngine} game the Game
+ * @param {int} width (in blocks)
+ * @param {int} height (in blocks)
+ * @returns {GameBoard}
+ */
+function GameBoard(game, width, height) {
+
+    this.game = game;
+    this.width = width;
+    this.height = height;
+
+    //a 2D array to model the game board
+    this.gameBoard = [];
+
+    //Populate the board array with zeros
+    for (var i = 0; i < this.width; i++) {
+        this.gameBoard[i] = [];
+        for (var j = 0; j < this.height; j++) {
+            this.gameBoard[i][j] = 0;
+        }
+    }
+}
+
+/**
+ * determines if the x,y is on the game board
+ * @param {type} x
+ * @param {type} y
+ * @returns {Boolean}
+ */
+GameBoard.prototype.isOnBoard = function (x, y) {
+    if (x >= 0 && y >= 0 && x < this.gameBoard.length && y < this.gameBoard[0].length) {
+        return true;
+    } else {
+        return false;
+    }
+};
+
+/**
+ * determines if the x,y is occupied by a GameBlock. Values off the board are considered "occupied" for collision
+ * @param int x
+ * @param int y
+ */
+GameBoard.prototype.isOccupied = function (x, y) {
+    if (!this.isOnBoard(x, y)) {
+        return true;
+    }
+    if (this.gameBoard[x][y] instanceof GameBlock) {
+        return true;
+    } else {
+        return false;
+    }
+};
+
+GameBoard.prototype.isUnoccupied = function (x, y) {
+    return !this.isOccupied(x, y);
+};
+
+/**
+ * determines if the requested move is valid (won't collide with anything) for the gamePiece
+ * simulates the move on a cloned GamePiece
+ * @param {GamePiece} gamePiece the piece to move
+ * @param {string} direction the direction to move/rotate
+ * @returns {boolean} whether the move is possible
+ */
+GameBoard.prototype.isValidMove = function (gamePiece, direction) {
+    // clone the gamePiece to simulate the action
+    var tmpPiece = gamePiece.clone();
+
+    switch (direction) {
+        case "rotate":
+            tmpPiece.rotate(1);
+            break;
+        case "rotateleft":
+            tmpPiece.rotate(-1);
+            break;
+        case "left":
+        case "right":
+        case "down":
+            tmpPiece.move(direction);
+            break;
+    }
+
+    return this.isValidPosition(tmpPiece);
+};
+
+/**
+ * determines if the piece fits where it is - every block on the board and not overlapping the stack
+ * @param {GamePiece} gamePiece
+ * @returns {boolean}
+ */
+GameBoard.prototype.isValidPosition = function (gamePiece) {
+    // compute an array for this shape
+    gamePiece.computeShape();
+
+    // now check for collisions against the game board
+    for (var i = 0; i < gamePiece.height; i++) {
+        for (var j = 0; j < gamePiece.width; j++) {
+            var pieceBlock = gamePiece.shapeArray[i][j];
+            if (pieceBlock instanceof GameBlock) {
+                var boardPosition = {
+                    x: gamePiece.position.x + i,
+                    y: gamePiece.position.y + j
+                };
+                if (!this.isOnBoard(boardPosition.x, boardPosition.y) || this.isOccupied(boardPosition.x, boardPosition.y)) {
+                    return false;
+                }
+            }
+        }
+    }
+    return true;
+};
+
+/**
+ * finds any complete lines in the game board based on the piece that was just placed
+ *
+ * @param {GamePiece} gamePiece the game piece that was just baked onto the board
+ * @returns {array} the indices of any completed lines that will need to be removed
+ */
+GameBoard.prototype.checkLines = function (gamePiece) {
+    var completedLines = [];
+    var minY, maxY;
+    if (gamePiece) {
+        //check every row that the gamePiece occupies
+        //there is no need to scan any other rows because only the "baked" piece can matter
+        minY = Math.max(gamePiece.position.y, 0);
+        maxY = Math.min(gamePiece.position.y + gamePiece.height, this.height);
+    } else {
+        //if no gamePiece was provided, check every row
+        minY = 0;
+        maxY = this.height;
+    }
+
+    for (var j = minY; j < maxY; j++) {
+        var brokenLine = false;
+        for (var i = 0; i < this.width; i++) {
+            if (!(this.gameBoard[i][j] instanceof GameBlock)) {
+                brokenLine = true;
+                break;
+            }
+        }
+        if (!brokenLine) {
+            completedLines.push(j);
+        }
+    }
+    return completedLines;
+};
+
+/**
+ * collapses the completed lines from the game board
+ * works from top-to-bottom, collapsing the stack
+ * scoring is left to the engine (see GameEngine.scorePlacement)
+ *
+ * @param {array} completedLines
+ */
+GameBoard.prototype.clearLines = function (completedLines) {
+    if (completedLines.length > 0) {
+
+        // count the lines that held garbage before they go
+        var garbageLines = 0;
+        for (var g = 0; g < completedLines.length; g++) {
+            for (var x = 0; x < this.width; x++) {
+                if (this.gameBoard[x][completedLines[g]].color === GameBlock.GARBAGE) {
+                    garbageLines++;
+                    break;
+                }
+            }
+        }
+
+        //sort the completed lines to sweep from top-to-bottom (ascending order)
+        //the array should already be sorted based on the output from checkLines(), so this may be unneccesary...
+        var sortedLines = completedLines.slice().sort(function (a, b) {
+            return a - b;
+        });
+
+        //for each row in the sorted array, move all blocks above this line down one unit
+        for (var i = 0; i < sortedLines.length; i++) {
+            var rowNum = sortedLines[i];
+            //work "upwards" (toward zero) scanning rows
+            for (var j = rowNum; j >= 0; j--) {
+                //scan this row left to right, moving any Blocks down 1 unit
+                for (var k = 0; k < this.width; k++) {
+                    if (j > 0) {
+                        this.gameBoard[k][j] = this.gameBoard[k][j - 1];
+                    } else {
+                        this.gameBoard[k][j] = 0;
+                    }
+                }
+            }
+        }
+        this.game.gameStats.recordLines(completedLines.length, garbageLines);
+    }
+};
+
+/**
+ * pushes rows of garbage up from the bottom of the board - rows of garbage blocks with one hole in each
+ * the stack moves up to make room, and anything pushed off the top is lost
+ * @param {int} rows
+ * @param {int} hole the empty column, the same for every row - or undefined for a random hole in each row
+ * @returns {boolean} whether any blocks were pushed off the top
+ */
+GameBoard.prototype.insertGarbage = function (rows, hole) {
+    rows = Math.min(rows, this.height);
+    var overflowed = false;
+    for (var i = 0; i < this.width; i++) {
+        var pushedOff = this.gameBoard[i].splice(0, rows);
+        for (var j = 0; j < pushedOff.length; j++) {
+            if (pushedOff[j] instanceof GameBlock) {
+                overflowed = true;
+            }
+        }
+    }
+    for (var r = 0; r < rows; r++) {
+        var rowHole = hole !== undefined ? hole : this.game.garbageRandom.nextInt(this.width);
+        for (var k = 0; k < this.width; k++) {
+            this.gameBoard[k].push(k === rowHole ? 0 : new GameBlock(GameBlock.GARBAGE));
+        }
+    }
+    return overflowed;
+};
+
+
+
+/**
+ * the blocks on the board as plain (JSON-safe) data - a string per row, top to bottom,
+ * with "." for an empty cell and otherwise the color of the block
+ * @returns {array}
+ */
+GameBoard.prototype.getRows = function () {
+    var rows = [];
+    for (var y = 0; y < this.height; y++) {
+        var row = "";
+        for (var x = 0; x < this.width; x++) {
+            var block = this.gameBoard[x][y];
+            row += block instanceof GameBlock ? block.color.toString(36) : ".";
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * replaces the blocks on the board with rows from getRows() - anything that doesn't fit is left out
+ * @param {array} rows
+ * @returns {void}
+ */
+GameBoard.prototype.setRows = function (rows) {
+    for (var y = 0; y < this.height; y++) {
+        for (var x = 0; x < this.width; x++) {
+            var cell = y < rows.length ? rows[y].charAt(x) : "";
+            this.gameBoard[x][y] = cell && cell !== "." ? new GameBlock(parseInt(cell, 36)) : 0;
+        }
+    }
+};
+
+/**
+ * determines if rows from getRows() fit a board of the size - a row of cells ("." or a color) for every row of it
+ * @param {array} rows
+ * @param {int} width (in blocks)
+ * @param {int} height (in blocks, hidden rows included)
+ * @returns {boolean}
+ */
+GameBoard.isValidRows = function (rows, width, height) {
+    if (!Array.isArray(rows) || rows.length !== height) {
+        return false;
+    }
+    for (var y = 0; y < rows.length; y++) {
+        if (typeof rows[y] !== "string" || rows[y].length !== width || !/^[.0-9a-z]*$/.test(rows[y])) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * the height of the stack - from the floor to the highest block (in rows)
+ * @returns {int}
+ */
+GameBoard.prototype.getStackHeight = function () {
+    for (var j = 0; j < this.height; j++) {
+        for (var i = 0; i < this.width; i++) {
+            if (this.gameBoard[i][j] instanceof GameBlock) {
+                return this.height - j;
+            }
+        }
+    }
+    return 0;
+};
+
+/**
+ * determines if there are no blocks at all on the board
+ * @returns {boolean}
+ */
+GameBoard.prototype.isEmpty = function () {
+    for (var i = 0; i < this.width; i++) {
+        for (var j = 0; j < this.height; j++) {
+            if (this.gameBoard[i][j] instanceof GameBlock) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+/**
+ * copies (bakes) a piece onto the game board, scores it and replaces the game piece in play with a new one
+ * emits "bake" with the baked piece, the lines it completed and the classification of the clear
+ * @param {GamePiece} gamePiece the GamePiece to bake on the GameBoard
+ */
+GameBoard.prototype.bakePiece = function (gamePiece) {
+    if (gamePiece instanceof GamePiece) {
+        // T-spins depend on the corners around the piece, so look before it is baked
+        var tspin = this.game.detectTSpin(gamePiece);
+
+        // make sure the blocks exist even if the piece was never drawn
+        if (gamePiece.shapeArray.length === 0) {
+            gamePiece.computeShape();
+        }
+        //copy this piece onto the board
+        for (var i = 0; i < gamePiece.height; i++) {
+            for (var j = 0; j < gamePiece.width; j++) {
+                var boardPosition = {
+                    x: gamePiece.position.x + i,
+                    y: gamePiece.position.y + j
+                };
+                //Check to see if this block is on the board - should always be true
+                if (this.isOnBoard(boardPosition.x, boardPosition.y)) {
+                    var block = gamePiece.shapeArray[i][j];
+                    if (block instanceof GameBlock) {
+                        this.gameBoard[boardPosition.x][boardPosition.y] = block;
+                    }
+                }
+            }
+        }
+
+        // a piece locked out of sight, above the board, ends the game once it has been counted
+        var isLockedOut = this.game.isAboveBoard(gamePiece);
+
+        // find any completed lines
+        var completedLines = this.checkLines(gamePiece);
+
+        // count the piece at the height it reached, then remove the lines
+        this.game.gameStats.recordPiece(gamePiece, this.getStackHeight());
+        this.clearLines(completedLines);
+
+        // tally the score
+        var clear = this.game.scorePlacement({
+            piece: gamePiece,
+            lines: completedLines.length,
+            tspin: tspin,
+            perfectClear: completedLines.length > 0 && this.isEmpty()
+        });
+
+        // the next piece may be held again
+        this.game.canHold = true;
+
+        this.game.emit("bake", {piece: gamePiece, lines: completedLines, clear: clear});
+
+        // put the next piece in play - unless that was the end of the game
+        this.game.gamePiece = null;
+        if (isLockedOut) {
+            this.game.endGame("topout");
+            return;
+        }
+        if (this.game.checkEnd()) {
+            return;
+        }
+        if (typeof this.game.mode.bake === "function") {
+            this.game.mode.bake(completedLines.length, gamePiece, clear);
+        }
+        if (!this.game.isGameOver) {
+            this.game.selectNextPiece();   //select the new random piece
+        }
+    }
+};
+
+/**
+ * resize the board, adding or slicing out array elements as necessary
+ * @param {int} width
+ * @param {int} height
+ */
+GameBoard.prototype.resize = function (newWidth, newHeight) {
+    //find the difference between the current size of the canvas and the game board
+    for (var i = 0; i < Math.max(this.width, newWidth); i++) {
+        if (i >= newWidth) {
+            // the old board was bigger
+            // slice off the end of the array (width)
+            this.gameBoard = this.gameBoard.slice(0, newWidth);
+            break;
+        }
+        for (var j = 0; j < Math.max(this.height, newHeight); j++) {
+
+            if (j >= newHeight) {
+                // the old board was bigger
+                // slice off the end of the array (height)
+                this.gameBoard[i] = this.gameBoard[i].slice(0, newHeight);
+                break;
+            }
+            if (i >= this.width) {
+                // the oldboard was smaller
+                // create new array elements
+                if (j === 0) {
+                    this.gameBoard[i] = [];
+                }
+                this.gameBoard[i][j] = 0;
+            } else if (j >= this.height) {
+                // the oldboard was smaller
+                // create new array elements
+                this.gameBoard[i][j] = 0;
+            }
+        }
+    }
+    this.width = newWidth;
+    this.height = newHeight;
+};
+
+
+/**
+ * models a Tetromino game piece
+ * @param {GameEngine} game the Game object
+ * @param {string} shape char value describing this shape
+ */
+function GamePiece(game, shape) {
+    this.game = game;
+    /**
+     * The shape is denoted by a char, e.g. [i,j,l,o,s,t,z] for the tetrominoes
+     * This is the key into the hashed set of precomputed shapes (see GameEngine.parsePieceSet)
+     */
+    this.shape = shape;
+    this.shapeDescription = this.game.shapes[shape];
+
+    /**
+     * the current 90 degree rotation [0,1,2,3] for this piece
+     */
+    this.rotation = 0;
+
+    /**
+     * This contains the shape array, given the current rotation + shapeDescription
+     */
+    this.shapeArray = [];
+
+    // the box the shape turns in
+    this.height = this.shapeDescription.size;
+    this.width = this.shapeDescription.size;
+
+    /**
+     * The position of this piece on the board
+     */
+    this.position = {x: 0, y: 0};
+
+}
+
+/**
+ * copies this piece - its shape, rotation and position - so moves can be simulated on the copy
+ * @returns {GamePiece}
+ */
+GamePiece.prototype.clone = function () {
+    var tmpPiece = new GamePiece(this.game, this.shape);
+    tmpPiece.shapeDescription = this.shapeDescription;
+    tmpPiece.height = this.height;
+    tmpPiece.width = this.width;
+    tmpPiece.rotation = this.rotation;
+    tmpPiece.position = {
+        x: this.position.x,
+        y: this.position.y
+    };
+    return tmpPiece;
+};
+
+/**
+ * Populate the 2D array for this shape, given the current rotation + shapeDescription
+ */
+GamePiece.prototype.computeShape = function () {
+    for (var i = 0; i < this.width; i++) {
+        this.shapeArray[i] = [];
+        for (var j = 0; j < this.height; j++) {
+            this.shapeArray[i][j] = 0;
+        }
+    }
+    //make a GameBlock in each cell the shapeDescription fills at this rotation
+    var cells = this.shapeDescription.cells[this.rotation];
+    for (var k = 0; k < cells.length; k++) {
+        this.shapeArray[cells[k][0]][cells[k][1]] = new GameBlock(this.shapeDescription.color);
+    }
+};
+
+/**
+ * the board cells this piece covers where it is, column by column
+ * @returns {array} [x, y]
+ */
+GamePiece.prototype.getCells = function () {
+    var cells = [];
+    this.computeShape();
+    for (var i = 0; i < this.width; i++) {
+        for (var j = 0; j < this.height; j++) {
+            if (this.shapeArray[i][j] instanceof GameBlock) {
+                cells.push([this.position.x + i, this.position.y + j]);
+            }
+        }
+    }
+    return cells;
+};
+
+/**
+ * rotates the piece by stepping this.rotation through a cycle of integers
+ * wipes the shape array to force the shape to be recompiled
+ * @param {int} turns quarter turns clockwise - 1 (default), -1 for counter-clockwise or 2 for 180 degrees
+ * @returns {void}
+ */
+GamePiece.prototype.rotate = function (turns) {
+    if (turns === undefined) {
+        turns = 1;
+    }
+    //rotate the piece  - don't bother doing any collision checking here as this may be a synth test
+    this.rotation = (this.rotation + turns + 4) % 4;
+    this.shapeArray = [];
+};
+
+/**
+ * move or rotate the piece - don't bother doing any collision checking here
+ * @param {string} direction ['right','left','down','rotate']
+ * @returns {void}
+ */
+GamePiece.prototype.move = function (direction) {
+    switch (direction) {
+        case 'right':
+            this.position.x += 1;
+            break;
+        case 'left':
+            this.position.x -= 1;
+            break;
+        case 'down':
+            this.position.y += 1;
+            break;
+    }
+};
+
+
+/**
+ * stores game stats
+ * @param {GameEngine} game the Game
+ * @returns {GameStats}
+ */
+function GameStats(game) {
+
+    this.game = game;
+    this.score = 0;
+
+    // the part of the score earned by soft and hard drops, rather than by clearing lines
+    this.dropScore = 0;
+
+    // the lines cleared, in all and by how many went at once
+    this.lines = 0;
+    this.singles = 0;
+    this.doubles = 0;
+    this.triples = 0;
+    this.tetrises = 0;
+
+    // the lines cleared that held garbage (see GameBoard.insertGarbage)
+    this.garbageLines = 0;
+
+    // the pieces baked, in all and by shape key
+    this.pieces = 0;
+    this.piecesByShape = {};
+    var keys = game.getShapeKeys();
+    for (var i = 0; i < keys.length; i++) {
+        this.piecesByShape[keys[i]] = 0;
+    }
+
+    // the pieces judged for finesse (see FinesseTrainer), and how many of them took more key presses than they had to
+    this.finessePieces = 0;
+    this.finesseFaults = 0;
+
+    // key presses (auto-repeats don't count), the time played (in ms) and the highest the stack has been (in rows)
+    this.keys = 0;
+    this.time = 0;
+    this.maxHeight = 0;
+}
+
+/**
+ * adds points to the score, then lets the leveling policy advance the difficulty (see GameEngine.updateDifficulty)
+ * @param {int} val the points to add
+ * @param {string} source ['clear','drop'] - what the points were awarded for, defaults to "clear"
+ * @returns {void}
+ */
+GameStats.prototype.addScore = function (val, source) {
+    this.score += val;
+    if (source === "drop") {
+        this.dropScore += val;
+    }
+    this.game.updateDifficulty();
+};
+
+GameStats.prototype.resetScore = function () {
+    this.score = 0;
+    this.dropScore = 0;
+};
+
+/**
+ * counts a piece baked onto the board
+ * @param {GamePiece} piece
+ * @param {int} stackHeight the height of the stack with the piece on it, before any lines are cleared (in rows)
+ * @returns {void}
+ */
+GameStats.prototype.recordPiece = function (piece, stackHeight) {
+    this.pieces++;
+    this.piecesByShape[piece.shape] = (this.piecesByShape[piece.shape] || 0) + 1;
+    this.maxHeight = Math.max(this.maxHeight, stackHeight);
+};
+
+/**
+ * counts lines cleared at once
+ * @param {int} count
+ * @param {int} garbage how many of them held garbage
+ * @returns {void}
+ */
+GameStats.prototype.recordLines = function (count, garbage) {
+    this.lines += count;
+    this.garbageLines += garbage || 0;
+    if (count === 1) {
+        this.singles++;
+    } else if (count === 2) {
+        this.doubles++;
+    } else if (count === 3) {
+        this.triples++;
+    } else if (count >= 4) {
+        this.tetrises++;
+    }
+};
+
+/**
+ * counts a piece judged for finesse
+ * @param {boolean} fault whether it took more key presses than it had to
+ * @returns {void}
+ */
+GameStats.prototype.recordFinesse = function (fault) {
+    this.finessePieces++;
+    if (fault) {
+        this.finesseFaults++;
+    }
+};
+
+/**
+ * counts a key press
+ * @returns {void}
+ */
+GameStats.prototype.recordKey = function () {
+    this.keys++;
+};
+
+/**
+ * the pieces placed per second of play
+ * @returns {number}
+ */
+GameStats.prototype.getPiecesPerSecond = function () {
+    return this.time > 0 ? this.pieces / (this.time / 1000) : 0;
+};
+
+/**
+ * the key presses per piece placed
+ * @returns {number}
+ */
+GameStats.prototype.getKeysPerPiece = function () {
+    return this.pieces > 0 ? this.keys / this.pieces : 0;
+};
+
+/**
+ * the share of the pieces judged for finesse that were faults
+ * @returns {number} 0 to 1
+ */
+GameStats.prototype.getFaultRate = function () {
+    return this.finessePieces > 0 ? this.finesseFaults / this.finessePieces : 0;
+};
+
+/**
+ * the statistics of this game as a plain object - for a summary screen or analytics
+ * @returns {object}
+ */
+GameStats.prototype.getSummary = function () {
+    var piecesByShape = {};
+    for (var shape in this.piecesByShape) {
+        if (this.piecesByShape.hasOwnProperty(shape)) {
+            piecesByShape[shape] = this.piecesByShape[shape];
+        }
+    }
+    return {
+        score: this.score,
+        level: this.game.difficulty + 1,
+        lines: this.lines,
+        singles: this.singles,
+        doubles: this.doubles,
+        triples: this.triples,
+        tetrises: this.tetrises,
+        garbageLines: this.garbageLines,
+        pieces: this.pieces,
+        piecesByShape: piecesByShape,
+        piecesPerSecond: this.getPiecesPerSecond(),
+        keys: this.keys,
+        keysPerPiece: this.getKeysPerPiece(),
+        finessePieces: this.finessePieces,
+        finesseFaults: this.finesseFaults,
+        faultRate: this.getFaultRate(),
+        time: this.time,
+        maxHeight: this.maxHeight
+    };
+};
+
+/**
+ * the counters to carry on with in a saved game (see GameEngine.serialize)
+ * @returns {object}
+ */
+GameStats.prototype.getState = function () {
+    var state = this.getSummary();
+    state.dropScore = this.dropScore;
+    delete state.level;
+    delete state.piecesPerSecond;
+    delete state.keysPerPiece;
+    delete state.faultRate;
+    return state;
+};
+
+GameStats.prototype.setState = function (state) {
+    for (var key in state) {
+        if (state.hasOwnProperty(key) && this.hasOwnProperty(key) && key !== "game") {
+            this[key] = state[key];
+        }
+    }
+};
+
+
+// expose the engine to Node (tests, bots, servers) - in the browser these are plain globals
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        GameBlock: GameBlock,
+        GameEngine: GameEngine,
+        GameBoard: GameBoard,
+        GamePiece: GamePiece,
+        GameStats: GameStats,
+        SeededRandom: SeededRandom,
+        RandomRandomizer: RandomRandomizer,
+        BagRandomizer: BagRandomizer,
+        HistoryRandomizer: HistoryRandomizer,
+        SequenceRandomizer: SequenceRandomizer,
+        ClassicScoring: ClassicScoring,
+        GuidelineScoring: GuidelineScoring,
+        ScoreLeveling: ScoreLeveling,
+        LineLeveling: LineLeveling,
+        FixedLeveling: FixedLeveling,
+        MarathonMode: MarathonMode,
+        SprintMode: SprintMode,
+        UltraMode: UltraMode,
+        DigMode: DigMode,
+        VersusMode: VersusMode,
+        DrillMode: DrillMode,
+        PuzzleMode: PuzzleMode,
+        VersusMatch: VersusMatch,
+        NetworkMatch: NetworkMatch,
+        Bot: Bot,
+        describeClear: describeClear,
+        ReplayRecorder: ReplayRecorder,
+        ReplayPlayer: ReplayPlayer,
+        FinesseTrainer: FinesseTrainer
+    };
+}
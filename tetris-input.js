@@ -0,0 +1,802 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Player input for the browser front-end - turns key presses, gamepad buttons and touch gestures into game actions
+ * (see GameEngine.performAction) and sends them to Game.handleInput
+ */
+
+/**
+ * tracks the actions being held down on any device and repeats them with our own timing,
+ * so held movement feels the same on every machine:
+ * left/right wait for the delayed auto shift (DAS) and then repeat at the auto repeat rate (ARR),
+ * soft drop repeats at its own rate
+ * @param {Game} game the Game to control
+ * @param {object} options
+ *      das: the delay (in ms) before a held left/right starts repeating (default 170)
+ *      arr: the time (in ms) between repeats once it does (default 50) - 0 moves all the way at once
+ *      softDropInterval: the time (in ms) between repeats of a held soft drop (default 50) - 0 drops all the way at once
+ * @returns {ActionRepeater}
+ */
+function ActionRepeater(game, options) {
+    options = options || {};
+
+    this.game = game;
+    this.das = options.das !== undefined ? options.das : 170;
+    this.arr = options.arr !== undefined ? options.arr : 50;
+    this.softDropInterval = options.softDropInterval !== undefined ? options.softDropInterval : 50;
+
+    // the repeating actions being held, keyed by action - {source, time, repeatTime, isCharged}
+    this.held = {};
+
+    // the most recently pressed of left/right - it wins while both are held
+    this.lastHorizontal = null;
+}
+
+/**
+ * an action was pressed - it fires right away, and repeating actions start their timers
+ * @param {string} action
+ * @param {string} source what pressed it (e.g. "key37" or "pad14") - only the same source can release it
+ * @returns {void}
+ */
+ActionRepeater.prototype.press = function (action, source) {
+    if (this.held[action]) {
+        return;
+    }
+    if (this.isRepeating(action)) {
+        this.held[action] = {source: source, time: 0, repeatTime: 0, isCharged: false};
+        if (action === "left" || action === "right") {
+            this.lastHorizontal = action;
+        }
+    }
+    this.game.handleInput(action);
+};
+
+/**
+ * an action was released - it stops repeating
+ * @param {string} action
+ * @param {string} source what pressed it
+ * @returns {void}
+ */
+ActionRepeater.prototype.release = function (action, source) {
+    if (!this.held[action] || this.held[action].source !== source) {
+        return;
+    }
+    delete this.held[action];
+
+    // if the other direction is still held, it takes over - and has to charge up again
+    if (action === this.lastHorizontal) {
+        var other = action === "left" ? "right" : "left";
+        this.lastHorizontal = null;
+        if (this.held[other]) {
+            this.lastHorizontal = other;
+            this.held[other] = {source: this.held[other].source, time: 0, repeatTime: 0, isCharged: false};
+        }
+    }
+};
+
+/**
+ * forgets every held action
+ * @returns {void}
+ */
+ActionRepeater.prototype.releaseAll = function () {
+    this.held = {};
+    this.lastHorizontal = null;
+};
+
+/**
+ * determines if holding this action repeats it
+ * @param {string} action
+ * @returns {boolean}
+ */
+ActionRepeater.prototype.isRepeating = function (action) {
+    return action === "left" || action === "right" || action === "down";
+};
+
+/**
+ * repeats the held actions that are due - called every frame by the game clock
+ * @param {int} elapsed the time since the last update (in ms)
+ * @returns {void}
+ */
+ActionRepeater.prototype.update = function (elapsed) {
+    for (var action in this.held) {
+        if (!this.held.hasOwnProperty(action)) {
+            continue;
+        }
+        // only the most recently pressed direction moves
+        if ((action === "left" || action === "right") && action !== this.lastHorizontal) {
+            continue;
+        }
+        var state = this.held[action];
+        var delay = action === "down" ? this.softDropInterval : this.das;
+        var rate = action === "down" ? this.softDropInterval : this.arr;
+
+        state.time += elapsed;
+        if (state.time < delay) {
+            continue;
+        }
+        // the first repeat fires as soon as the delay is up, then one every "rate" ms
+        if (!state.isCharged) {
+            state.isCharged = true;
+            state.repeatTime = rate + (state.time - delay);
+        } else {
+            state.repeatTime += elapsed;
+        }
+
+        if (rate === 0) {
+            // all the way, as far as the piece can go
+            var limit = Math.max(this.game.gameBoard.width, this.game.gameBoard.height);
+            for (var i = 0; i < limit; i++) {
+                if (!this.game.gamePiece || (action === "down" && this.game.isGrounded())) {
+                    break;
+                }
+                if (!this.game.handleInput(action, true)) {
+                    break;
+                }
+            }
+        } else {
+            while (state.repeatTime >= rate) {
+                state.repeatTime -= rate;
+                this.game.handleInput(action, true);
+            }
+        }
+    }
+};
+
+
+/**
+ * the default key bindings - keyCode: action
+ */
+var DEFAULT_KEY_BINDINGS = {
+    37: "left",         //left arrow
+    39: "right",        //right arrow
+    40: "down",         //down arrow
+    13: "harddrop",     //enter
+    38: "rotate",       //up arrow
+    88: "rotate",       //x
+    90: "rotateleft",   //z
+    17: "rotateleft",   //ctrl
+    65: "rotate180",    //a
+    16: "hold",         //shift
+    67: "hold",         //c
+    32: "pause",        //spacebar
+    82: "resume",       //r
+    76: "scores"        //l
+};
+
+/**
+ * key bindings for two players sharing a keyboard (see VersusMatch) - the left hand player, then the right
+ */
+var VERSUS_KEY_BINDINGS = [
+    {
+        65: "left",         //a
+        68: "right",        //d
+        83: "down",         //s
+        87: "harddrop",     //w
+        69: "rotate",       //e
+        81: "rotateleft",   //q
+        67: "hold",         //c
+        32: "pause"         //spacebar
+    },
+    {
+        37: "left",         //left arrow
+        39: "right",        //right arrow
+        40: "down",         //down arrow
+        38: "harddrop",     //up arrow
+        191: "rotate",      //slash
+        190: "rotateleft",  //period
+        16: "hold",         //shift
+        13: "pause"         //enter
+    }
+];
+
+/**
+ * reads the keyboard and presses the bound actions on an ActionRepeater
+ * the OS key repeat is ignored - the repeater does its own
+ * @param {ActionRepeater} repeater
+ * @param {object} options
+ *      bindings: keyCode: action pairs to use instead of the saved (or default) bindings
+ *      storageKey: the localStorage key the bindings are saved under (default "webtris.keys") - give each player their own
+ * @returns {KeyboardInput}
+ */
+function KeyboardInput(repeater, options) {
+    options = options || {};
+
+    this.repeater = repeater;
+    this.storageKey = options.storageKey || "webtris.keys";
+    this.bindings = options.bindings || this.load() || this.getDefaultBindings();
+
+    // a callback waiting for the next key press (see captureNextKey)
+    this.keyCapture = null;
+
+    // a callback taking every key press while text is typed (see captureText)
+    this.textCapture = null;
+
+    this.target = null;
+    this.listeners = null;
+}
+
+/**
+ * the names of keys that don't print as a character
+ */
+KeyboardInput.keyNames = {
+    8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt", 27: "Esc", 32: "Space",
+    37: "Left", 38: "Up", 39: "Right", 40: "Down", 45: "Insert", 46: "Delete", 188: ",", 190: ".", 191: "/"
+};
+
+/**
+ * a readable name for a key, e.g. "Left" or "Z"
+ * @param {int} keyCode
+ * @returns {string}
+ */
+KeyboardInput.getKeyName = function (keyCode) {
+    return KeyboardInput.keyNames[keyCode] || String.fromCharCode(keyCode);
+};
+
+/**
+ * a fresh copy of the default bindings
+ * @returns {object}
+ */
+KeyboardInput.prototype.getDefaultBindings = function () {
+    var bindings = {};
+    for (var keyCode in DEFAULT_KEY_BINDINGS) {
+        if (DEFAULT_KEY_BINDINGS.hasOwnProperty(keyCode)) {
+            bindings[keyCode] = DEFAULT_KEY_BINDINGS[keyCode];
+        }
+    }
+    return bindings;
+};
+
+/**
+ * starts listening for key presses
+ * @param {Element} target the element to listen on (document or window for the whole page)
+ * @returns {void}
+ */
+KeyboardInput.prototype.attach = function (target) {
+    var self = this;
+    this.target = target;
+    this.listeners = {
+        keydown: function (e) {
+            self.onKeyDown(e);
+        },
+        keyup: function (e) {
+            self.onKeyUp(e);
+        },
+        // keys released while the page didn't have focus would otherwise stay held
+        blur: function () {
+            self.repeater.releaseAll();
+        }
+    };
+    target.addEventListener("keydown", this.listeners.keydown);
+    target.addEventListener("keyup", this.listeners.keyup);
+    window.addEventListener("blur", this.listeners.blur);
+};
+
+/**
+ * stops listening for key presses
+ * @returns {void}
+ */
+KeyboardInput.prototype.detach = function () {
+    if (!this.target) {
+        return;
+    }
+    this.target.removeEventListener("keydown", this.listeners.keydown);
+    this.target.removeEventListener("keyup", this.listeners.keyup);
+    window.removeEventListener("blur", this.listeners.blur);
+    this.target = null;
+    this.listeners = null;
+    this.repeater.releaseAll();
+};
+
+/**
+ * handles a key press
+ * @param {KeyboardEvent} e
+ * @returns {void}
+ */
+KeyboardInput.prototype.onKeyDown = function (e) {
+    if (this.textCapture) {
+        this.textCapture(e);
+        e.preventDefault();
+        return;
+    }
+    if (this.keyCapture) {
+        var capture = this.keyCapture;
+        this.keyCapture = null;
+        capture(e.keyCode);
+        e.preventDefault();
+        return;
+    }
+
+    var action = this.bindings[e.keyCode];
+    if (!action) {
+        return;
+    }
+    e.preventDefault();
+
+    // we do our own repeating - ignore the OS key repeat
+    if (e.repeat) {
+        return;
+    }
+    this.repeater.press(action, "key" + e.keyCode);
+};
+
+/**
+ * handles a key release
+ * @param {KeyboardEvent} e
+ * @returns {void}
+ */
+KeyboardInput.prototype.onKeyUp = function (e) {
+    var action = this.bindings[e.keyCode];
+    if (action) {
+        this.repeater.release(action, "key" + e.keyCode);
+    }
+};
+
+/**
+ * sends the next key press to the callback instead of the game - used to remap keys
+ * @param {function} callback called with the keyCode
+ * @returns {void}
+ */
+KeyboardInput.prototype.captureNextKey = function (callback) {
+    this.repeater.releaseAll();
+    this.keyCapture = callback;
+};
+
+/**
+ * sends every key press to the callback instead of the game, until it is called with null - used to type a name
+ * @param {function} callback called with the KeyboardEvent, or null to give the keys back to the game
+ * @returns {void}
+ */
+KeyboardInput.prototype.captureText = function (callback) {
+    this.repeater.releaseAll();
+    this.textCapture = callback;
+};
+
+/**
+ * the keys bound to an action
+ * @param {string} action
+ * @returns {array} keyCodes
+ */
+KeyboardInput.prototype.getKeysFor = function (action) {
+    var keys = [];
+    for (var keyCode in this.bindings) {
+        if (this.bindings.hasOwnProperty(keyCode) && this.bindings[keyCode] === action) {
+            keys.push(parseInt(keyCode, 10));
+        }
+    }
+    return keys;
+};
+
+/**
+ * binds a key to an action, replacing whatever the key did before
+ * @param {int} keyCode
+ * @param {string} action
+ * @returns {void}
+ */
+KeyboardInput.prototype.bind = function (keyCode, action) {
+    this.bindings[keyCode] = action;
+    this.repeater.releaseAll();
+};
+
+/**
+ * makes keyCode the only key for an action and saves the bindings
+ * @param {string} action
+ * @param {int} keyCode
+ * @returns {void}
+ */
+KeyboardInput.prototype.rebind = function (action, keyCode) {
+    var keys = this.getKeysFor(action);
+    for (var i = 0; i < keys.length; i++) {
+        delete this.bindings[keys[i]];
+    }
+    this.bind(keyCode, action);
+    this.save();
+};
+
+/**
+ * goes back to the default bindings and saves them
+ * @returns {void}
+ */
+KeyboardInput.prototype.resetBindings = function () {
+    this.bindings = this.getDefaultBindings();
+    this.repeater.releaseAll();
+    this.save();
+};
+
+/**
+ * saves the bindings to localStorage
+ * @returns {void}
+ */
+KeyboardInput.prototype.save = function () {
+    try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch (e) {
+        // storage may be full or disabled - the bindings just won't persist
+    }
+};
+
+/**
+ * loads the saved bindings from localStorage - actions added since they were saved get their default key,
+ * unless it has been taken for something else
+ * @returns {object} null if there are none
+ */
+KeyboardInput.prototype.load = function () {
+    var bindings;
+    try {
+        var saved = localStorage.getItem(this.storageKey);
+        bindings = saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        return null;
+    }
+    if (!bindings || typeof bindings !== "object") {
+        return null;
+    }
+    var actions = {};
+    for (var keyCode in bindings) {
+        if (bindings.hasOwnProperty(keyCode)) {
+            actions[bindings[keyCode]] = true;
+        }
+    }
+    for (keyCode in DEFAULT_KEY_BINDINGS) {
+        if (DEFAULT_KEY_BINDINGS.hasOwnProperty(keyCode) && !actions[DEFAULT_KEY_BINDINGS[keyCode]] && !bindings.hasOwnProperty(keyCode)) {
+            bindings[keyCode] = DEFAULT_KEY_BINDINGS[keyCode];
+        }
+    }
+    return bindings;
+};
+
+
+/**
+ * the default gamepad bindings for the "standard" mapping - button index: action
+ * (A/cross, B/circle, X/square, Y/triangle, shoulders, select, start, d-pad)
+ */
+var DEFAULT_GAMEPAD_BINDINGS = {
+    0: "rotate",
+    1: "rotateleft",
+    2: "rotate180",
+    3: "hold",
+    4: "hold",
+    5: "hold",
+    8: "resume",
+    9: "pause",
+    12: "harddrop",
+    13: "down",
+    14: "left",
+    15: "right"
+};
+
+/**
+ * polls a gamepad every animation frame (the Gamepad API has no events for buttons)
+ * and presses the bound actions on an ActionRepeater. The left stick works like the d-pad
+ * @param {ActionRepeater} repeater
+ * @param {object} options
+ *      gamepadIndex: which connected gamepad to read (default: the first one found)
+ *      gamepadBindings: button index: action pairs to use instead of the defaults
+ * @returns {GamepadInput}
+ */
+function GamepadInput(repeater, options) {
+    options = options || {};
+
+    this.repeater = repeater;
+    this.gamepadIndex = options.gamepadIndex;
+    this.bindings = options.gamepadBindings || DEFAULT_GAMEPAD_BINDINGS;
+
+    // how far the stick has to be pushed to count
+    this.stickThreshold = 0.5;
+
+    // the actions pressed on the last poll
+    this.pressed = {};
+
+    this.frameRequest = null;
+    this.listeners = null;
+}
+
+/**
+ * determines if the browser supports the Gamepad API
+ * @returns {boolean}
+ */
+GamepadInput.isSupported = function () {
+    return typeof navigator !== "undefined" && typeof navigator.getGamepads === "function";
+};
+
+/**
+ * starts polling while a gamepad is connected
+ * @returns {void}
+ */
+GamepadInput.prototype.attach = function () {
+    if (!GamepadInput.isSupported()) {
+        return;
+    }
+    var self = this;
+    this.listeners = {
+        gamepadconnected: function () {
+            self.startPolling();
+        },
+        gamepaddisconnected: function () {
+            if (!self.getGamepad()) {
+                self.stopPolling();
+            }
+        }
+    };
+    window.addEventListener("gamepadconnected", this.listeners.gamepadconnected);
+    window.addEventListener("gamepaddisconnected", this.listeners.gamepaddisconnected);
+
+    // a gamepad may already be connected
+    if (this.getGamepad()) {
+        this.startPolling();
+    }
+};
+
+/**
+ * stops polling
+ * @returns {void}
+ */
+GamepadInput.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    window.removeEventListener("gamepadconnected", this.listeners.gamepadconnected);
+    window.removeEventListener("gamepaddisconnected", this.listeners.gamepaddisconnected);
+    this.listeners = null;
+    this.stopPolling();
+};
+
+GamepadInput.prototype.startPolling = function () {
+    if (this.frameRequest !== null) {
+        return;
+    }
+    var self = this;
+    var frame = function () {
+        self.poll();
+        self.frameRequest = requestAnimationFrame(frame);
+    };
+    this.frameRequest = requestAnimationFrame(frame);
+};
+
+GamepadInput.prototype.stopPolling = function () {
+    if (this.frameRequest !== null) {
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+    this.releaseAll();
+};
+
+/**
+ * the gamepad this input reads
+ * @returns {Gamepad} null if it isn't connected
+ */
+GamepadInput.prototype.getGamepad = function () {
+    var gamepads = navigator.getGamepads();
+    if (this.gamepadIndex !== undefined) {
+        return gamepads[this.gamepadIndex] || null;
+    }
+    for (var i = 0; i < gamepads.length; i++) {
+        if (gamepads[i]) {
+            return gamepads[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * reads the gamepad and presses/releases actions whose buttons changed since the last poll
+ * @returns {void}
+ */
+GamepadInput.prototype.poll = function () {
+    var gamepad = this.getGamepad();
+    if (!gamepad) {
+        this.releaseAll();
+        return;
+    }
+
+    var nowPressed = {};
+    for (var button in this.bindings) {
+        if (this.bindings.hasOwnProperty(button)) {
+            var state = gamepad.buttons[button];
+            if (state && state.pressed) {
+                nowPressed[this.bindings[button]] = true;
+            }
+        }
+    }
+    // the left stick
+    if (gamepad.axes.length >= 2) {
+        if (gamepad.axes[0] < -this.stickThreshold) {
+            nowPressed.left = true;
+        } else if (gamepad.axes[0] > this.stickThreshold) {
+            nowPressed.right = true;
+        }
+        if (gamepad.axes[1] > this.stickThreshold) {
+            nowPressed.down = true;
+        }
+    }
+
+    var action;
+    for (action in this.pressed) {
+        if (this.pressed.hasOwnProperty(action) && !nowPressed[action]) {
+            this.repeater.release(action, "pad");
+        }
+    }
+    for (action in nowPressed) {
+        if (nowPressed.hasOwnProperty(action) && !this.pressed[action]) {
+            this.repeater.press(action, "pad");
+        }
+    }
+    this.pressed = nowPressed;
+};
+
+GamepadInput.prototype.releaseAll = function () {
+    for (var action in this.pressed) {
+        if (this.pressed.hasOwnProperty(action)) {
+            this.repeater.release(action, "pad");
+        }
+    }
+    this.pressed = {};
+};
+
+
+/**
+ * reads touch gestures on the game's canvas:
+ * tap to rotate, drag sideways to move (one column per block dragged), drag down to soft drop,
+ * flick down to hard drop, swipe up to hold and tap with two fingers to pause.
+ * While the game is paused or not yet started, a tap starts/resumes it
+ * @param {Game} game the Game to control
+ * @param {Element} element the element to read touches on
+ * @returns {TouchInput}
+ */
+function TouchInput(game, element) {
+    this.game = game;
+    this.element = element;
+
+    // the gesture in progress - {startX, startY, lastX, lastY, startTime, fingers, hasMoved}
+    this.touch = null;
+
+    // a fast enough downward swipe (in px/ms) is a hard drop rather than a soft drop
+    this.flickVelocity = 1;
+    // how far (in px) a finger can wander before a tap becomes a drag
+    this.tapTolerance = 10;
+
+    this.listeners = null;
+}
+
+/**
+ * starts listening for touches
+ * @returns {void}
+ */
+TouchInput.prototype.attach = function () {
+    var self = this;
+    this.listeners = {
+        touchstart: function (e) {
+            self.onTouchStart(e);
+        },
+        touchmove: function (e) {
+            self.onTouchMove(e);
+        },
+        touchend: function (e) {
+            self.onTouchEnd(e);
+        }
+    };
+    // stop the browser from scrolling or zooming instead
+    this.element.style.touchAction = "none";
+    for (var type in this.listeners) {
+        if (this.listeners.hasOwnProperty(type)) {
+            this.element.addEventListener(type, this.listeners[type], {passive: false});
+        }
+    }
+};
+
+/**
+ * stops listening for touches
+ * @returns {void}
+ */
+TouchInput.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var type in this.listeners) {
+        if (this.listeners.hasOwnProperty(type)) {
+            this.element.removeEventListener(type, this.listeners[type], {passive: false});
+        }
+    }
+    this.listeners = null;
+    this.touch = null;
+};
+
+TouchInput.prototype.onTouchStart = function (e) {
+    e.preventDefault();
+    var point = e.touches[0];
+    this.touch = {
+        startX: point.clientX,
+        startY: point.clientY,
+        lastX: point.clientX,
+        lastY: point.clientY,
+        startTime: Date.now(),
+        fingers: e.touches.length,
+        hasMoved: false
+    };
+};
+
+TouchInput.prototype.onTouchMove = function (e) {
+    e.preventDefault();
+    if (!this.touch || !this.game.isRunning || this.game.isPaused) {
+        return;
+    }
+    var point = e.touches[0];
+    var blockSize = this.game.blockSize;
+
+    // one column per block dragged sideways
+    while (point.clientX - this.touch.lastX >= blockSize) {
+        this.touch.lastX += blockSize;
+        this.touch.hasMoved = true;
+        this.game.handleInput("right");
+    }
+    while (this.touch.lastX - point.clientX >= blockSize) {
+        this.touch.lastX -= blockSize;
+        this.touch.hasMoved = true;
+        this.game.handleInput("left");
+    }
+    // one row per block dragged down
+    while (point.clientY - this.touch.lastY >= blockSize) {
+        this.touch.lastY += blockSize;
+        this.touch.hasMoved = true;
+        this.game.handleInput("down");
+    }
+};
+
+TouchInput.prototype.onTouchEnd = function (e) {
+    e.preventDefault();
+    var touch = this.touch;
+    if (!touch || e.touches.length > 0) {
+        return;
+    }
+    this.touch = null;
+
+    var point = e.changedTouches[0];
+    var dx = point.clientX - touch.startX;
+    var dy = point.clientY - touch.startY;
+    var duration = Math.max(Date.now() - touch.startTime, 1);
+    var isTap = !touch.hasMoved && Math.abs(dx) < this.tapTolerance && Math.abs(dy) < this.tapTolerance;
+
+    if (!this.game.isRunning || this.game.isPaused) {
+        if (isTap) {
+            this.game.handleInput("pause");
+        }
+    } else if (isTap) {
+        this.game.handleInput(touch.fingers > 1 ? "pause" : "rotate");
+    } else if (Math.abs(dy) > Math.abs(dx) && Math.abs(dy) > this.game.blockSize) {
+        // a mostly vertical swipe
+        if (dy > 0 && dy / duration > this.flickVelocity) {
+            this.game.handleInput("harddrop");
+        } else if (dy < 0) {
+            this.game.handleInput("hold");
+        }
+    }
+};
+
+
+// expose the input handling to Node (tests) - in the browser these are plain globals
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        DEFAULT_KEY_BINDINGS: DEFAULT_KEY_BINDINGS,
+        VERSUS_KEY_BINDINGS: VERSUS_KEY_BINDINGS,
+        DEFAULT_GAMEPAD_BINDINGS: DEFAULT_GAMEPAD_BINDINGS,
+        ActionRepeater: ActionRepeater,
+        KeyboardInput: KeyboardInput,
+        GamepadInput: GamepadInput,
+        TouchInput: TouchInput
+    };
+}
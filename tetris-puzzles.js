@@ -0,0 +1,72 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Example puzzles, in the format GameEngine.loadPuzzle() reads and the puzzle editor saves
+ * Boards are bottom-aligned rows of GameBoard.getRows() - "." is empty, a digit is the color of a block
+ */
+var PUZZLES = [
+    {
+        version: 1,
+        title: "Tetris Ready",
+        board: [
+            "..2222333.",
+            "..1114433.",
+            "551166444.",
+            "556666777."
+        ],
+        pieces: "oi",
+        goal: {type: "clear", name: "Tetris"}
+    },
+    {
+        version: 1,
+        title: "Two by Four",
+        board: [
+            "333322....",
+            "455522...."
+        ],
+        pieces: "ll",
+        goal: {type: "perfectclear"}
+    },
+    {
+        version: 1,
+        title: "Clean Sweep",
+        board: [
+            "..77...7..",
+            ".7777.777.",
+            ".77777777."
+        ],
+        pieces: "jtl",
+        goal: {type: "lines", lines: 3}
+    },
+    {
+        version: 1,
+        title: "T-Spin Double",
+        board: [
+            "7777......",
+            "777...7777",
+            "7777.77777"
+        ],
+        pieces: "t",
+        goal: {type: "clear", name: "T-Spin Double"}
+    }
+];
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = PUZZLES;
+}
@@ -0,0 +1,747 @@
+/*
+ HTML5tris - A quick implementation of Tetris in HTML5
+ Copyright (C) 2014  Jesse Skrivseth <voodoodrul@gmail.com>
+ 
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+ 
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+ 
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * A small relay and lobby server for racing over the network (see NetworkMatch in tetris-core.js), for Node
+ * Players join rooms by name, and anyone in a room of two or more can start a race. The server picks the seed,
+ * passes board snapshots on to the rest of the room and sends each attack to one opponent still standing
+ * It speaks just enough of the WebSocket protocol (RFC 6455) to need no packages, and serves the game's files too:
+ *
+ *     node tetris-server.js 8080
+ *
+ * then open http://localhost:8080/online.html in two browsers
+ */
+
+var http = require("http");
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var core = require("./tetris-core.js");
+
+// the key every WebSocket handshake is hashed with
+var WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// the largest message a player may send (in bytes)
+var MAX_MESSAGE_SIZE = 65536;
+
+/*
+ * the rules a race can be started with, and a check for each - anything else in a start message is dropped
+ * (see LobbyServer.checkSettings)
+ */
+var RACE_SETTINGS = {
+    width: isIntegerIn(core.GameEngine.boardLimits.width[0], core.GameEngine.boardLimits.width[1]),
+    height: isIntegerIn(core.GameEngine.boardLimits.height[0], core.GameEngine.boardLimits.height[1]),
+    hiddenRows: isIntegerIn(core.GameEngine.boardLimits.hiddenRows[0], core.GameEngine.boardLimits.hiddenRows[1]),
+    spawnPosition: isSpawnPosition,
+    gravity: isGravity,
+    pieceSet: isPieceSet,
+    randomizer: isNameIn(core.GameEngine.randomizers),
+    previewCount: isIntegerIn(1, 6),
+    rotationSystem: isNameIn(core.GameEngine.rotationSystems),
+    lockDelay: isIntegerIn(0, 10000),
+    lockResets: isIntegerIn(0, 1000),
+    scoring: isNameIn(core.GameEngine.scoringModels),
+    leveling: isNameIn(core.GameEngine.levelingPolicies),
+    startLevel: isIntegerIn(1, 30)
+};
+
+/**
+ * a setting check - the value is a name registered in the engine
+ * @param {object} registry e.g. GameEngine.scoringModels
+ * @returns {function} value => boolean
+ */
+function isNameIn(registry) {
+    return function (value) {
+        return typeof value === "string" && registry.hasOwnProperty(value);
+    };
+}
+
+/**
+ * a setting check - the value is a whole number in a range
+ * @param {int} min
+ * @param {int} max
+ * @returns {function} value => boolean
+ */
+function isIntegerIn(min, max) {
+    return function (value) {
+        return typeof value === "number" && value % 1 === 0 && value >= min && value <= max;
+    };
+}
+
+/**
+ * a setting check - the value is {x, y}, each left out or a whole number of blocks within the largest board
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isSpawnPosition(value) {
+    var isCoordinate = isIntegerIn(-4, core.GameEngine.boardLimits.height[1] + core.GameEngine.boardLimits.hiddenRows[1]);
+    return !!value && typeof value === "object" && (value.x === undefined || isCoordinate(value.x)) &&
+        (value.y === undefined || isCoordinate(value.y));
+}
+
+/**
+ * a setting check - the value names a gravity table, or is one: up to 30 levels of at most a minute a row
+ * @param {string|array} value
+ * @returns {boolean}
+ */
+function isGravity(value) {
+    if (!Array.isArray(value)) {
+        return isNameIn(core.GameEngine.gravityTables)(value);
+    }
+    return value.length >= 1 && value.length <= 30 && value.every(isIntegerIn(0, 60000));
+}
+
+/**
+ * a setting check - the value names a piece set, or is one of up to 32 shapes no bigger than 8x8
+ * (the engine checks the shapes themselves when the settings are tried out)
+ * @param {string|object} value
+ * @returns {boolean}
+ */
+function isPieceSet(value) {
+    if (typeof value === "string") {
+        return isNameIn(core.GameEngine.pieceSets)(value);
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return false;
+    }
+    var keys = Object.keys(value);
+    return keys.length <= 32 && keys.every(function (key) {
+        return !!value[key] && isIntegerIn(1, 8)(value[key].size);
+    });
+}
+
+var CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".mp3": "audio/mpeg"
+};
+
+// the files the server hands out, by their path from the root - the pages, the game's scripts, the
+// libraries and styles under js/ and css/, the music and images. Anything else is a 404, as is anything hidden
+var PUBLIC_FILES = [
+    /^[\w-]+\.html$/,
+    /^tetris[\w-]*\.js$/,
+    /^(js|css)\/[\w.\/-]+$/,
+    /^[\w.\/-]+\.(mp3|png|gif)$/
+];
+
+/**
+ * whether a file is one the server hands out - see PUBLIC_FILES
+ * @param {string} pathname e.g. "/css/images/ui-icons.png"
+ * @returns {boolean}
+ */
+function isPublicFile(pathname) {
+    var segments = pathname.split("/").slice(1);
+    for (var i = 0; i < segments.length; i++) {
+        if (segments[i] === "" || segments[i].charAt(0) === ".") {
+            return false;
+        }
+    }
+    var relative = segments.join("/");
+    return PUBLIC_FILES.some(function (pattern) {
+        return pattern.test(relative);
+    });
+}
+
+/**
+ * one end of a WebSocket - text messages only, which is all the game sends
+ * @param {net.Socket} socket the socket of an upgraded HTTP request, after the handshake
+ * @returns {WebSocketConnection}
+ */
+function WebSocketConnection(socket) {
+    var self = this;
+    this.socket = socket;
+    this.isOpen = true;
+
+    // bytes received but not yet made into frames, and the pieces of a message split over several frames
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsLength = 0;
+
+    // called with every text message, and once the connection is closed
+    this.onmessage = null;
+    this.onclose = null;
+
+    socket.on("data", function (data) {
+        self.receive(data);
+    });
+    socket.on("close", function () {
+        self.handleClose();
+    });
+    socket.on("error", function () {
+        self.handleClose();
+    });
+}
+
+/**
+ * answers the handshake of a request to upgrade to a WebSocket
+ * @param {http.IncomingMessage} request
+ * @param {net.Socket} socket
+ * @returns {WebSocketConnection} null if the request wasn't a WebSocket handshake
+ */
+WebSocketConnection.accept = function (request, socket) {
+    var key = request.headers["sec-websocket-key"];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== "websocket") {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return null;
+    }
+    var accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        "Sec-WebSocket-Accept: " + accept + "\r\n\r\n"
+    );
+    return new WebSocketConnection(socket);
+};
+
+/**
+ * reads whole frames out of the bytes received so far
+ * @param {Buffer} data
+ * @returns {void}
+ */
+WebSocketConnection.prototype.receive = function (data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (this.isOpen && this.buffer.length >= 2) {
+        var fin = (this.buffer[0] & 0x80) !== 0;
+        var opcode = this.buffer[0] & 0x0F;
+        var isMasked = (this.buffer[1] & 0x80) !== 0;
+        var length = this.buffer[1] & 0x7F;
+        var offset = 2;
+        if (length === 126) {
+            if (this.buffer.length < 4) {
+                return;
+            }
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) {
+                return;
+            }
+            // nothing the game sends comes close to 4GB
+            length = this.buffer.readUInt32BE(2) > 0 ? Infinity : this.buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        // clients must mask every frame they send
+        if (length > MAX_MESSAGE_SIZE || !isMasked) {
+            this.close();
+            return;
+        }
+        if (this.buffer.length < offset + 4) {
+            return;
+        }
+        var mask = this.buffer.slice(offset, offset + 4);
+        offset += 4;
+        if (this.buffer.length < offset + length) {
+            return;
+        }
+        var payload = Buffer.from(this.buffer.slice(offset, offset + length));
+        this.buffer = this.buffer.slice(offset + length);
+        for (var i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.handleFrame(fin, opcode, payload);
+    }
+};
+
+/**
+ * acts on a frame - messages are passed on, pings answered and closes returned
+ * @param {boolean} fin whether this is the last frame of the message
+ * @param {int} opcode
+ * @param {Buffer} payload
+ * @returns {void}
+ */
+WebSocketConnection.prototype.handleFrame = function (fin, opcode, payload) {
+    switch (opcode) {
+        case 0x0:   // continuation
+        case 0x1:   // text
+        case 0x2:   // binary - read as text
+            // a continuation only carries on a message, and a new message can't start until the last one is finished
+            if ((opcode === 0x0) !== (this.fragments.length > 0)) {
+                this.close();
+                return;
+            }
+            // the whole message is held to the same limit as a single frame
+            this.fragmentsLength += payload.length;
+            if (this.fragmentsLength > MAX_MESSAGE_SIZE) {
+                this.close();
+                return;
+            }
+            this.fragments.push(payload);
+            if (fin) {
+                var message = Buffer.concat(this.fragments).toString("utf8");
+                this.fragments = [];
+                this.fragmentsLength = 0;
+                if (this.onmessage) {
+                    this.onmessage(message);
+                }
+            }
+            break;
+        case 0x8:   // close
+            this.close();
+            break;
+        case 0x9:   // ping
+            this.sendFrame(0xA, payload);
+            break;
+    }
+};
+
+/**
+ * sends a text message
+ * @param {string} text
+ * @returns {void}
+ */
+WebSocketConnection.prototype.send = function (text) {
+    this.sendFrame(0x1, Buffer.from(text, "utf8"));
+};
+
+/**
+ * sends a single, unmasked frame (servers don't mask)
+ * @param {int} opcode
+ * @param {Buffer} payload
+ * @returns {void}
+ */
+WebSocketConnection.prototype.sendFrame = function (opcode, payload) {
+    if (!this.isOpen) {
+        return;
+    }
+    var header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(payload.length, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+};
+
+/**
+ * closes the connection
+ * @returns {void}
+ */
+WebSocketConnection.prototype.close = function () {
+    if (this.isOpen) {
+        this.sendFrame(0x8, Buffer.alloc(0));
+        this.socket.end();
+    }
+    this.handleClose();
+};
+
+WebSocketConnection.prototype.handleClose = function () {
+    if (!this.isOpen) {
+        return;
+    }
+    this.isOpen = false;
+    this.socket.destroy();
+    if (this.onclose) {
+        this.onclose();
+    }
+};
+
+
+/**
+ * the server - rooms of players racing each other, and the game's files over plain HTTP
+ * Messages are JSON objects with a "type" - from a player:
+ *      join {room, name}, start {settings}, board {rows, score, lines, pending}, attack {rows}, gameover
+ * and to them:
+ *      welcome {id, room, players}, players {players}, countdown {seed, delay, settings},
+ *      board {id, rows, score, lines, pending}, attack {from, rows}, gameover {id, place}, result {winner}, error {message}
+ * @param {object} options
+ *      root: the folder the game's files are served from (default the folder this file is in)
+ *      countdown: the time from starting a race to the first piece (in ms, default 3000)
+ * @returns {LobbyServer}
+ */
+function LobbyServer(options) {
+    options = options || {};
+    var self = this;
+    this.root = path.resolve(options.root || __dirname);
+    this.countdown = options.countdown !== undefined ? options.countdown : 3000;
+
+    // the rooms by name - {name, players, isRacing, standing, settings} - and every player connected
+    this.rooms = {};
+    this.players = [];
+    this.nextId = 1;
+
+    this.server = http.createServer(function (request, response) {
+        self.serveFile(request, response);
+    });
+    this.server.on("upgrade", function (request, socket) {
+        var connection = WebSocketConnection.accept(request, socket);
+        if (connection) {
+            self.connect(connection);
+        }
+    });
+}
+
+/**
+ * starts listening
+ * @param {int} port
+ * @param {function} callback called once the server is listening
+ * @returns {void}
+ */
+LobbyServer.prototype.listen = function (port, callback) {
+    this.server.listen(port, callback);
+};
+
+/**
+ * disconnects everyone and stops listening
+ * @param {function} callback called once the server has stopped
+ * @returns {void}
+ */
+LobbyServer.prototype.close = function (callback) {
+    var players = this.players.slice();
+    for (var i = 0; i < players.length; i++) {
+        players[i].connection.close();
+    }
+    this.server.close(callback);
+};
+
+/**
+ * serves a file of the game - only those in PUBLIC_FILES, and nothing outside the root folder
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @returns {void}
+ */
+LobbyServer.prototype.serveFile = function (request, response) {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+        response.writeHead(405);
+        response.end();
+        return;
+    }
+    var pathname;
+    try {
+        pathname = decodeURIComponent(request.url.split("?")[0]);
+    } catch (e) {
+        pathname = "";
+    }
+    if (pathname === "/") {
+        pathname = "/online.html";
+    }
+    if (!isPublicFile(pathname)) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+    var file = path.join(this.root, pathname);
+    if (file.indexOf(this.root + path.sep) !== 0) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    fs.readFile(file, function (err, data) {
+        if (err) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, {"Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream"});
+        response.end(request.method === "HEAD" ? undefined : data);
+    });
+};
+
+/**
+ * welcomes a new connection as a player, not yet in a room
+ * @param {WebSocketConnection} connection
+ * @returns {void}
+ */
+LobbyServer.prototype.connect = function (connection) {
+    var self = this;
+    var player = {id: this.nextId++, name: "Player", room: null, isAlive: false, connection: connection};
+    this.players.push(player);
+    connection.onmessage = function (text) {
+        var message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (message && typeof message === "object") {
+            self.handleMessage(player, message);
+        }
+    };
+    connection.onclose = function () {
+        self.leave(player);
+        self.players.splice(self.players.indexOf(player), 1);
+    };
+};
+
+/**
+ * acts on a message from a player
+ * @param {object} player
+ * @param {object} message
+ * @returns {void}
+ */
+LobbyServer.prototype.handleMessage = function (player, message) {
+    var room = player.room;
+    if (message.type === "join") {
+        this.join(player, String(message.room || "lobby").slice(0, 40), String(message.name || "Player").slice(0, 20));
+        return;
+    }
+    if (!room) {
+        this.send(player, {type: "error", message: "Join a room first"});
+        return;
+    }
+    switch (message.type) {
+        case "start":
+            this.startRace(room, message.settings, player);
+            break;
+        case "board":
+            if (this.isValidBoard(room, message.rows)) {
+                this.broadcast(room, {
+                    type: "board",
+                    id: player.id,
+                    rows: message.rows,
+                    score: Number(message.score) || 0,
+                    lines: Number(message.lines) || 0,
+                    pending: Number(message.pending) || 0
+                }, player);
+            }
+            break;
+        case "attack":
+            this.attack(player, Math.floor(Number(message.rows)));
+            break;
+        case "gameover":
+            this.knockOut(player);
+            break;
+    }
+};
+
+/**
+ * puts a player in a room, leaving the one they were in
+ * @param {object} player
+ * @param {string} roomName
+ * @param {string} name
+ * @returns {void}
+ */
+LobbyServer.prototype.join = function (player, roomName, name) {
+    this.leave(player);
+    var room = this.rooms[roomName];
+    if (!room) {
+        room = this.rooms[roomName] = {name: roomName, players: [], isRacing: false, standing: 0, settings: null};
+    }
+    player.name = name;
+    player.room = room;
+    player.isAlive = false;
+    room.players.push(player);
+    this.send(player, {type: "welcome", id: player.id, room: room.name, players: this.listPlayers(room)});
+    this.broadcast(room, {type: "players", players: this.listPlayers(room)}, player);
+};
+
+/**
+ * takes a player out of their room - leaving a race loses it
+ * @param {object} player
+ * @returns {void}
+ */
+LobbyServer.prototype.leave = function (player) {
+    var room = player.room;
+    if (!room) {
+        return;
+    }
+    this.knockOut(player);
+    room.players.splice(room.players.indexOf(player), 1);
+    player.room = null;
+    if (room.players.length === 0) {
+        delete this.rooms[room.name];
+    } else {
+        this.broadcast(room, {type: "players", players: this.listPlayers(room)});
+    }
+};
+
+/**
+ * starts a race with everyone in the room, after the countdown - with the rules of the player who started it
+ * @param {object} room
+ * @param {object} settings
+ * @param {object} player
+ * @returns {void}
+ */
+LobbyServer.prototype.startRace = function (room, settings, player) {
+    if (room.isRacing) {
+        this.send(player, {type: "error", message: "A race is already on"});
+        return;
+    }
+    if (room.players.length < 2) {
+        this.send(player, {type: "error", message: "Waiting for another player"});
+        return;
+    }
+    try {
+        settings = this.checkSettings(settings);
+    } catch (e) {
+        this.send(player, {type: "error", message: e.message});
+        return;
+    }
+    room.settings = settings;
+    room.isRacing = true;
+    room.standing = room.players.length;
+    for (var i = 0; i < room.players.length; i++) {
+        room.players[i].isAlive = true;
+    }
+    this.broadcast(room, {
+        type: "countdown",
+        seed: crypto.randomBytes(4).readUInt32BE(0),
+        delay: this.countdown,
+        settings: settings
+    });
+};
+
+/**
+ * the rules a player asked to race with, keeping only those in RACE_SETTINGS - every player will play by them,
+ * so they are tried out on an engine here first. Throws "Invalid race settings: ..." if they can't be played
+ * @param {object} settings as sent in a start message
+ * @returns {object} the settings to race with
+ */
+LobbyServer.prototype.checkSettings = function (settings) {
+    var checked = {};
+    if (settings && typeof settings === "object") {
+        for (var key in RACE_SETTINGS) {
+            if (!RACE_SETTINGS.hasOwnProperty(key) || settings[key] === undefined || settings[key] === null) {
+                continue;
+            }
+            if (!RACE_SETTINGS[key](settings[key])) {
+                throw new Error("Invalid race settings: " + key);
+            }
+            checked[key] = settings[key];
+        }
+    }
+    try {
+        new core.GameEngine(checked).init();
+    } catch (e) {
+        throw new Error("Invalid race settings: " + e.message);
+    }
+    return checked;
+};
+
+/**
+ * determines if a board snapshot fits the room's board (see GameBoard.isValidRows)
+ * @param {object} room
+ * @param {array} rows as in GameBoard.getRows()
+ * @returns {boolean}
+ */
+LobbyServer.prototype.isValidBoard = function (room, rows) {
+    var settings = room.settings || {};
+    var width = settings.width || 10;
+    var height = (settings.height || 20) + (settings.hiddenRows || 0);
+    return core.GameBoard.isValidRows(rows, width, height);
+};
+
+/**
+ * sends garbage on to one of the opponents still standing, at random
+ * @param {object} player the attacker
+ * @param {int} rows
+ * @returns {void}
+ */
+LobbyServer.prototype.attack = function (player, rows) {
+    var room = player.room;
+    if (!room.isRacing || !player.isAlive || !(rows > 0)) {
+        return;
+    }
+    var targets = room.players.filter(function (other) {
+        return other !== player && other.isAlive;
+    });
+    if (targets.length > 0) {
+        var target = targets[Math.floor(Math.random() * targets.length)];
+        this.send(target, {type: "attack", from: player.id, rows: Math.min(rows, 20)});
+    }
+};
+
+/**
+ * a player is out of the race, placed behind everyone still standing - the last one standing wins
+ * @param {object} player
+ * @returns {void}
+ */
+LobbyServer.prototype.knockOut = function (player) {
+    var room = player.room;
+    if (!room || !room.isRacing || !player.isAlive) {
+        return;
+    }
+    player.isAlive = false;
+    this.broadcast(room, {type: "gameover", id: player.id, place: room.standing});
+    room.standing--;
+    if (room.standing <= 1) {
+        var winner = null;
+        for (var i = 0; i < room.players.length; i++) {
+            if (room.players[i].isAlive) {
+                winner = room.players[i];
+                winner.isAlive = false;
+            }
+        }
+        room.isRacing = false;
+        this.broadcast(room, {type: "result", winner: winner ? winner.id : null});
+    }
+};
+
+/**
+ * the players in a room, as sent to them
+ * @param {object} room
+ * @returns {array} [{id, name}]
+ */
+LobbyServer.prototype.listPlayers = function (room) {
+    return room.players.map(function (player) {
+        return {id: player.id, name: player.name};
+    });
+};
+
+/**
+ * sends a message to a player
+ * @param {object} player
+ * @param {object} message
+ * @returns {void}
+ */
+LobbyServer.prototype.send = function (player, message) {
+    player.connection.send(JSON.stringify(message));
+};
+
+/**
+ * sends a message to everyone in a room
+ * @param {object} room
+ * @param {object} message
+ * @param {object} except a player to leave out (optional)
+ * @returns {void}
+ */
+LobbyServer.prototype.broadcast = function (room, message, except) {
+    var text = JSON.stringify(message);
+    for (var i = 0; i < room.players.length; i++) {
+        if (room.players[i] !== except) {
+            room.players[i].connection.send(text);
+        }
+    }
+};
+
+
+if (require.main === module) {
+    var port = Number(process.argv[2] || process.env.PORT) || 8080;
+    var server = new LobbyServer();
+    server.listen(port, function () {
+        console.log("Webtris server listening - play at http://localhost:" + port + "/online.html");
+    });
+}
+
+module.exports = {
+    LobbyServer: LobbyServer,
+    WebSocketConnection: WebSocketConnection
+};
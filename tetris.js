@@ -16,213 +16,228 @@
  along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-/**
- * A colored block that can be drawn 
- * @param {type} color the css color of the block
+/*
+ * The browser front-end: draws a GameEngine on a <canvas>, drives it with a JS timer and dispatches player input
+ * The rules themselves live in tetris-core.js and the input handling in tetris-input.js, which must be loaded first
  */
-function GameBlock(color) {
-    this.size = 20;
-    this.color = color;
-}
-
 
 /**
- * Models a game of Tetris
+ * Models a game of Tetris, played on a canvas
+ * Every Game is self-contained (clock, input, caches and audio), so several can share a page
  * @param {string} canvasId the HTML element ID of the <canvas> to draw on
- * @param {string} 
+ * @param {object} options any GameEngine option (randomizer, seed, ...) - the board is as many blocks as the rules say
+ *      (width, height), and the blocks are scaled to fit the canvas. Plus
+ *      keyboard: listen for key presses (default true) - turn off for demos or boards driven by code
+ *      inputTarget: the element to listen on for key presses (default document)
+ *      bindings, storageKey: see KeyboardInput
+ *      gamepad: read a gamepad (default true)
+ *      gamepadIndex, gamepadBindings: see GamepadInput
+ *      touch: read touch gestures on the canvas (default true)
+ *      das, arr, softDropInterval: see ActionRepeater
+ *      autosave: save the game in progress to localStorage when it is paused or the page is closed (default true)
+ *      saveKey: the localStorage key the game is saved under (default "webtris.save") - give each board its own
+ *      record: record every game, so it can be saved as a replay (default true) - see ReplayRecorder
+ *      scoresKey, highScoreCount: where the high scores are kept and how many (default "webtris.scores", 10) - see HighScoreTable
+ *      music: play the music tracks (default true)
+ *      ghost: show where the piece in play will land (default true)
+ *      finesse: judge the finesse of every piece, and flag the faults in the sidebar (default false) - see FinesseTrainer
+ *      demoDelay: how long (in ms) the board waits between games before a computer player plays a demo game, 0 for no demo (default 0)
  * @returns {Game}
  */
-function Game(canvasId) {
+function Game(canvasId, options) {
+    options = options || {};
 
     //#region properties
 
+    this.canvasId = canvasId;
+
     // the HTML5 canvas to draw on
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext("2d");
 
-    // find the GameBlock size
-    this.blockSize = new GameBlock(null).size;  // ask GameBlock how big the blocks are supposed to be
-    this.sideBarSize = this.blockSize * 6;      //The size of the sidebar, relative to the block size - sidebar is "6 blocks wide"
+    // the sidebar is laid out in px, with its pieces drawn at GameBlock's own size
+    this.sideBarBlockSize = new GameBlock(null).size;   // ask GameBlock how big the blocks are supposed to be
+    this.sideBarSize = this.sideBarBlockSize * 6;       //The size of the sidebar - "6 blocks wide"
+
+    GameEngine.call(this, options);
 
-    // compute the board width possible given the canvas size and the block size
-    this.boardWidth = Math.floor(this.canvas.width / this.blockSize) - Math.floor(this.sideBarSize / this.blockSize);
-    this.boardHeight = Math.floor(this.canvas.height / this.blockSize);
+    // the size of the blocks on the board, to fit the canvas (see layout)
+    this.blockSize = this.sideBarBlockSize;
+    this.layout();
 
     /**
-     * stores the hex colors of each shape for the varying difficulty levels
+     * stores the hex colors of each shape for the varying difficulty levels, then the color of garbage (see GameBlock.GARBAGE)
      * first row is difficulty 0, second is difficulty 1, ...
      */
     this.colors = [
-        ['cyan', 'blue', 'orange', 'yellow', 'green', 'purple', 'red'],
-        ['#FFB60D', '#E80C68', '#004EFF', '#0CE817', '#FFB505', '#E80C8C', '#1BE80C'],
-        ['#FF19CF', '#16C5E8', '#FFFA0C', '#E82914', '#1149FF', '#12FF04', '#9009FF'],
-        ['#0CE8C5', '#FFD604', '#FF091F', '#E8A908', '#12FF04', '#087DE8', '#F500FF'],
-        ['#B214CC', '#5000FF', '#FFDF40', '#FFB100', '#40B0FF', '#3D14CC', '#3D14CC'],
-        ['#0CE817', '#FFB505', '#E80C8C', '#1BE80C', '#FFB60D', '#E80C68', '#004EFF'],
-        ['#1149FF', '#12FF04', '#9009FF', '#FF19CF', '#16C5E8', '#FFFA0C', '#E82914'],
-        ['#E8A908', '#12FF04', '#087DE8', '#F500FF', '#0CE8C5', '#FFD604', '#FF091F'],
-        ['#FFB100', '#40B0FF', '#3D14CC', '#3D14CC', '#B214CC', '#5000FF', '#FFDF40'],
-        ['cyan', 'blue', 'orange', 'yellow', 'green', 'purple', 'red']
-    ];
-
-    /*
-     * pre-baked Tetromino shapes, represented as a "bitmask" in hex
-     * every configuration of a 4x4 array can be described
-     * inspired by: https://github.com/jakesgordon/javascript-tetris/blob/master/index.html
-     */
-    this.shapes = {
-        i: {size: 4, blocks: [0x0F00, 0x2222, 0x00F0, 0x4444], color: 0},
-        j: {size: 4, blocks: [0x44C0, 0x8E00, 0x6440, 0x0E20], color: 1},
-        l: {size: 3, blocks: [0x4460, 0x0E80, 0xC440, 0x2E00], color: 2},
-        o: {size: 2, blocks: [0xCC00, 0xCC00, 0xCC00, 0xCC00], color: 3},
-        s: {size: 3, blocks: [0x06C0, 0x8C40, 0x6C00, 0x4620], color: 4},
-        t: {size: 3, blocks: [0x0E40, 0x4C40, 0x4E00, 0x4640], color: 5},
-        z: {size: 3, blocks: [0x0C60, 0x4C80, 0xC600, 0x2640], color: 6}
-    };
-
-    /* 
-     * The bitmask values for one GameBlock existing in all possible positions of a 4x4 grid
-     * This is used to do a bitmask AND with the shape (above) using i,j indices to see if a GameBlock exists
-     * In other words, we're checking to see if i,j is occupied in the hex above
-     * 
-     * It's fairly clear to visualize the occupied blocks here (zero is empty), and the shapes above are just the sums of
-     * the appropriate combination of these elements
-     * 
-     * For example, the second column here show a vertical bar. The sum of (0x0800 + 0x0400 + 0x0200 + 0x0100) = 0x0F00 above
-     */
-    this.hexValues = [
-        [0x8000, 0x0800, 0x0080, 0x0008],
-        [0x4000, 0x0400, 0x0040, 0x0004],
-        [0x2000, 0x0200, 0x0020, 0x0002],
-        [0x1000, 0x0100, 0x0010, 0x0001]
+        ['cyan', 'blue', 'orange', 'yellow', 'green', 'purple', 'red', 'gray'],
+        ['#FFB60D', '#E80C68', '#004EFF', '#0CE817', '#FFB505', '#E80C8C', '#1BE80C', 'gray'],
+        ['#FF19CF', '#16C5E8', '#FFFA0C', '#E82914', '#1149FF', '#12FF04', '#9009FF', 'gray'],
+        ['#0CE8C5', '#FFD604', '#FF091F', '#E8A908', '#12FF04', '#087DE8', '#F500FF', 'gray'],
+        ['#B214CC', '#5000FF', '#FFDF40', '#FFB100', '#40B0FF', '#3D14CC', '#3D14CC', 'gray'],
+        ['#0CE817', '#FFB505', '#E80C8C', '#1BE80C', '#FFB60D', '#E80C68', '#004EFF', 'gray'],
+        ['#1149FF', '#12FF04', '#9009FF', '#FF19CF', '#16C5E8', '#FFFA0C', '#E82914', 'gray'],
+        ['#E8A908', '#12FF04', '#087DE8', '#F500FF', '#0CE8C5', '#FFD604', '#FF091F', 'gray'],
+        ['#FFB100', '#40B0FF', '#3D14CC', '#3D14CC', '#B214CC', '#5000FF', '#FFDF40', 'gray'],
+        ['cyan', 'blue', 'orange', 'yellow', 'green', 'purple', 'red', 'gray']
     ];
 
-
-    /* GAME STATE */
-    this.difficulty = 0;
-    this.difficultyTimeouts = [1000, 750, 625, 500, 425, 300, 250, 225, 200, 175];
-    this.isRunning = false;
-    this.isPaused = false;
-    this.isGameOver = false;
-
     //The game clock, used to tick the game forward, drop pieces, etc. (JS interval)
+    //it runs at a steady frame rate and tells the engine how much time has passed
     this.ticker = null;
-
-    /* SCORE MODEL */
-    this.pointsAwardedForLines = [40, 100, 300, 1200];
-    this.scorePerLevel = [1200, 1200 * 4, 1200 * 8, 1200 * 16, 1200 * 32, 1200 * 64, 1200 * 128, 1200 * 256, 1200 * 512];
-
-    /*
-     * the Game contains a Board, Stats, and 2 Pieces
-     * Game manages input, triggers Board and Piece redraw, and deals with game state
-     */
-    this.gameBoard = null;
-    this.gameStats = null;
-    this.gamePiece = null;
-    this.nextPiece = null;
+    this.frameInterval = 1000 / 60;
+    this.lastFrameTime = 0;
+
+    // player input - every device feeds the same repeater, which sends actions to handleInput()
+    this.inputOptions = options;
+    this.useKeyboard = options.keyboard !== false;
+    this.useGamepad = options.gamepad !== false;
+    this.useTouch = options.touch !== false;
+    this.inputTarget = options.inputTarget || document;
+    this.repeater = null;
+    this.keyboard = null;
+    this.gamepad = null;
+    this.touch = null;
+
+    // the game in progress is kept in localStorage, to resume after the page is closed
+    this.useAutosave = options.autosave !== false;
+    this.saveKey = options.saveKey || "webtris.save";
+    this.unloadListener = null;
+
+    // the high score table, the name being typed for a new high score and whether the table is on screen
+    this.highScores = new HighScoreTable(options.scoresKey, options.highScoreCount);
+    this.nameEntry = null;
+    this.maxNameLength = 12;
+    this.isShowingScores = false;
+    this.highlightedScore = -1;
+
+    // replays - the recorder keeps the game being played, the player feeds a recorded one back in
+    this.useRecorder = options.record !== false;
+    this.recorder = null;
+    this.replayPlayer = null;
+    this.replaySpeed = 1;
+
+    // judges the key presses of every piece, when finesse training is on
+    this.useFinesse = options.finesse === true;
+    this.finesse = null;
+
+    // the computer player in charge of the board (see Bot), if any - the player's moves are ignored while it plays
+    this.bot = null;
+
+    // the demo a computer player plays when the board has been left alone between games - any input ends it
+    this.demoDelay = options.demoDelay || 0;
+    this.demoLength = 60000;
+    this.demoTimer = null;
+    this.isDemo = false;
+
+    // the PuzzleEditor painting on the board, if any - while it is editing, the start button tries the puzzle out
+    this.editor = null;
+
+    this.useMusic = options.music !== false;
+    this.showGhost = options.ghost !== false;
     this.gameMusic = null;
 
     // a cache to hold computed gradients
     this.gradientCache = null;
 
+    // the last notable clear ("T-Spin Double", "Back-to-Back", ...), shown over the board for a moment
+    this.announcement = null;
+    this.announcementDuration = 1500;
+
     //#endregion properties
 }
 
+// a Game is a GameEngine that knows how to draw itself
+Game.prototype = Object.create(GameEngine.prototype);
+Game.prototype.constructor = Game;
+
 /**
- * returns a random GamePiece 
- * @returns {GamePiece}
+ * handles user input
+ * while a replay is playing, only "pause" is taken - while a name is typed for a new high score, "pause" saves it
+ * during a demo, any input ends it, and "pause" starts a game
+ * @param {string} action any GameEngine.performAction action, "pause" to start/pause/resume,
+ *      "resume" to carry on with the saved game instead of starting a new one or "scores" to show/hide the high scores
+ * @param {boolean} isRepeat whether the action is an auto-repeat of a held key, rather than a key press
+ * @returns {boolean} whether the action was carried out
  */
-Game.prototype.getRandomPiece = function () {
-    var temp_key, keys = [];
-    for (temp_key in this.shapes) {
-        if (this.shapes.hasOwnProperty(temp_key)) {
-            keys.push(temp_key);
+ Game.prototype.handleInput = function (action, isRepeat) {
+    if (this.replayPlayer && action !== "pause") {
+        return false;
+    }
+    if (this.isDemo) {
+        this.stopDemo();
+        if (action !== "pause") {
+            return true;
         }
     }
-    var randomShapeKey = keys[Math.floor(Math.random() * keys.length)];
-    return new GamePiece(this, randomShapeKey);
-};
-
-/**
- * swaps the "next" piece and puts it in play
- * generates the subsequent "next" piece
- * if the "next" piece cannot be dropped on the board, the game is over
- * @returns {void}
- */
- Game.prototype.selectNextPiece = function () {
-    this.gamePiece = this.nextPiece;
-    this.gamePiece.position = {x: Math.ceil((this.gameBoard.width - this.gamePiece.shapeDescription.size) / 2), y: 0};
-    this.nextPiece = this.getRandomPiece();
-    //check to see if the piece can fit.. if not, game over
-    if (this.gameBoard.isValidMove(this.gamePiece, "down")) {
-
+    if (this.nameEntry) {
+        if (action !== "pause") {
+            return false;
+        }
+        this.submitName();
+        this.draw();
+        return true;
+    }
+    var handled = true;
+    if (action === "scores") {
+        // the table is only shown between games
+        handled = !this.isRunning || this.isGameOver;
+        if (handled) {
+            this.isShowingScores = !this.isShowingScores;
+            this.highlightedScore = -1;
+        }
+    } else if (action === "pause" && this.match) {
+        // in a match, the start button is the match's
+        this.match.togglePause();
+        if (typeof this.match.draw === "function") {
+            this.match.draw();
+        }
+    } else if (action === "pause" && this.editor && this.editor.isEditing) {
+        // the start button tries out the puzzle being edited
+        this.editor.test();
+    } else if (action === "pause") {
+        if (!this.isRunning) {
+            this.start();
+        } else {
+            this.togglePause();
+        }
+    } else if (action === "resume") {
+        handled = !this.isRunning && !this.match && this.resumeSavedGame();
     } else {
-        //game over
-        this.isGameOver = true;
-        this.togglePause();
-        this.gameMusic.selectTrack('gameover.mp3', false);
-        this.gameMusic.start();
+        handled = !this.bot && this.performAction(action, isRepeat);
     }
+    // the demo waits until the board is left alone
+    this.scheduleDemo();
+    //(re)draw the game
+    this.draw();
+    return handled;
 };
 
 /**
- * determines if a GameBlock should exist at i,j given this hex value that describes the shape 
- * does a simple bitwise AND on the shape and a single position in the grid using hexValues[i][j]
- * @param {int} i "x" index
- * @param {int} j "y" index
- * @param {int} shape hex value describing the shape
- * 
+ * the key to press for an action, for the prompts on screen - e.g. "SPACE"
+ * @param {string} action
+ * @returns {string} null if no key is bound to it - the prompt is left out
  */
- Game.prototype.indexContainsBlock = function (i, j, shape) {
-    // The shape contains i,j, so return true 
-    // A block exists at this position in the shape because it was set in the bitmask describing the shape
-    if (this.hexValues[i][j] & shape) {
-        return true;
-    } else {
-        return false;
-    }
+ Game.prototype.getKeyLabel = function (action) {
+    var keys = this.keyboard ? this.keyboard.getKeysFor(action) : [];
+    return keys.length > 0 ? KeyboardInput.getKeyName(keys[0]).toUpperCase() : null;
 };
 
 /**
- * handles user input
+ * draws a bar up the right edge of the board, as high as the rows of garbage waiting to rise
+ * @param {int} rows
+ * @returns {void}
  */
- Game.prototype.handleInput = function (e) {
-    switch (e.keyCode) {
-        case 38:
-            if (!this.isPaused && this.gamePiece && this.gameBoard.isValidMove(this.gamePiece, "rotate")) {
-                this.gamePiece.rotate();
-            }
-            break;
-        case 37:
-            if (!this.isPaused && this.gamePiece && this.gameBoard.isValidMove(this.gamePiece, "left")) {
-                this.gamePiece.move("left");
-            }
-            break;
-        case 39:
-            if (!this.isPaused && this.gamePiece && this.gameBoard.isValidMove(this.gamePiece, "right")) {
-                this.gamePiece.move("right");
-            }
-            break;
-        case 40:
-            if (!this.isPaused) {
-                if (this.gamePiece && this.gameBoard.isValidMove(this.gamePiece, "down")) {
-                    this.gamePiece.move("down");
-                } else {
-                    this.gameBoard.bakePiece(this.gamePiece);
-                }
-            }
-
-            break;
-        case 32: //spacebar
-            if (!this.isRunning) {
-                this.start();
-            } else {
-                this.togglePause();
-            }
-            break;
+ Game.prototype.drawGarbageMeter = function (rows) {
+    if (rows <= 0) {
+        return;
     }
-    //(re)draw the game
-    this.draw();
+    var height = Math.min(rows, this.boardHeight) * this.blockSize;
+    var boardHeight = this.boardHeight * this.blockSize;
+    this.ctx.save();
+    this.ctx.fillStyle = "rgba(255,0,0,0.7)";
+    this.ctx.fillRect((this.gameBoard.width * this.blockSize) - 4, boardHeight - height, 4, height);
+    this.ctx.restore();
 };
 
 /**
@@ -230,23 +245,22 @@ Game.prototype.getRandomPiece = function () {
  * @param {string} type ['baked','next',null] - the type of gradient - used for gradient direction only
  * @param {string} color the color of the piece in hex or name
  * @param {Context} context the context to draw on
+ * @param {int} blockSize the size of the block the gradient fills (in px)
  * @returns {gradient}
  */
- Game.prototype.getGradient = function (type, color, context) {
+ Game.prototype.getGradient = function (type, color, context, blockSize) {
     // optimization - search the gradient cache to see if we have already compiled this gradient
     var gradientType = "1:";
     if (type === "baked") {
         gradientType = "0:";
     }
-    var gradientKey = gradientType + color;
+    var gradientKey = gradientType + blockSize + ":" + color;
     var gradient = this.gradientCache.get(gradientKey);
 
 
     if (!gradient) {
         //no cached gradient was found, so compile one and set it in the cache
 
-        var blockSize = this.blockSize;
-
         gradient = context.createLinearGradient(0, 0, blockSize, blockSize);
         if (type === "baked") {
             gradient.addColorStop("0", color);
@@ -260,6 +274,34 @@ Game.prototype.getRandomPiece = function () {
     return gradient;
 };
 
+/**
+ * draws a single block
+ * @param {Context} context the context to draw on
+ * @param {string} type ['baked','next','hold','ghost',null] - see getGradient(). Ghost blocks are drawn translucent
+ * @param {int} color the color index of the block (see this.colors)
+ * @param {int} posX (in px)
+ * @param {int} posY (in px)
+ * @param {int} blockSize (in px)
+ * @returns {void}
+ */
+ Game.prototype.drawBlock = function (context, type, color, posX, posY, blockSize) {
+    context.strokeStyle = "black";     //border color
+    var thisBlockColor = this.colors[this.difficulty % this.colors.length][color];
+
+    // get a gradient, either existing in the cache or generate one now
+    var gradient = this.getGradient(type, thisBlockColor, context, blockSize);
+
+    context.save();
+    context.translate(posX, posY);
+    if (type === "ghost") {
+        context.globalAlpha = 0.3;
+    }
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, blockSize, blockSize);      //draw rectangle
+    context.strokeRect(0, 0, blockSize, blockSize);    //border
+    context.restore();
+};
+
 
 /**
  * Clears the canvas and draws the gameBoard, gamePieces, and stats
@@ -269,496 +311,847 @@ Game.prototype.getRandomPiece = function () {
     //wipe the canvas so we can redraw
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+    //the board and the pieces on it are drawn in board coordinates - the hidden rows go above the top of the canvas
+    this.ctx.save();
+    this.ctx.translate(0, -this.hiddenRows * this.blockSize);
+
     //draw the game board first
     this.gameBoard.draw();
 
-    //draw the GamePiece (if any)
+    //outline where a drill wants the piece
+    if (typeof this.mode.getTarget === "function" && this.mode.getTarget()) {
+        this.drawTarget(this.mode.getTarget());
+    }
+
+    //draw the GamePiece (if any), over its ghost
     if (this.gamePiece) {
+        if (this.showGhost && !this.isGameOver) {
+            this.getGhostPiece().draw("ghost");
+        }
         this.gamePiece.draw();
     }
+    this.ctx.restore();
+
+    //draw the "next" pieces, top to bottom
+    var nextBox = this.getSidebarBox("next");
+    var previewBlockSize = this.getPreviewBlockSize();
+    for (var i = 0; i < this.nextPieces.length; i++) {
+        this.nextPieces[i].draw("next", null, {
+            x: nextBox.x + 10,
+            y: nextBox.y + 10 + (i * this.getPreviewRows() * previewBlockSize),
+            blockSize: previewBlockSize
+        });
+    }
+
+    //draw the "hold" piece
+    if (this.heldPiece) {
+        var holdBox = this.getSidebarBox("hold");
+        this.heldPiece.draw("hold", null, {x: holdBox.x + 10, y: holdBox.y + 10, blockSize: this.getHoldBlockSize()});
+    }
+
+    //show the garbage waiting to rise
+    if (typeof this.mode.getPendingRows === "function") {
+        this.drawGarbageMeter(this.mode.getPendingRows());
+    }
+
+    //announce the last notable clear
+    this.drawAnnouncement();
+
+    //before the game starts, name the mode, offer to carry on with the saved game and point to the high scores -
+    //unless the board is being edited
+    if (this.editor && this.editor.isEditing) {
+        this.editor.draw();
+    } else if (!this.isRunning) {
+        var centerX = (this.gameBoard.width * this.blockSize) / 2;
+        this.ctx.save();
+        this.ctx.textAlign = "center";
+        this.ctx.font = "bold 18px Verdana";
+        this.ctx.fillStyle = "black";
+        this.ctx.fillText(this.mode.title, centerX, (this.canvas.height / 2) - 40);
+        this.ctx.font = "bold 14px Verdana";
+        var resumeKey = this.getKeyLabel("resume");
+        if (resumeKey && this.hasSavedGame()) {
+            this.ctx.fillText("Press " + resumeKey + " to resume", centerX, this.canvas.height / 2);
+            this.ctx.fillText("your last game", centerX, (this.canvas.height / 2) + 20);
+        }
+        var scoresKey = this.getKeyLabel("scores");
+        if (scoresKey && !this.match) {
+            this.ctx.font = "12px Verdana";
+            this.ctx.fillText("Press " + scoresKey + " for high scores", centerX, (this.canvas.height / 2) + 60);
+        }
+        this.ctx.restore();
+    }
 
-    //draw the "next" piece 
-    if (this.nextPiece) {
-        this.nextPiece.draw("next");
+    //mark a replay as one
+    if (this.replayPlayer) {
+        this.ctx.save();
+        this.ctx.font = "bold 12px Verdana";
+        this.ctx.fillStyle = "black";
+        this.ctx.fillText("REPLAY" + (this.replaySpeed !== 1 ? " x" + this.replaySpeed : ""), 5, 15);
+        this.ctx.restore();
+    }
+
+    //and a demo as one, with a way out
+    if (this.isDemo) {
+        this.ctx.save();
+        this.ctx.font = "bold 12px Verdana";
+        this.ctx.fillStyle = "black";
+        this.ctx.fillText("DEMO", 5, 15);
+        var pauseKey = this.getKeyLabel("pause");
+        if (pauseKey) {
+            this.ctx.font = "12px Verdana";
+            this.ctx.fillText("Press " + pauseKey + " to play", 5, 30);
+        }
+        this.ctx.restore();
     }
 
     //draw the game stats
     this.gameStats.draw();
+
+    //the high scores go over everything
+    if (this.isShowingScores) {
+        this.drawHighScores();
+    }
 };
 
 /**
- * handles a game tick - drops pieces down or bakes them onto the board if no room to drop
- * called by a JS timer based on current difficulty
- * triggers a repaint
+ * outlines the cells a piece should fill
+ * @param {array} cells [x, y]
  * @returns {void}
  */
- Game.prototype.gameTick = function () {
-    //Move the gamePiece down 1
-    if (game.gamePiece) {
-        if (game.gameBoard.isValidMove(game.gamePiece, "down")) {
-            game.gamePiece.move("down");
-        }
-        else {
-            game.gameBoard.bakePiece(game.gamePiece);
-        }
+ Game.prototype.drawTarget = function (cells) {
+    this.ctx.save();
+    this.ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    this.ctx.lineWidth = 2;
+    for (var i = 0; i < cells.length; i++) {
+        this.ctx.strokeRect((cells[i][0] * this.blockSize) + 2, (cells[i][1] * this.blockSize) + 2, this.blockSize - 4, this.blockSize - 4);
     }
-    game.draw();
+    this.ctx.restore();
 };
 
 /**
- * start the game - unset any existing ticker and create a new one, based on difficulty
+ * turns finesse training on or off - pieces are judged from the next one on (see FinesseTrainer)
+ * @param {boolean} enabled
  * @returns {void}
  */
- Game.prototype.start = function () {
-    if (!this.isRunning) {
-        this.selectNextPiece();
-        if (this.ticker) {
-            clearInterval(this.ticker);
-        }
-        this.ticker = setInterval(this.gameTick, this.difficultyTimeouts[this.difficulty]);
-        this.isRunning = true;
-
-        //start audio
-        this.gameMusic.selectTrack('tetris.mp3', true);
-        this.gameMusic.start();
+ Game.prototype.setFinesse = function (enabled) {
+    if (enabled && !this.finesse) {
+        this.finesse = new FinesseTrainer(this);
+        this.finesse.attach();
+    } else if (!enabled && this.finesse) {
+        this.finesse.detach();
+        this.finesse = null;
     }
+    this.useFinesse = enabled;
 };
 
 /**
- * pause/resume the game. If the game was over, resets the game
+ * draws the high score table over the whole canvas
  * @returns {void}
  */
- Game.prototype.togglePause = function () {
-    if (!this.isPaused) {
-        clearInterval(this.ticker);
-        this.ticker = null;
-        this.isPaused = true;
-        this.gameMusic.pause();
-    } else {
-        if (this.isGameOver) {
-            //reset the game instead..
-            this.reset();
-            return;
-        }
-        this.ticker = setInterval(this.gameTick, this.difficultyTimeouts[this.difficulty]);
-        this.isPaused = false;
-        this.gameMusic.start();
+ Game.prototype.drawHighScores = function () {
+    var scores = this.highScores.getScores(this.mode);
+    var ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.fillStyle = "black";
+    ctx.textAlign = "center";
+    ctx.font = "24px Verdana";
+    ctx.fillText("High Scores", this.canvas.width / 2, 40);
+    ctx.font = "12px Verdana";
+    ctx.fillText(this.mode.title, this.canvas.width / 2, 56);
+
+    ctx.font = "11px Verdana";
+    if (scores.length === 0) {
+        ctx.fillText("No scores yet", this.canvas.width / 2, 90);
+    }
+    ctx.textAlign = "left";
+    for (var i = 0; i < scores.length; i++) {
+        var entry = scores[i];
+        var y = 80 + (i * 20);
+        ctx.font = (i === this.highlightedScore ? "bold " : "") + "11px Verdana";
+        ctx.fillText((i + 1) + ".", 10, y);
+        ctx.fillText(entry.name, 30, y);
+        ctx.fillText(entry.score, 130, y);
+        ctx.fillText("Lv " + entry.level, 185, y);
+        ctx.fillText(entry.lines + " ln", 225, y);
+        ctx.fillText(formatTime(entry.duration), 265, y);
+    }
+
+    var scoresKey = this.getKeyLabel("scores");
+    if (scoresKey) {
+        ctx.textAlign = "center";
+        ctx.font = "12px Verdana";
+        ctx.fillText("Press " + scoresKey + " to close", this.canvas.width / 2, this.canvas.height - 20);
     }
+    ctx.restore();
 };
 
 /**
- * resets the game clock, clearing any soon-to-expire interval
+ * starts typing a name for a new high score - the keyboard types it, ENTER (or "pause" from any device) saves it
+ * @param {object} entry the high score entry, without the name
  * @returns {void}
  */
- Game.prototype.resetTimer = function () {
-    clearInterval(this.ticker);
-    this.ticker = setInterval(this.gameTick, this.difficultyTimeouts[this.difficulty]);
+ Game.prototype.beginNameEntry = function (entry) {
+    var self = this;
+    this.nameEntry = {name: this.highScores.lastName, entry: entry};
+    if (this.keyboard) {
+        this.keyboard.captureText(function (e) {
+            self.onNameKey(e);
+        });
+    }
 };
 
 /**
- * resets this game
+ * handles a key press while a name is typed
+ * @param {KeyboardEvent} e
  * @returns {void}
  */
- Game.prototype.reset = function () {
-    clearInterval(this.ticker);
-    this.ticker = null;
-    this.difficulty = 0;
-    this.isGameOver = false;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // create a new board, stats, and pieces
-    this.gameBoard = new GameBoard(this, this.boardWidth, this.boardHeight);
-    this.gameStats = new GameStats(this);
-    this.gamePiece = null;
-    this.nextPiece = this.getRandomPiece();
-
-    this.start();
+ Game.prototype.onNameKey = function (e) {
+    if (e.keyCode === 13) {
+        this.submitName();
+    } else if (e.keyCode === 27) {
+        // leave the score out of the table
+        this.endNameEntry();
+    } else if (e.keyCode === 8) {
+        this.nameEntry.name = this.nameEntry.name.slice(0, -1);
+    } else if (e.key && e.key.length === 1 && this.nameEntry.name.length < this.maxNameLength) {
+        this.nameEntry.name += e.key;
+    }
+    this.scheduleDemo();
+    this.draw();
 };
 
 /**
- * resizes the game board based on pixel units
- * redraws the board
- * @param {int} width (in px)
- * @param {int} height (in px)
+ * adds the finished game to the high scores under the name typed, and shows the table
  * @returns {void}
  */
- Game.prototype.resize = function (width, height) {
-    //resize the canvas
-    this.canvas.width = width;
-    this.canvas.height = height;
-
-    //resize the div the canvas is drawn on
-    this.canvas.parentNode.style.width = width + "px";
-    this.canvas.parentNode.style.height = height + "px";
-
-    // compute the board (block) width possible given the canvas size and the block size
-    var newWidth = Math.floor(width / this.blockSize) - Math.floor(this.sideBarSize / this.blockSize);
-    var newHeight = Math.floor(height / this.blockSize);
-
-    //resize the game board
-    this.gameBoard.resize(newWidth, newHeight);
-
-    //resize the board widht (in blocks)
-    this.boardWidth = newWidth;
-    this.boardHeight = newHeight;
-
-    this.draw();
+ Game.prototype.submitName = function () {
+    var entry = this.nameEntry.entry;
+    entry.name = this.nameEntry.name.trim() || "Player";
+    this.endNameEntry();
+    this.highScores.lastName = entry.name;
+    this.highlightedScore = this.highScores.add(this.mode, entry);
+    this.isShowingScores = true;
 };
 
 /**
- * initializes the Game
- * @returns void
+ * stops typing a name
+ * @returns {void}
  */
- Game.prototype.init = function () {
-    this.gameBoard = new GameBoard(this, this.boardWidth, this.boardHeight);
-    this.gameStats = new GameStats(this);
-    this.gamePiece = null;
-    this.nextPiece = this.getRandomPiece();
-    this.gameMusic = new GameMusic(this);
-
-    this.gradientCache = new GradientCache();
-
-    this.gameMusic.init('tetris.mp3');
-
-    this.draw();
-
-    document.onkeydown = function (e) {
-        //Dispatch key events to the game
-        game.handleInput(e);
-        e.preventDefault();
-    };
+ Game.prototype.endNameEntry = function () {
+    this.nameEntry = null;
+    if (this.keyboard) {
+        this.keyboard.captureText(null);
+    }
 };
 
-
 /**
- * models the game board
- * @param {Game} game the Game
- * @param {int} width (in blocks)
- * @param {int} height (in blocks)
- * @returns {GameBoard}
+ * draws the announcement of the last notable clear over the board, until it expires
+ * @returns {void}
  */
-function GameBoard(game, width, height) {
-
-    this.game = game;
-    this.width = width;
-    this.height = height;
-
-    // this GameBoard hold a <canvas> as a cache - the cache is updated/invalidated as necessary
-    this.canvasCache = new CanvasCache(this.game, this.width, this.height);
-
-    //a 2D array to model the game board
-    this.gameBoard = [];
-
-    //Populate the board array with zeros
-    for (i = 0; i < this.width; i++) {
-        this.gameBoard[i] = [];
-        for (j = 0; j < this.height; j++) {
-            this.gameBoard[i][j] = 0;
-        }
+ Game.prototype.drawAnnouncement = function () {
+    if (!this.announcement) {
+        return;
     }
-}
+    if (Date.now() - this.announcement.time > this.announcementDuration) {
+        this.announcement = null;
+        return;
+    }
+    var centerX = (this.gameBoard.width * this.blockSize) / 2;
+    var top = this.canvas.height / 3;
+    this.ctx.save();
+    this.ctx.textAlign = "center";
+    this.ctx.font = "bold 16px Verdana";
+    this.ctx.fillStyle = "black";
+    for (var i = 0; i < this.announcement.lines.length; i++) {
+        this.ctx.fillText(this.announcement.lines[i], centerX, top + (i * 22));
+    }
+    this.ctx.restore();
+};
 
 /**
- * determines if the x,y is on the game board
- * @param {type} x
- * @param {type} y
- * @returns {Boolean}
+ * the size of the blocks in the "next" box - a single piece is shown full size, a longer queue at half size,
+ * and both shrink so pieces bigger than the tetrominoes still fit the box
+ * @returns {int} (in px)
  */
-GameBoard.prototype.isOnBoard = function (x, y) {
-    if (x >= 0 && y >= 0 && x < this.gameBoard.length && y < this.gameBoard[0].length) {
-        return true;
-    } else {
-        return false;
+ Game.prototype.getPreviewBlockSize = function () {
+    var blockSize = this.getHoldBlockSize();
+    if (this.previewCount > 1) {
+        return Math.floor(blockSize / 2);
     }
+    return blockSize;
 };
 
 /**
- * determines if the x,y is occupied by a GameBlock. Values off the board are considered "occupied" for collision
- * @param int x 
- * @param int y
+ * the size of the blocks in the "hold" box - full size, unless the largest piece is too big for the box (more than 4 blocks)
+ * @returns {int} (in px)
  */
-GameBoard.prototype.isOccupied = function (x, y) {
-    if (!this.isOnBoard(x, y)) {
-        return true;
-    }
-    if (this.gameBoard[x][y] instanceof GameBlock) {
-        return true;
-    } else {
-        return false;
-    }
+ Game.prototype.getHoldBlockSize = function () {
+    return Math.floor(this.sideBarBlockSize * 4 / Math.max(this.getLargestPieceSize(), 4));
 };
 
-GameBoard.prototype.isUnoccupied = function (x, y) {
-    return !this.isOccupied(x, y);
+/**
+ * the rows each piece in the "next" box gets - 3 for the tetrominoes, more for bigger pieces
+ * @returns {int}
+ */
+ Game.prototype.getPreviewRows = function () {
+    return Math.max(this.getLargestPieceSize() - 1, 3);
 };
 
 /**
- * determines if the requested move is valid (won't collide with anything) for the gamePiece
- * simulates the move on a cloned GamePiece
- * @param {GamePiece} gamePiece the piece to move
- * @param {string} direction the direction to move/rotate
- * @returns {boolean} whether the move is possible 
+ * the position of a preview box in the sidebar
+ * the "next" box grows to fit the queue and the "hold" box sits below it
+ * @param {string} type ['next','hold']
+ * @returns {object} {x, y, width, height} in px
  */
-GameBoard.prototype.isValidMove = function (gamePiece, direction) {
-    // clone the gamePiece to simulate the action
-    var tmpPiece = new GamePiece(this.game, null);
-    tmpPiece.shapeDescription = gamePiece.shapeDescription;
-    tmpPiece.height = gamePiece.height;
-    tmpPiece.width = gamePiece.width;
-    tmpPiece.rotation = gamePiece.rotation;
-    tmpPiece.position = {
-        x: gamePiece.position.x,
-        y: gamePiece.position.y
-    };
-
-    switch (direction) {
-        case "rotate":
-            tmpPiece.rotate();
-            break;
-        case "left":
-        case "right":
-        case "down":
-            tmpPiece.move(direction);
-            break;
-    }
-
-    // compute an array for this modified shape
-    tmpPiece.computeShape();
-
-    // now check for collisions against the game board
-    for (i = 0; i < tmpPiece.height; i++) {
-        for (j = 0; j < tmpPiece.width; j++) {
-            var pieceBlock = tmpPiece.shapeArray[i][j];
-            if (pieceBlock instanceof GameBlock) {
-                var boardPosition = {
-                    x: tmpPiece.position.x + i,
-                    y: tmpPiece.position.y + j
-                };
-                if (!this.isOnBoard(boardPosition.x, boardPosition.y) || this.isOccupied(boardPosition.x, boardPosition.y)) {
-                    return false;
-                }
-            }
-        }
+ Game.prototype.getSidebarBox = function (type) {
+    var nextBox = {x: this.canvas.width - 110, y: 10, width: 100, height: 80};
+    if (this.previewCount > 1) {
+        // every piece gets 3 rows (or more, see getPreviewRows)
+        nextBox.height = 20 + this.previewCount * this.getPreviewRows() * this.getPreviewBlockSize();
     }
-    return true;
+    if (type === "hold") {
+        return {x: nextBox.x, y: nextBox.y + nextBox.height + 10, width: 100, height: 80};
+    }
+    return nextBox;
 };
 
 /**
- * finds any complete lines in the game board based on the piece that was just placed
- * 
- * @param {GamePiece} gamePiece the game piece that was just baked onto the board
- * @returns {array} the indices of any completed lines that will need to be removed
- */
-GameBoard.prototype.checkLines = function (gamePiece) {
-    var completedLines = [];
-    var minY, maxY;
-    if (gamePiece) {
-        //check every row that the gamePiece occupies 
-        //there is no need to scan any other rows because only the "baked" piece can matter 
-        minY = gamePiece.position.y;
-        maxY = minY + gamePiece.height;
-    } else {
-        //if no gamePiece was provided, check every row
-        minY = 0;
-        maxY = this.height;
-    }
-
-    for (j = minY; j < maxY; j++) {
-        brokenLine = false;
-        for (i = 0; i < this.width; i++) {
-            if (!(this.gameBoard[i][j] instanceof GameBlock)) {
-                brokenLine = true;
-                break;
-            }
+ * handles a game tick - advances the engine (or the replay playing) by the time since the last tick and triggers a repaint
+ * called by a JS timer every frame
+ * @returns {void}
+ */
+ Game.prototype.gameTick = function () {
+    var now = Date.now();
+    var player = this.replayPlayer;
+    if (player) {
+        // a recording that stopped mid-game is left paused, for the player to take over
+        if (player.advance((now - this.lastFrameTime) * this.replaySpeed) && player === this.replayPlayer) {
+            this.stopReplay();
+            this.togglePause();
         }
-        if (!brokenLine) {
-            completedLines.push(j);
+    } else {
+        this.repeater.update(now - this.lastFrameTime);
+        if (this.bot) {
+            this.bot.update(now - this.lastFrameTime);
         }
+        this.update(now - this.lastFrameTime);
     }
-    return completedLines;
+    this.lastFrameTime = now;
+    // a good demo could go on forever
+    if (this.isDemo && this.gameStats.time >= this.demoLength) {
+        this.stopDemo();
+        return;
+    }
+    this.draw();
 };
 
 /**
- * collapses the completed lines from the game board
- * works from top-to-bottom, collapsing the stack
- * 
- * @param {array} completedLines
+ * (re)starts the wait for a demo, if the board is between games - or cancels it, if a game is on
+ * @returns {void}
  */
-GameBoard.prototype.clearLines = function (completedLines) {
-    if (completedLines.length > 0) {
-
-        //sort the completed lines to sweep from top-to-bottom (ascending order)
-        //the array should already be sorted based on the output from checkLines(), so this may be unneccesary...
-        var sortedLines = completedLines.slice().sort(function (a, b) {
-            return a - b
-        });
-
-        //tally the score
-        this.game.gameStats.addScore(this.game.pointsAwardedForLines[sortedLines.length - 1] * (this.game.difficulty + 1));
-
-        //for each row in the sorted array, move all blocks above this line down one unit
-        for (i = 0; i < sortedLines.length; i++) {
-            var rowNum = sortedLines[i];
-            //work "upwards" (toward zero) scanning rows
-            for (j = rowNum; j >= 0; j--) {
-                //scan this row left to right, moving any Blocks down 1 unit
-                for (k = 0; k < this.width; k++) {
-                    if (j > 0) {
-                        this.gameBoard[k][j] = this.gameBoard[k][j - 1];
-                    } else {
-                        this.gameBoard[k][j] = 0;
-                    }
-                }
-            }
-        }
+ Game.prototype.scheduleDemo = function () {
+    var self = this;
+    clearTimeout(this.demoTimer);
+    this.demoTimer = null;
+    if (this.demoDelay > 0 && !this.isDemo && !this.match && !this.editor && !this.replayPlayer && (!this.isRunning || this.isGameOver)) {
+        this.demoTimer = setTimeout(function () {
+            self.demoTimer = null;
+            self.startDemo();
+        }, this.demoDelay);
     }
 };
 
-
-
 /**
- * copies (bakes) a piece onto the game board and replaces the game piece in play with a new one
- * @param {GamePiece} gamePiece the GamePiece to bake on the GameBoard
+ * starts a demo game, played by a computer player - unless a game, a replay or a new high score's name is in progress
+ * the demo isn't recorded, saved or entered in the high scores, and the music stays off
+ * @returns {void}
  */
-GameBoard.prototype.bakePiece = function (gamePiece) {
-    if (gamePiece instanceof GamePiece) {
-        var rawPiece = this.game.gamePiece;              //The "uncooked" game piece
-        //copy this piece onto the board
-        for (i = 0; i < rawPiece.height; i++) {
-            for (j = 0; j < rawPiece.width; j++) {
-                var boardPosition = {
-                    x: rawPiece.position.x + i,
-                    y: rawPiece.position.y + j
-                };
-                //Check to see if this block is on the board - should always be true
-                if (this.isOnBoard(boardPosition.x, boardPosition.y)) {
-                    var block = rawPiece.shapeArray[i][j];
-                    if (block instanceof GameBlock) {
-                        this.gameBoard[boardPosition.x][boardPosition.y] = block;
-                    }
-                }
-            }
-        }
-
-        // find any completed lines
-        var completedLines = this.checkLines(gamePiece);
+ Game.prototype.startDemo = function () {
+    if (this.isDemo || this.nameEntry || this.match || this.replayPlayer || (this.isRunning && !this.isGameOver)) {
+        return;
+    }
+    this.isDemo = true;
+    this.isShowingScores = false;
+    if (this.recorder) {
+        this.recorder.detach();
+    }
+    this.bot = new Bot(this, {difficulty: "medium"});
+    if (this.isRunning) {
+        this.reset();
+    } else {
+        this.start();
+    }
+    this.draw();
+};
 
-        // remove them
-        this.clearLines(completedLines);
+/**
+ * ends the demo and goes back to the title screen, to wait for the next one
+ * @returns {void}
+ */
+ Game.prototype.stopDemo = function () {
+    if (!this.isDemo) {
+        return;
+    }
+    this.isDemo = false;
+    this.bot = null;
 
-        // put the next piece in play
-        this.game.selectNextPiece();   //select the new random piece
+    // a fresh board that hasn't started
+    this.stop();
 
-        //invalidate the cached canvas if there were completed lines - causes the whole board to be rebuilt and cached
-        if (completedLines.length > 0) {
-            this.canvasCache.invalidate();
-            this.draw();
-        } else {
-            // draw (only) the new baked piece directly on the cache canvas
-            this.drawBakedPiece(gamePiece);
-        }
+    if (this.recorder) {
+        this.recorder.attach();
     }
+    this.scheduleDemo();
+    this.draw();
 };
 
 /**
- * draw a single game piece on the (cached) canvas
- * @param {GamePiece} gamePiece
+ * starts a new game that plays back a recorded one - the player's input is ignored until it ends
+ * @param {object|string} replay as recorded by ReplayRecorder, or its JSON
+ * @param {number} speed how much faster than recorded to play (default 1)
  * @returns {void}
  */
-GameBoard.prototype.drawBakedPiece = function (gamePiece) {
-    var cacheContext = this.canvasCache.context;
-    gamePiece.draw("baked", cacheContext);
+ Game.prototype.playReplay = function (replay, speed) {
+    var player = new ReplayPlayer(this, replay);
+    this.stopReplay();
+    this.replayPlayer = player;
+    this.replaySpeed = speed || 1;
+    player.start();
+    this.draw();
 };
 
 /**
- * resize the board, adding or slicing out array elements as necessary
- * @param {int} width
- * @param {int} height
+ * stops the replay playing (if any) - the game is left as it is
+ * @returns {void}
  */
-GameBoard.prototype.resize = function (newWidth, newHeight) {
-    //find the difference between the current size of the canvas and the game board
-    for (i = 0; i < Math.max(this.width, newWidth); i++) {
-        if (i >= newWidth) {
-            // the old board was bigger
-            // slice off the end of the array (width)
-            this.gameBoard = this.gameBoard.slice(0, newWidth);
-            break;
-        }
-        for (j = 0; j < Math.max(this.height, newHeight); j++) {
+ Game.prototype.stopReplay = function () {
+    if (this.replayPlayer) {
+        this.replayPlayer.stop();
+        this.replayPlayer = null;
+    }
+};
 
-            if (j >= newHeight) {
-                // the old board was bigger
-                // slice off the end of the array (height)
-                this.gameBoard[i] = this.gameBoard[i].slice(0, newHeight);
-                break;
-            }
-            if (i >= this.width) {
-                // the oldboard was smaller
-                // create new array elements
-                this.gameBoard[i] = [];
-                this.gameBoard[i][j] = 0;
-            } else if (j >= this.height) {
-                // the oldboard was smaller
-                // create new array elements
-                this.gameBoard[i][j] = 0;
-            }
-        }
+/**
+ * saves the game in progress to localStorage (see GameEngine.serialize)
+ * finished games, replays and demos aren't saved
+ * @returns {void}
+ */
+ Game.prototype.saveGame = function () {
+    if (!this.isRunning || this.isGameOver || this.replayPlayer || this.isDemo) {
+        return;
+    }
+    try {
+        localStorage.setItem(this.saveKey, JSON.stringify(this.serialize()));
+    } catch (e) {
+        // storage may be full or disabled - the game just won't be kept
     }
-    this.width = newWidth;
-    this.height = newHeight;
+};
 
-    // resize the cached canvas
-    this.canvasCache.resize(this.width, this.height);
+/**
+ * loads the saved game from localStorage
+ * @returns {object} null if there is none
+ */
+ Game.prototype.loadSavedGame = function () {
+    try {
+        var saved = localStorage.getItem(this.saveKey);
+        return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        return null;
+    }
+};
 
-    // immediately redraw
-    this.draw();
+/**
+ * determines if there is a saved game to resume
+ * @returns {boolean}
+ */
+ Game.prototype.hasSavedGame = function () {
+    return this.loadSavedGame() !== null;
 };
 
 /**
- * draws the game board on the canvas
- * the game board consists of Blocks already baked onto it
+ * forgets the saved game
+ * @returns {void}
  */
-GameBoard.prototype.draw = function () {
+ Game.prototype.clearSavedGame = function () {
+    try {
+        localStorage.removeItem(this.saveKey);
+    } catch (e) {
+        // nothing was saved
+    }
+};
 
-    if (!this.canvasCache.isValid()) {
-        // the cached canvas is considered invalid - clear the cached canvas and draw fresh
-        var cacheContext = this.canvasCache.context;
-        var cacheCanvas = this.canvasCache.canvas;
+/**
+ * carries on with the saved game - it comes back paused
+ * @returns {boolean} whether there was a saved game to resume
+ */
+ Game.prototype.resumeSavedGame = function () {
+    var state = this.loadSavedGame();
+    if (!state) {
+        return false;
+    }
+    this.stopReplay();
+    try {
+        this.restore(state);
+    } catch (e) {
+        // a save from an older version, or a corrupted one - there's nothing to resume
+        this.clearSavedGame();
+        GameEngine.prototype.init.call(this);
+        this.draw();
+        return false;
+    }
+    return true;
+};
 
-        cacheContext.clearRect(0, 0, cacheCanvas.width, cacheCanvas.height);
+/**
+ * (re)starts the game clock
+ * @returns {void}
+ */
+ Game.prototype.resetTimer = function () {
+    var self = this;
+    clearInterval(this.ticker);
+    this.lastFrameTime = Date.now();
+    this.ticker = setInterval(function () {
+        self.gameTick();
+    }, this.frameInterval);
+};
 
-        //loop over the array of Blocks on the board
-        for (i = 0; i < this.width; i++) {
-            for (j = 0; j < this.height; j++) {
-                //If a block is here, draw it
-                if (this.gameBoard[i][j] instanceof GameBlock) {
-                    //get facts about the block, then draw the block
-                    var blockSize = this.game.blockSize;
-                    var posX = i * blockSize;
-                    var posY = j * blockSize;
-                    cacheContext.strokeStyle = "black";
+/**
+ * stops the game clock
+ * @returns {void}
+ */
+ Game.prototype.stopTimer = function () {
+    clearInterval(this.ticker);
+    this.ticker = null;
+};
 
-                    var thisBlockColor = this.game.colors[game.difficulty][this.gameBoard[i][j].color];
+/**
+ * resizes the canvas, scaling the board to fit
+ * redraws the board
+ * @param {int} width (in px)
+ * @param {int} height (in px)
+ * @returns {void}
+ */
+ Game.prototype.resize = function (width, height) {
+    //resize the canvas
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    //resize the div the canvas is drawn on
+    this.canvas.parentNode.style.width = width + "px";
+    this.canvas.parentNode.style.height = height + "px";
 
-                    // get a gradient from the cache
-                    var gradient = this.game.getGradient("baked", thisBlockColor, cacheContext);
+    //the board stays the same - its blocks grow or shrink to fit
+    this.layout();
 
-                    cacheContext.save();
-                    cacheContext.translate(posX, posY);
-                    cacheContext.fillStyle = gradient;
+    this.draw();
+};
 
+/**
+ * sizes the blocks so the board (without its hidden rows) and the sidebar fit the canvas
+ * @returns {void}
+ */
+ Game.prototype.layout = function () {
+    var width = (this.canvas.width - this.sideBarSize) / this.boardWidth;
+    var height = this.canvas.height / this.boardHeight;
+    this.blockSize = Math.max(Math.floor(Math.min(width, height)), 1);
+};
+
+/**
+ * initializes the Game
+ * @returns void
+ */
+ Game.prototype.init = function () {
+    GameEngine.prototype.init.call(this);
+
+    this.gameMusic = new GameMusic(this, this.useMusic);
+
+    this.gradientCache = new GradientCache();
+
+    this.gameMusic.init('tetris.mp3');
+
+    // keep the clock, the music and the cached board in step with the engine
+    this.on("start", function () {
+        this.resetTimer();
+        this.isShowingScores = false;
+        this.scheduleDemo();
+        if (this.isDemo) {
+            return;
+        }
+        // a new game replaces the saved one
+        if (!this.replayPlayer) {
+            this.clearSavedGame();
+        }
+        this.gameMusic.selectTrack('tetris.mp3', true);
+        this.gameMusic.start();
+    });
+    this.on("pause", function () {
+        this.stopTimer();
+        if (this.useAutosave) {
+            this.saveGame();
+        }
+        this.repeater.releaseAll();
+        this.gameMusic.pause();
+    });
+    this.on("resume", function () {
+        this.resetTimer();
+        this.gameMusic.start();
+    });
+    this.on("reset", function () {
+        this.stopTimer();
+        this.isShowingScores = false;
+        this.announcement = null;
+        // the new board may be another size
+        this.layout();
+    });
+    this.on("restore", function () {
+        // a restored game comes back paused, on a new board
+        this.stopTimer();
+        this.layout();
+        this.repeater.releaseAll();
+        this.announcement = null;
+        this.gameBoard.getCanvasCache().invalidate();
+        this.draw();
+    });
+    this.on("garbage", function () {
+        // the whole stack moved up
+        this.gameBoard.getCanvasCache().invalidate();
+    });
+    this.on("board", function () {
+        this.gameBoard.getCanvasCache().invalidate();
+    });
+    this.on("finesse", function (result) {
+        // show the way it could have been done, along with anything the clear announced
+        if (!result.fault) {
+            return;
+        }
+        var now = Date.now();
+        var lines = this.announcement && this.announcement.time === now ? this.announcement.lines : [];
+        lines.push("Finesse Fault", formatActions(result.actions));
+        this.announcement = {lines: lines, time: now};
+    });
+    this.on("levelup", function () {
+        // block colors depend on the difficulty
+        this.gameBoard.getCanvasCache().invalidate();
+    });
+    this.on("clear", function (clear) {
+        // only announce what is worth announcing - a plain single goes by quietly
+        var lines = [];
+        if (clear.backToBack) {
+            lines.push("Back-to-Back");
+        }
+        if (clear.tspin || clear.lines >= 4) {
+            lines.push(clear.name);
+        }
+        if (clear.combo > 0) {
+            lines.push(clear.combo + " Combo");
+        }
+        if (clear.perfectClear) {
+            lines.push("Perfect Clear");
+        }
+        if (lines.length > 0) {
+            this.announcement = {lines: lines, time: Date.now()};
+        }
+    });
+    this.on("gameover", function () {
+        this.stopTimer();
+        // the end of a replay says nothing about the saved game
+        if (this.replayPlayer) {
+            this.stopReplay();
+        } else if (this.isDemo) {
+            // back to the title screen in a moment
+            var self = this;
+            clearTimeout(this.demoTimer);
+            this.demoTimer = setTimeout(function () {
+                self.demoTimer = null;
+                self.stopDemo();
+            }, 3000);
+            this.draw();
+            return;
+        } else {
+            this.clearSavedGame();
+            var entry = {
+                score: this.gameStats.score,
+                level: this.difficulty + 1,
+                lines: this.gameStats.lines,
+                garbageLines: this.gameStats.garbageLines,
+                duration: this.gameStats.time,
+                date: new Date().toISOString()
+            };
+            if (this.highScores.qualifies(this.mode, entry)) {
+                this.beginNameEntry(entry);
+            }
+            this.scheduleDemo();
+        }
+        this.gameMusic.selectTrack('gameover.mp3', false);
+        this.gameMusic.start();
+        // the game may have been ended from outside, by the other board of a match
+        this.draw();
+    });
+    this.on("bake", function (e) {
+        if (e.lines.length > 0) {
+            //invalidate the cached canvas if there were completed lines - causes the whole board to be rebuilt and cached
+            this.gameBoard.getCanvasCache().invalidate();
+        } else {
+            // draw (only) the new baked piece directly on the cache canvas
+            this.gameBoard.drawBakedPiece(e.piece);
+        }
+    });
+
+    if (this.useRecorder) {
+        this.recorder = new ReplayRecorder(this);
+        this.recorder.attach();
+    }
+
+    if (this.useFinesse) {
+        this.setFinesse(true);
+    }
+
+    if (this.useAutosave) {
+        var self = this;
+        this.unloadListener = function () {
+            self.saveGame();
+        };
+        window.addEventListener("pagehide", this.unloadListener);
+    }
+
+    this.draw();
+    this.scheduleDemo();
+
+    //Dispatch key, gamepad and touch events to the game
+    this.repeater = new ActionRepeater(this, this.inputOptions);
+    if (this.useKeyboard) {
+        this.keyboard = new KeyboardInput(this.repeater, this.inputOptions);
+        this.keyboard.attach(this.inputTarget);
+    }
+    if (this.useGamepad) {
+        this.gamepad = new GamepadInput(this.repeater, this.inputOptions);
+        this.gamepad.attach();
+    }
+    if (this.useTouch) {
+        this.touch = new TouchInput(this, this.canvas);
+        this.touch.attach();
+    }
+};
+
+/**
+ * stops this Game and releases the page resources it holds (clock, input listeners, audio)
+ * @returns {void}
+ */
+ Game.prototype.destroy = function () {
+    this.stopTimer();
+    this.stopReplay();
+    clearTimeout(this.demoTimer);
+    this.demoTimer = null;
+    this.endNameEntry();
+    if (this.unloadListener) {
+        window.removeEventListener("pagehide", this.unloadListener);
+        this.unloadListener = null;
+    }
+    if (this.recorder) {
+        this.recorder.detach();
+        this.recorder = null;
+    }
+    if (this.finesse) {
+        this.finesse.detach();
+        this.finesse = null;
+    }
+    if (this.editor) {
+        this.editor.detach();
+    }
+    if (this.keyboard) {
+        this.keyboard.detach();
+        this.keyboard = null;
+    }
+    if (this.gamepad) {
+        this.gamepad.detach();
+        this.gamepad = null;
+    }
+    if (this.touch) {
+        this.touch.detach();
+        this.touch = null;
+    }
+    if (this.gameMusic) {
+        this.gameMusic.destroy();
+    }
+};
+
+
+/**
+ * gets the <canvas> cache for this board, creating it on first use
+ * and resizing it if the board (or its blocks) have been resized since
+ * @returns {CanvasCache}
+ */
+GameBoard.prototype.getCanvasCache = function () {
+    if (!this.canvasCache) {
+        // this GameBoard hold a <canvas> as a cache - the cache is updated/invalidated as necessary
+        this.canvasCache = new CanvasCache(this.game, this.width, this.height);
+    } else if (this.canvasCache.width !== this.width || this.canvasCache.height !== this.height ||
+            this.canvasCache.blockSize !== this.game.blockSize) {
+        this.canvasCache.resize(this.width, this.height);
+    }
+    return this.canvasCache;
+};
+
+/**
+ * draw a single game piece on the (cached) canvas
+ * @param {GamePiece} gamePiece
+ * @returns {void}
+ */
+GameBoard.prototype.drawBakedPiece = function (gamePiece) {
+    var cacheContext = this.getCanvasCache().context;
+    gamePiece.draw("baked", cacheContext);
+};
+
+/**
+ * draws the game board on the canvas
+ * the game board consists of Blocks already baked onto it
+ * @param {Context} context where to draw instead of the game's canvas - with origin
+ * @param {object} origin {x, y, blockSize} - draws the board at this pixel position and scale
+ * @returns {void}
+ */
+GameBoard.prototype.draw = function (context, origin) {
+    // somewhere else, at another scale - e.g. an opponent's board in miniature - is drawn block by block
+    if (origin) {
+        // without the hidden rows
+        var hiddenRows = this.game.hiddenRows;
+        for (var x = 0; x < this.width; x++) {
+            for (var y = hiddenRows; y < this.height; y++) {
+                if (this.gameBoard[x][y] instanceof GameBlock) {
+                    this.game.drawBlock(context, "baked", this.gameBoard[x][y].color,
+                        origin.x + (x * origin.blockSize), origin.y + ((y - hiddenRows) * origin.blockSize), origin.blockSize);
+                }
+            }
+        }
+        return;
+    }
+
+    var canvasCache = this.getCanvasCache();
+
+    if (!canvasCache.isValid()) {
+        // the cached canvas is considered invalid - clear the cached canvas and draw fresh
+        var cacheContext = canvasCache.context;
+        var cacheCanvas = canvasCache.canvas;
+
+        cacheContext.clearRect(0, 0, cacheCanvas.width, cacheCanvas.height);
+
+        //loop over the array of Blocks on the board
+        for (var i = 0; i < this.width; i++) {
+            for (var j = 0; j < this.height; j++) {
+                //If a block is here, draw it
+                if (this.gameBoard[i][j] instanceof GameBlock) {
                     //draw the block on the canvas based on its position in the array
-                    cacheContext.fillRect(0, 0, blockSize, blockSize);
-                    cacheContext.strokeRect(0, 0, blockSize, blockSize);
-                    cacheContext.restore();
+                    var blockSize = this.game.blockSize;
+                    this.game.drawBlock(cacheContext, "baked", this.gameBoard[i][j].color, i * blockSize, j * blockSize, blockSize);
                 }
             }
         }
-        this.canvasCache.validate();
+        canvasCache.validate();
     }
     // draw the canvas cache
-    this.game.ctx.drawImage(this.canvasCache.canvas, 0, 0);
+    this.game.ctx.drawImage(canvasCache.canvas, 0, 0);
 };
 
 
@@ -774,10 +1167,13 @@ GameBoard.prototype.draw = function () {
  */
 function CanvasCache(game, width, height) {
     this.game = game;
+    this.width = width;
+    this.height = height;
     this.canvas = document.createElement('canvas');
-    this.canvas.id = "cache";
-    this.canvas.width = width * this.game.blockSize;
-    this.canvas.height = height * this.game.blockSize;
+    this.canvas.id = this.game.canvasId + "-cache";
+    this.blockSize = this.game.blockSize;
+    this.canvas.width = width * this.blockSize;
+    this.canvas.height = height * this.blockSize;
     this.game.canvas.appendChild(this.canvas);
     this.context = this.canvas.getContext('2d');
     this.isReady = false;
@@ -789,8 +1185,11 @@ function CanvasCache(game, width, height) {
  * @returns {void}
  */
 CanvasCache.prototype.resize = function (width, height) {
-    this.canvas.width = width * this.game.blockSize;
-    this.canvas.height = height * this.game.blockSize;
+    this.width = width;
+    this.height = height;
+    this.blockSize = this.game.blockSize;
+    this.canvas.width = width * this.blockSize;
+    this.canvas.height = height * this.blockSize;
     this.invalidate();
 };
 
@@ -838,101 +1237,15 @@ GradientCache.prototype.set = function (key, gradient) {
 };
 
 
-/**
- * models a Tetromino game piece
- * @param {Game} game the Game object 
- * @param {string} shape char value describing this shape 
- */
-function GamePiece(game, shape) {
-    this.game = game;
-    /**
-     * The shape is denoted by a char in the list [i,j,l,o,s,t,z]
-     * This is the key into the hashed set of precomputed shapes
-     */
-    this.shapeDescription = this.game.shapes[shape];
-
-    /**
-     * the current 90 degree rotation [0,1,2,3] for this piece
-     */
-    this.rotation = 0;
-
-    /**
-     * This contains the shape array, given the current rotation + shapeDescription
-     */
-    this.shapeArray = [];
-
-    //FIXME: to hard-code or not to hard-code...
-    this.height = 4;
-    this.width = 4;
-
-    /**
-     * The position of this piece on the board
-     */
-    this.position = {x: 0, y: 0};
-    
-}
-
-/**
- * Populate the 2D array for this shape, given the current rotation + shapeDescription
- */
-GamePiece.prototype.computeShape = function () {
-    for (i = 0; i < this.height; i++) {
-        this.shapeArray[i] = [];
-        for (j = 0; j < this.width; j++) {
-            //check to see if this i,j index is in the shapeDescription bitmask - if so, make a GameBlock here
-            var currentShape = this.shapeDescription.blocks[this.rotation];
-            if (this.game.indexContainsBlock(i, j, currentShape)) {
-                this.shapeArray[i][j] = new GameBlock(this.shapeDescription.color);
-            } else {
-                this.shapeArray[i][j] = 0;
-            }
-
-        }
-    }
-};
-
-/**
- * rotates the piece by incrementing this.rotation through a cycle of integers
- * wipes the shape array to force the shape to be recompiled 
- * @returns {void}
- */
-GamePiece.prototype.rotate = function () {
-    //rotate the piece  - don't bother doing any collision checking here as this may be a synth test
-    if (this.rotation <= 2) {
-        this.rotation++;
-    } else {
-        this.rotation = 0;
-    }
-    this.shapeArray = [];
-};
-
-/**
- * move or rotate the piece - don't bother doing any collision checking here
- * @param {string} direction ['right','left','down','rotate']
- * @returns {void}
- */
-GamePiece.prototype.move = function (direction) {
-    switch (direction) {
-        case 'right':
-            this.position.x += 1;
-            break;
-        case 'left':
-            this.position.x -= 1;
-            break;
-        case 'down':
-            this.position.y += 1;
-            break;
-    }
-};
-
 /**
  * draw the GamePiece
  * compute the shape of the piece first, if necessary
  * @param {type} type
  * @param {type} context
+ * @param {object} origin {x, y, blockSize} - draws the piece at this pixel position and scale instead of its board position
  * @returns {void}
  */
-GamePiece.prototype.draw = function (type, context) {
+GamePiece.prototype.draw = function (type, context, origin) {
     // draws on the context passed to the function, otherwise the game's context
     if (!context) {
         context = this.game.ctx;
@@ -942,37 +1255,25 @@ GamePiece.prototype.draw = function (type, context) {
         this.computeShape();
     }
     // draw this array of Blocks based on the current position of the piece
-    for (i = 0; i < this.height; i++) {
-        for (j = 0; j < this.width; j++) {
+    for (var i = 0; i < this.height; i++) {
+        for (var j = 0; j < this.width; j++) {
             var element = this.shapeArray[i][j];
             //If a block is here, draw it
             if (element instanceof GameBlock) {
-                //draw the block
-                var blockSize = this.game.blockSize;
-                context.strokeStyle = "black";     //border color
-                var thisBlockColor = this.game.colors[this.game.difficulty][element.color];
-
-                // get a gradient, either existing in the cache or generate one now
-                var gradient = this.game.getGradient(type, thisBlockColor, context);
-                context.fillStyle = gradient;
-
-                var posX, posY;
-
-                if (type === "next") {
-                    // draw this piece in the "next" box (ignore position)
-                    // TODO: don't hardcode the padding (100px) from the right side
-                    posX = (i * blockSize) + this.game.canvas.width - 100;
-                    posY = (j + 1) * blockSize;
+                var posX, posY, blockSize;
+
+                if (origin) {
+                    // draw this piece at the origin given, e.g. in a sidebar box (ignore position)
+                    blockSize = origin.blockSize;
+                    posX = (i * blockSize) + origin.x;
+                    posY = (j * blockSize) + origin.y;
                 } else {
                     // draw the block on the canvas based on its position in the array
+                    blockSize = this.game.blockSize;
                     posX = (i + this.position.x) * blockSize;
                     posY = (j + this.position.y) * blockSize;
                 }
-                context.save();
-                context.translate(posX, posY);
-                context.fillRect(0, 0, blockSize, blockSize);      //draw rectangle
-                context.strokeRect(0, 0, blockSize, blockSize);    //border
-                context.restore();
+                this.game.drawBlock(context, type, element.color, posX, posY, blockSize);
             }
         }
     }
@@ -980,32 +1281,10 @@ GamePiece.prototype.draw = function (type, context) {
 
 
 /**
- * stores game stats and draws the sidebar
+ * draws the sidebar
  * TODO: make the sidebar dynamically sized
- * @param {Game} game the Game 
- * @returns {GameStats}
+ * @returns {void}
  */
-function GameStats(game) {
-
-    this.game = game;
-    this.score = 0;
-}
-
-GameStats.prototype.addScore = function (val) {
-    this.score += val;
-    if (this.game.gameStats.score > this.game.scorePerLevel[this.game.difficulty]) {
-        //proceed to the next level
-        if (this.game.difficulty < 9) {
-            this.game.difficulty++;
-            this.game.resetTimer();
-        }
-    }
-};
-
-GameStats.prototype.resetScore = function () {
-    this.score = 0;
-};
-
 GameStats.prototype.draw = function () {
     this.game.ctx.font = "20px Verdana";
     // Create gradient
@@ -1018,42 +1297,86 @@ GameStats.prototype.draw = function () {
     this.game.ctx.fillStyle = gradient;
     this.game.ctx.strokeStyle = gradient;
 
-    //Draw "next" box
-    this.game.ctx.strokeRect(this.game.canvas.width - 110, 10, 100, 80);
-    this.game.ctx.fillStyle = "#eee";
-    this.game.ctx.fillRect(this.game.canvas.width - 80, 5, 50, 10);  //"legend" text background
-    this.game.ctx.fillStyle = gradient;
-    this.game.ctx.fillText("Next", this.game.canvas.width - 80, 18);
+    //Draw "next" and "hold" boxes
+    var boxes = [["next", "Next"], ["hold", "Hold"]];
+    for (var i = 0; i < boxes.length; i++) {
+        var box = this.game.getSidebarBox(boxes[i][0]);
+        this.game.ctx.strokeRect(box.x, box.y, box.width, box.height);
+        this.game.ctx.fillStyle = "#eee";
+        this.game.ctx.fillRect(box.x + 30, box.y - 5, 50, 10);  //"legend" text background
+        this.game.ctx.fillStyle = gradient;
+        this.game.ctx.fillText(boxes[i][1], box.x + 30, box.y + 8);
+    }
 
-    this.game.ctx.fillText("Level", this.game.canvas.width - 100, 120);
-    this.game.ctx.fillText(this.game.difficulty + 1, this.game.canvas.width - 100, 140);
-    this.game.ctx.fillText("Score", this.game.canvas.width - 100, 200);
-    this.game.ctx.fillText(this.score, this.game.canvas.width - 100, 220);
-    this.game.ctx.fillText("Next", this.game.canvas.width - 100, 260);
-    this.game.ctx.fillText(this.game.scorePerLevel[this.game.difficulty], this.game.canvas.width - 100, 280);
+    // the text flows below the boxes, a label and its value on each line
+    var holdBox = this.game.getSidebarBox("hold");
+    var top = holdBox.y + holdBox.height;
+    var rows = this.game.mode.getHud();
+    if (this.game.finesse) {
+        // the mode's last lines make room for the faults, and the keys the last piece took out of the fewest it needed
+        var last = this.game.finesse.lastResult;
+        rows = rows.slice(0, 4).concat([
+            ["Faults", this.finesseFaults],
+            ["Keys", last ? last.keys + " / " + last.minimum : "-", last && last.fault ? "red" : null]
+        ]);
+    }
+    this.game.ctx.font = "14px Verdana";
+    for (var row = 0; row < rows.length; row++) {
+        var y = top + 22 + (row * 18);
+        this.game.ctx.fillStyle = rows[row][2] || gradient;
+        this.game.ctx.textAlign = "left";
+        this.game.ctx.fillText(rows[row][0], this.game.canvas.width - 100, y);
+        this.game.ctx.textAlign = "right";
+        this.game.ctx.fillText(rows[row][1], this.game.canvas.width - 8, y);
+    }
+    this.game.ctx.textAlign = "left";
+    this.game.ctx.fillStyle = gradient;
+    top += rows.length * 18;
 
     var actionString = "";
+    var result = this.game.isGameOver ? this.game.mode.describeResult(this.game.endReason) : null;
     if (!this.game.isRunning) {
         actionString = "play";
     } else if (this.game.isGameOver) {
-        actionString = "restart";
+        actionString = result.action || "restart";
     } else if (!this.game.isPaused) {
         actionString = "pause";
     } else if (this.game.isPaused) {
         actionString = "resume";
     }
     this.game.ctx.font = "12px Verdana";
-    this.game.ctx.fillText("Press SPACE", this.game.canvas.width - 100, 320);
-    this.game.ctx.fillText("to " + actionString, this.game.canvas.width - 100, 334);
+    var pauseKey = this.game.getKeyLabel("pause");
+    if (pauseKey) {
+        this.game.ctx.fillText("Press " + pauseKey, this.game.canvas.width - 100, top + 40);
+        this.game.ctx.fillText("to " + actionString, this.game.canvas.width - 100, top + 54);
+    }
 
     if (this.game.isGameOver) {
         this.game.ctx.fillStyle = "rgba(255,255,255,0.8)";
         this.game.ctx.fillRect(0, 0, this.game.canvas.width, this.game.canvas.height);
         this.game.ctx.font = "36px Verdana";
         this.game.ctx.fillStyle = "black";
-        this.game.ctx.fillText("Game Over", (this.game.canvas.width / 2) - 110, (this.game.canvas.height / 2));
-        this.game.ctx.font = "12px Verdana";
-        this.game.ctx.fillText("Press SPACE to restart", (this.game.canvas.width / 2) - 70, (this.game.canvas.height / 2) + 80);
+        this.game.ctx.textAlign = "center";
+        this.game.ctx.fillText(result.title, this.game.canvas.width / 2, 50);
+        if (result.headline) {
+            this.game.ctx.font = "bold 16px Verdana";
+            this.game.ctx.fillText(result.headline, this.game.canvas.width / 2, 78);
+        }
+        this.game.ctx.textAlign = "left";
+        this.drawSummary(100);
+        if (this.game.nameEntry) {
+            // a new high score - ask for a name
+            this.game.ctx.font = "14px Verdana";
+            this.game.ctx.fillText("New high score!", (this.game.canvas.width / 2) - 60, this.game.canvas.height - 80);
+            this.game.ctx.fillText("Name: " + this.game.nameEntry.name + "_", (this.game.canvas.width / 2) - 80, this.game.canvas.height - 60);
+            this.game.ctx.font = "12px Verdana";
+            this.game.ctx.fillText("Press ENTER to save", (this.game.canvas.width / 2) - 65, this.game.canvas.height - 25);
+        } else {
+            this.game.ctx.font = "12px Verdana";
+            this.game.ctx.textAlign = "center";
+            this.game.ctx.fillText("Press " + pauseKey + " to " + (result.action || "restart"), this.game.canvas.width / 2, this.game.canvas.height - 25);
+            this.game.ctx.textAlign = "left";
+        }
     } else if (this.game.isPaused) {
         this.game.ctx.fillStyle = "rgba(255,255,255,0.8)";
         this.game.ctx.fillRect(0, 0, this.game.canvas.width, this.game.canvas.height);
@@ -1061,35 +1384,941 @@ GameStats.prototype.draw = function () {
         this.game.ctx.fillStyle = "black";
         this.game.ctx.fillText("PAUSED", (this.game.canvas.width / 2) - 80, (this.game.canvas.height / 2));
         this.game.ctx.font = "12px Verdana";
-        this.game.ctx.fillText("Press SPACE to resume", (this.game.canvas.width / 2) - 80, (this.game.canvas.height / 2) + 80);
+        this.game.ctx.fillText("Press " + pauseKey + " to resume", (this.game.canvas.width / 2) - 80, (this.game.canvas.height / 2) + 80);
+    }
+};
+
+/**
+ * draws the statistics of the game just finished - a label and its value on each line
+ * @param {int} top where the first line goes (in px)
+ * @returns {void}
+ */
+GameStats.prototype.drawSummary = function (top) {
+    var ctx = this.game.ctx;
+    var left = (this.game.canvas.width / 2) - 100;
+    var right = (this.game.canvas.width / 2) + 100;
+    var shapes = [];
+    for (var shape in this.piecesByShape) {
+        if (this.piecesByShape.hasOwnProperty(shape)) {
+            shapes.push((this.game.shapes[shape] ? this.game.shapes[shape].name : shape) + " " + this.piecesByShape[shape]);
+        }
+    }
+    var rows = [
+        ["Score", this.score],
+        ["Level", this.game.difficulty + 1],
+        ["Lines", this.lines],
+        ["Singles", this.singles],
+        ["Doubles", this.doubles],
+        ["Triples", this.triples],
+        ["Tetrises", this.tetrises],
+        ["Pieces", this.pieces]
+    ];
+    // the pieces by shape, seven to a line
+    for (var k = 0; k < shapes.length; k += 7) {
+        rows.push([shapes.slice(k, k + 7).join("  "), ""]);
+    }
+    rows.push(
+        ["Pieces per second", this.getPiecesPerSecond().toFixed(2)],
+        ["Keys per piece", this.getKeysPerPiece().toFixed(2)],
+        ["Time", formatTime(this.time)],
+        ["Highest stack", this.maxHeight]
+    );
+    if (this.garbageLines > 0) {
+        rows.splice(7, 0, ["Garbage lines", this.garbageLines]);
+    }
+    if (this.finessePieces > 0) {
+        rows.push(["Finesse faults", this.finesseFaults + " of " + this.finessePieces + " (" + Math.round(this.getFaultRate() * 100) + "%)"]);
+    }
+    ctx.save();
+    ctx.font = "12px Verdana";
+    ctx.fillStyle = "black";
+    for (var i = 0; i < rows.length; i++) {
+        var y = top + (i * 15);
+        ctx.textAlign = "left";
+        ctx.fillText(rows[i][0], left, y);
+        ctx.textAlign = "right";
+        ctx.fillText(rows[i][1], right, y);
+    }
+    ctx.restore();
+};
+
+
+/**
+ * the lines shown in the sidebar during a game - [label, value] pairs
+ * @returns {array}
+ */
+MarathonMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    var goal = this.game.leveling.getGoal() || {label: "Next", value: "-"};
+    return [
+        ["Level", this.game.difficulty + 1],
+        ["Score", stats.score],
+        [goal.label, goal.value],
+        ["Lines", stats.lines],
+        ["Time", formatTime(stats.time)],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+/**
+ * the title and headline of the result screen
+ * @param {string} reason why the game ended (see GameEngine.endGame)
+ * @returns {object} {title, headline, action} - headline may be null, and action (what the start button does next)
+ *      defaults to "restart"
+ */
+MarathonMode.prototype.describeResult = function () {
+    return {title: "Game Over", headline: null};
+};
+
+SprintMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    return [
+        ["Left", this.getLinesLeft()],
+        ["Time", formatTime(stats.time, true)],
+        ["Score", stats.score],
+        ["Level", this.game.difficulty + 1],
+        ["Pieces", stats.pieces],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+SprintMode.prototype.describeResult = function (reason) {
+    if (reason === "complete") {
+        return {title: "Finished!", headline: formatTime(this.game.gameStats.time, true)};
+    }
+    return {title: "Game Over", headline: this.getLinesLeft() + " lines to go"};
+};
+
+UltraMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    return [
+        ["Left", formatTime(this.getTimeLeft())],
+        ["Score", stats.score],
+        ["Level", this.game.difficulty + 1],
+        ["Lines", stats.lines],
+        ["Pieces", stats.pieces],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+UltraMode.prototype.describeResult = function (reason) {
+    return {title: reason === "timeup" ? "Time's Up!" : "Game Over", headline: "Score " + this.game.gameStats.score};
+};
+
+DigMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    return [
+        this.lines > 0 ? ["Left", this.getLinesLeft()] : ["Garbage", stats.garbageLines],
+        ["Time", formatTime(stats.time, this.lines > 0)],
+        ["Score", stats.score],
+        ["Level", this.game.difficulty + 1],
+        ["Pieces", stats.pieces],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+DigMode.prototype.describeResult = function (reason) {
+    if (reason === "complete") {
+        return {title: "Dug Out!", headline: formatTime(this.game.gameStats.time, true)};
+    }
+    if (this.lines > 0) {
+        return {title: "Game Over", headline: this.getLinesLeft() + " garbage lines to go"};
+    }
+    return {title: "Game Over", headline: this.game.gameStats.garbageLines + " garbage lines in " + formatTime(this.game.gameStats.time)};
+};
+
+
+DrillMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    return [
+        ["Left", this.pieces - this.count],
+        ["On target", this.hits],
+        ["Time", formatTime(stats.time)],
+        ["KPP", stats.getKeysPerPiece().toFixed(2)],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+DrillMode.prototype.describeResult = function () {
+    return {title: "Drill Done", headline: this.hits + " of " + this.pieces + " on target"};
+};
+
+PuzzleMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    return [
+        [this.describeGoal(), ""],
+        ["Pieces", this.getPiecesLeft()],
+        ["Lines", stats.lines],
+        ["Score", stats.score],
+        ["Time", formatTime(stats.time)],
+        ["KPP", stats.getKeysPerPiece().toFixed(2)]
+    ];
+};
+
+PuzzleMode.prototype.describeResult = function (reason) {
+    if (reason === "complete") {
+        return {title: "Solved!", headline: this.describeGoal() + " in " + this.game.gameStats.pieces + " pieces"};
+    }
+    return {title: "Not Quite", headline: reason === "outofpieces" ? "Out of pieces" : "Topped out", action: "try again"};
+};
+
+// the match a versus game is part of tells how it stands (see VersusMatch.getHud and NetworkMatch.getHud)
+VersusMode.prototype.getHud = function () {
+    var stats = this.game.gameStats;
+    if (this.game.match) {
+        return this.game.match.getHud(this.game);
+    }
+    return [
+        ["Incoming", this.getPendingRows()],
+        ["Sent", this.sent],
+        ["Score", stats.score],
+        ["Lines", stats.lines],
+        ["Pieces", stats.pieces],
+        ["PPS", stats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+VersusMode.prototype.describeResult = function (reason) {
+    if (this.game.match) {
+        return this.game.match.describeResult(this.game, reason);
+    }
+    return {title: reason === "win" ? "You Win!" : "Game Over", headline: null};
+};
+
+/**
+ * the sidebar lines of one of the players
+ * @param {Game} game
+ * @returns {array} [label, value] pairs
+ */
+VersusMatch.prototype.getHud = function (game) {
+    var index = this.players.indexOf(game);
+    return [
+        ["Round", this.round + " / " + this.rounds],
+        ["Wins", this.wins[index] + " - " + this.wins[1 - index]],
+        ["Incoming", game.mode.getPendingRows()],
+        ["Sent", game.mode.sent],
+        ["Lines", game.gameStats.lines],
+        ["PPS", game.gameStats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
+
+/**
+ * the result screen of one of the players
+ * @param {Game} game
+ * @param {string} reason why their game ended - "win" for the winner of the round
+ * @returns {object} {title, headline, action}
+ */
+VersusMatch.prototype.describeResult = function (game, reason) {
+    var won = reason === "win";
+    var index = this.players.indexOf(game);
+    var score = this.wins[index] + " - " + this.wins[1 - index];
+    if (this.isOver()) {
+        return {title: won ? "Match Won!" : "Match Lost", headline: score, action: "rematch"};
+    }
+    return {title: won ? "Round Won" : "Round Lost", headline: score, action: "start round " + (this.round + 1)};
+};
+
+/**
+ * redraws every board - the match starts and pauses them all at once
+ * @returns {void}
+ */
+VersusMatch.prototype.draw = function () {
+    for (var i = 0; i < this.players.length; i++) {
+        this.players[i].draw();
     }
 };
 
+NetworkMatch.prototype.getHud = function (game) {
+    var standing = 1;
+    var opponents = this.getOpponents();
+    for (var i = 0; i < opponents.length; i++) {
+        if (opponents[i].isAlive) {
+            standing++;
+        }
+    }
+    return [
+        ["Players", this.isRacing ? standing + " / " + (opponents.length + 1) : opponents.length + 1],
+        ["Incoming", game.mode.getPendingRows()],
+        ["Sent", game.mode.sent],
+        ["Score", game.gameStats.score],
+        ["Lines", game.gameStats.lines],
+        ["PPS", game.gameStats.getPiecesPerSecond().toFixed(2)]
+    ];
+};
 
-function GameMusic(game) {
+NetworkMatch.prototype.describeResult = function (game, reason) {
+    var headline = this.place > 0 ? formatPlace(this.place) + " of " + (this.getOpponents().length + 1) : null;
+    return {title: reason === "win" ? "You Win!" : "Game Over", headline: headline, action: "race again"};
+};
+
+/**
+ * the best results played on this browser, kept in localStorage - a table of the top few per game mode,
+ * ranked the way the mode says (see MarathonMode.compareEntries)
+ * @param {string} storageKey the localStorage key the table is saved under (default "webtris.scores")
+ * @param {int} size how many scores each table keeps (default 10)
+ * @returns {HighScoreTable}
+ */
+function HighScoreTable(storageKey, size) {
+    this.storageKey = storageKey || "webtris.scores";
+    this.size = size || 10;
+
+    var saved = this.load() || {};
+
+    // the lists of entries {name, score, level, lines, duration, date}, best first, keyed by game mode
+    this.tables = saved.tables || {};
+
+    // the name last entered, to offer again
+    this.lastName = saved.lastName || "";
+}
+
+/**
+ * the entries for a game mode, best first
+ * @param {object} mode the game mode (see GameEngine.gameModes)
+ * @returns {array}
+ */
+HighScoreTable.prototype.getScores = function (mode) {
+    return this.tables[mode.name] || [];
+};
+
+/**
+ * determines if a finished game would make it into the table
+ * @param {object} mode the game mode
+ * @param {object} entry {score, level, lines, duration}
+ * @returns {boolean}
+ */
+HighScoreTable.prototype.qualifies = function (mode, entry) {
+    var scores = this.getScores(mode);
+    return mode.isRanked(entry) && (scores.length < this.size || mode.compareEntries(entry, scores[scores.length - 1]) < 0);
+};
+
+/**
+ * adds an entry to the table for a game mode, if it is good enough, and saves the table
+ * @param {object} mode the game mode
+ * @param {object} entry {name, score, level, lines, duration, date}
+ * @returns {int} its place in the table (from 0), or -1 if it didn't make it
+ */
+HighScoreTable.prototype.add = function (mode, entry) {
+    if (!this.qualifies(mode, entry)) {
+        return -1;
+    }
+    var scores = this.getScores(mode).slice();
+    var rank = 0;
+    // ties go to whoever got there first
+    while (rank < scores.length && mode.compareEntries(scores[rank], entry) <= 0) {
+        rank++;
+    }
+    scores.splice(rank, 0, entry);
+    this.tables[mode.name] = scores.slice(0, this.size);
+    this.save();
+    return rank;
+};
+
+/**
+ * saves the tables to localStorage
+ * @returns {void}
+ */
+HighScoreTable.prototype.save = function () {
+    try {
+        localStorage.setItem(this.storageKey, JSON.stringify({tables: this.tables, lastName: this.lastName}));
+    } catch (e) {
+        // storage may be full or disabled - the scores just won't persist
+    }
+};
+
+/**
+ * loads the tables (and the last name) from localStorage
+ * @returns {object} null if there are none
+ */
+HighScoreTable.prototype.load = function () {
+    try {
+        var saved = localStorage.getItem(this.storageKey);
+        return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * writes out the actions that move a piece into place (see GameEngine.findPlacements) as arrows -
+ * a direction held to slide the piece all the way is a double arrow
+ * @param {array} actions
+ * @returns {string} e.g. "\u21BB \u21C7", or a down arrow when the piece goes straight down
+ */
+function formatActions(actions) {
+    var symbols = {left: "\u2190", right: "\u2192", rotate: "\u21BB", rotateleft: "\u21BA", rotate180: "180"};
+    var held = {left: "\u21C7", right: "\u21C9"};
+    var words = [];
+    for (var i = 0; i < actions.length; i++) {
+        if (actions[i].charAt(0) === "+") {
+            words[words.length - 1] = held[actions[i].substring(1)];
+        } else {
+            words.push(symbols[actions[i]]);
+        }
+    }
+    return words.length > 0 ? words.join(" ") : "\u2193";
+}
+
+/**
+ * formats a duration as minutes and seconds, e.g. "3:07", or "3:07.25" with hundredths
+ * @param {int} ms
+ * @param {boolean} showHundredths
+ * @returns {string}
+ */
+function formatTime(ms, showHundredths) {
+    var seconds = Math.floor(ms / 1000);
+    var remainder = seconds % 60;
+    var text = Math.floor(seconds / 60) + ":" + (remainder < 10 ? "0" : "") + remainder;
+    if (showHundredths) {
+        var hundredths = Math.floor((ms % 1000) / 10);
+        text += "." + (hundredths < 10 ? "0" : "") + hundredths;
+    }
+    return text;
+}
+
+/**
+ * formats a place in a race, e.g. "1st" or "3rd"
+ * @param {int} place
+ * @returns {string}
+ */
+function formatPlace(place) {
+    var suffixes = ["th", "st", "nd", "rd"];
+    var tens = place % 100;
+    return place + (tens >= 11 && tens <= 13 ? "th" : suffixes[place % 10] || "th");
+}
+
+
+/**
+ * plays a Game online - connects to a relay server (see tetris-server.js) over a WebSocket to race everyone in a room
+ * (see NetworkMatch), and draws their boards small on a canvas of its own
+ * @param {Game} game the local player, already initialized
+ * @param {string} url the server, e.g. "ws://localhost:8080"
+ * @param {object} options name, room: see NetworkMatch, plus
+ *      opponentsCanvasId: the HTML element ID of the <canvas> to draw the opponents on
+ *      blockSize: the size of the opponents' blocks (default 8 px)
+ * @returns {NetworkClient}
+ */
+function NetworkClient(game, url, options) {
+    options = options || {};
     this.game = game;
+    this.url = url;
+    this.options = options;
+    this.canvas = options.opponentsCanvasId ? document.getElementById(options.opponentsCanvasId) : null;
+    this.ctx = this.canvas ? this.canvas.getContext("2d") : null;
+    this.blockSize = options.blockSize || 8;
+
+    this.socket = null;
+    this.match = null;
+    this.status = "";
+
+    // the clock that runs the countdown and redraws the opponents
+    this.ticker = null;
+    this.frameInterval = 100;
+    this.lastFrameTime = 0;
+}
+
+/**
+ * connects and joins the room
+ * @returns {void}
+ */
+NetworkClient.prototype.connect = function () {
+    var self = this;
+    this.disconnect();
+    this.status = "Connecting...";
+    this.match = new NetworkMatch(this.game, function (message) {
+        self.send(message);
+    }, this.options);
+
+    this.socket = new WebSocket(this.url);
+    this.socket.onopen = function () {
+        self.status = "Connected";
+        self.match.attach();
+        self.draw();
+    };
+    this.socket.onmessage = function (e) {
+        var message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            return;
+        }
+        self.match.receive(message);
+        self.draw();
+    };
+    this.socket.onclose = function () {
+        self.status = "Disconnected";
+        self.stop();
+        self.draw();
+    };
+
+    this.lastFrameTime = Date.now();
+    this.ticker = setInterval(function () {
+        self.tick();
+    }, this.frameInterval);
+    this.draw();
+};
+
+/**
+ * leaves the room and closes the connection
+ * @returns {void}
+ */
+NetworkClient.prototype.disconnect = function () {
+    if (this.socket) {
+        this.socket.onclose = null;
+        this.socket.close();
+        this.socket = null;
+    }
+    this.stop();
+};
+
+/**
+ * stops the clock and lets the game go back to playing alone
+ * @returns {void}
+ */
+NetworkClient.prototype.stop = function () {
+    clearInterval(this.ticker);
+    this.ticker = null;
+    if (this.match) {
+        this.match.detach();
+    }
+};
+
+/**
+ * sends a message to the server, if it is there to hear it
+ * @param {object} message
+ * @returns {void}
+ */
+NetworkClient.prototype.send = function (message) {
+    if (this.socket && this.socket.readyState === 1) {
+        this.socket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * runs the countdown and keeps the opponents up to date
+ * @returns {void}
+ */
+NetworkClient.prototype.tick = function () {
+    var now = Date.now();
+    var counting = this.match.countdown > 0;
+    this.match.update(now - this.lastFrameTime);
+    this.lastFrameTime = now;
+    if (counting) {
+        this.draw();
+    } else {
+        this.drawOpponents();
+    }
+};
+
+/**
+ * redraws the game, with the countdown over it, and the opponents
+ * @returns {void}
+ */
+NetworkClient.prototype.draw = function () {
+    this.game.draw();
+    if (this.match && this.match.countdown > 0) {
+        var ctx = this.game.ctx;
+        ctx.save();
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.fillRect(0, 0, this.game.gameBoard.width * this.game.blockSize, this.game.canvas.height);
+        ctx.fillStyle = "black";
+        ctx.textAlign = "center";
+        ctx.font = "bold 72px Verdana";
+        ctx.fillText(Math.ceil(this.match.countdown / 1000), (this.game.gameBoard.width * this.game.blockSize) / 2, this.game.canvas.height / 2);
+        ctx.restore();
+    }
+    this.drawOpponents();
+};
+
+/**
+ * draws every opponent's board, small, with their name and score - and how the connection stands below
+ * @returns {void}
+ */
+NetworkClient.prototype.drawOpponents = function () {
+    if (!this.ctx) {
+        return;
+    }
+    var ctx = this.ctx;
+    var blockSize = this.blockSize;
+    var boardWidth = this.game.boardWidth * blockSize;
+    var boardHeight = this.game.boardHeight * blockSize;
+    var columns = Math.max(Math.floor(this.canvas.width / (boardWidth + 10)), 1);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    var opponents = this.match ? this.match.getOpponents() : [];
+    for (var i = 0; i < opponents.length; i++) {
+        var opponent = opponents[i];
+        var x = (i % columns) * (boardWidth + 10);
+        var y = Math.floor(i / columns) * (boardHeight + 36) + 14;
+
+        ctx.fillStyle = "black";
+        ctx.font = "11px Verdana";
+        ctx.textAlign = "left";
+        ctx.fillText(opponent.name, x, y - 3);
+        ctx.fillText(opponent.score, x, y + boardHeight + 13);
+        ctx.strokeStyle = "#666";
+        ctx.strokeRect(x, y, boardWidth, boardHeight);
+        opponent.board.draw(ctx, {x: x, y: y, blockSize: blockSize});
+        if (opponent.pending > 0) {
+            var pending = Math.min(opponent.pending, this.game.boardHeight) * blockSize;
+            ctx.fillStyle = "rgba(255,0,0,0.7)";
+            ctx.fillRect(x + boardWidth - 3, y + boardHeight - pending, 3, pending);
+        }
+        if (opponent.place > 0) {
+            ctx.fillStyle = "rgba(255,255,255,0.7)";
+            ctx.fillRect(x, y, boardWidth, boardHeight);
+            ctx.fillStyle = "black";
+            ctx.textAlign = "center";
+            ctx.font = "bold 16px Verdana";
+            ctx.fillText(formatPlace(opponent.place), x + (boardWidth / 2), y + (boardHeight / 2));
+        }
+    }
+
+    var status = this.status;
+    if (this.match && this.match.error) {
+        status = this.match.error;
+    } else if (this.match && this.match.id !== null && opponents.length === 0) {
+        status = "Waiting for players";
+    }
+    ctx.fillStyle = "black";
+    ctx.textAlign = "left";
+    ctx.font = "12px Verdana";
+    ctx.fillText(status, 0, this.canvas.height - 6);
+};
+
+
+/**
+ * edits puzzles (see GameEngine.parsePuzzle) on a Game's own board - blocks are painted on with the mouse
+ * (a click on a block of the color being painted, or the right button, erases), and the start button tries the puzzle out.
+ * The page sets the title, piece set, pieces and goal, and saves getPuzzle()
+ * @param {Game} game the Game to edit on, already initialized
+ * @returns {PuzzleEditor}
+ */
+function PuzzleEditor(game) {
+    this.game = game;
+    this.title = "Puzzle";
+    this.pieceSet = "tetrominoes";
+    this.pieces = [];
+    this.goal = {type: "lines", lines: 1};
+
+    // the board being painted, top row first as in GameBoard.getRows(), and the color painted with (see Game.colors)
+    this.rows = [];
+    this.color = GameBlock.GARBAGE;
+
+    // whether the board is being edited rather than played, and why the puzzle couldn't be tried out
+    this.isEditing = false;
+    this.error = null;
+
+    // the stroke in progress, "paint" or "erase" until the button is let go - null between strokes
+    this.stroke = null;
+    this.listeners = null;
+    this.mouseUpListener = null;
+}
+
+/**
+ * starts listening to the mouse over the board, and starts editing on an empty board
+ * @returns {void}
+ */
+PuzzleEditor.prototype.attach = function () {
+    var self = this;
+    this.listeners = {
+        mousedown: function (e) {
+            self.onMouseDown(e);
+        },
+        mousemove: function (e) {
+            self.onMouseMove(e);
+        },
+        contextmenu: function (e) {
+            e.preventDefault();
+        }
+    };
+    for (var type in this.listeners) {
+        if (this.listeners.hasOwnProperty(type)) {
+            this.game.canvas.addEventListener(type, this.listeners[type]);
+        }
+    }
+    // the stroke ends wherever the button is let go
+    this.mouseUpListener = function () {
+        self.stroke = null;
+    };
+    window.addEventListener("mouseup", this.mouseUpListener);
+
+    this.game.editor = this;
+    this.clear();
+    this.edit();
+};
+
+/**
+ * stops listening to the mouse - the game plays on as it was
+ * @returns {void}
+ */
+PuzzleEditor.prototype.detach = function () {
+    if (!this.listeners) {
+        return;
+    }
+    for (var type in this.listeners) {
+        if (this.listeners.hasOwnProperty(type)) {
+            this.game.canvas.removeEventListener(type, this.listeners[type]);
+        }
+    }
+    window.removeEventListener("mouseup", this.mouseUpListener);
+    this.listeners = null;
+    this.mouseUpListener = null;
+    this.stroke = null;
+    this.isEditing = false;
+    this.game.editor = null;
+};
+
+/**
+ * (back) to editing - abandons the puzzle being tried out, and shows the board being painted
+ * the pieces and goal are shown in the sidebar as they stand, so call it again after changing them
+ * @returns {void}
+ */
+PuzzleEditor.prototype.edit = function () {
+    this.isEditing = true;
+    this.stroke = null;
+    // as GameEngine.loadPuzzle() would, but the puzzle doesn't have to be finished yet
+    this.game.applySettings({
+        pieceSet: this.pieceSet,
+        randomizer: this.pieces,
+        scoring: "guideline",
+        leveling: "fixed",
+        mode: "puzzle",
+        modeOptions: {title: this.title, board: [], goal: this.goal}
+    });
+    this.game.stop();
+    this.game.setBoard(this.rows);
+    this.game.draw();
+};
+
+/**
+ * plays the puzzle as it stands - unless it isn't a valid puzzle yet, which is shown on the board instead
+ * @returns {boolean} whether the puzzle started
+ */
+PuzzleEditor.prototype.test = function () {
+    try {
+        this.game.loadPuzzle(this.getPuzzle());
+    } catch (e) {
+        this.error = e.message;
+        this.game.draw();
+        return false;
+    }
+    this.isEditing = false;
+    this.error = null;
+    this.stroke = null;
+    this.game.start();
+    return true;
+};
+
+/**
+ * empties the board being painted
+ * @returns {void}
+ */
+PuzzleEditor.prototype.clear = function () {
+    this.setRows([]);
+    if (this.isEditing) {
+        this.game.setBoard(this.rows);
+        this.game.draw();
+    }
+};
+
+/**
+ * the puzzle as it stands, ready to save as JSON - the empty rows at the top of the board are left out
+ * @returns {object} see GameEngine.parsePuzzle
+ */
+PuzzleEditor.prototype.getPuzzle = function () {
+    var board = this.rows.slice();
+    while (board.length > 0 && /^\.*$/.test(board[0])) {
+        board.shift();
+    }
+    return {
+        version: 1,
+        title: this.title,
+        width: this.game.boardWidth,
+        height: this.game.boardHeight,
+        board: board,
+        pieceSet: this.pieceSet,
+        pieces: this.pieces.join(""),
+        goal: this.goal
+    };
+};
+
+/**
+ * opens a puzzle to edit - it has to be made for a board the size of the game's
+ * @param {object|string} puzzle the puzzle, or its JSON
+ * @returns {void}
+ */
+PuzzleEditor.prototype.setPuzzle = function (puzzle) {
+    puzzle = this.game.parsePuzzle(puzzle);
+    if (puzzle.width !== this.game.boardWidth || puzzle.height !== this.game.boardHeight) {
+        throw new Error("Invalid puzzle: made for a " + puzzle.width + "x" + puzzle.height + " board");
+    }
+    this.title = puzzle.title;
+    this.pieceSet = puzzle.pieceSet;
+    this.pieces = puzzle.pieces;
+    this.goal = puzzle.goal;
+    this.setRows(puzzle.board);
+    this.error = null;
+    this.edit();
+};
+
+/**
+ * replaces the board being painted
+ * @param {array} board rows as in a puzzle - the last row is the bottom of the board, and rows left out at the top are empty
+ * @returns {void}
+ */
+PuzzleEditor.prototype.setRows = function (board) {
+    var empty = new Array(this.game.boardWidth + 1).join(".");
+    this.rows = [];
+    for (var y = board.length; y < this.game.boardHeight + this.game.hiddenRows; y++) {
+        this.rows.push(empty);
+    }
+    this.rows = this.rows.concat(board);
+};
+
+/**
+ * the cell of the board under the mouse
+ * @param {MouseEvent} e
+ * @returns {object} {x, y} (in blocks) - null off the board
+ */
+PuzzleEditor.prototype.getCell = function (e) {
+    var rect = this.game.canvas.getBoundingClientRect();
+    var x = Math.floor((e.clientX - rect.left) / this.game.blockSize);
+    var y = Math.floor((e.clientY - rect.top) / this.game.blockSize) + this.game.hiddenRows;
+    return this.game.gameBoard.isOnBoard(x, y) && y >= this.game.hiddenRows ? {x: x, y: y} : null;
+};
+
+PuzzleEditor.prototype.onMouseDown = function (e) {
+    var cell = this.isEditing ? this.getCell(e) : null;
+    if (!cell) {
+        return;
+    }
+    e.preventDefault();
+    var block = this.rows[cell.y].charAt(cell.x);
+    this.stroke = e.button === 2 || block === this.color.toString(36) ? "erase" : "paint";
+    this.paint(cell);
+};
+
+PuzzleEditor.prototype.onMouseMove = function (e) {
+    var cell = this.stroke && this.isEditing ? this.getCell(e) : null;
+    if (cell) {
+        this.paint(cell);
+    }
+};
+
+/**
+ * paints (or erases) a cell with the stroke in progress
+ * @param {object} cell {x, y} (in blocks)
+ * @returns {void}
+ */
+PuzzleEditor.prototype.paint = function (cell) {
+    var block = this.stroke === "erase" ? "." : this.color.toString(36);
+    var row = this.rows[cell.y];
+    if (row.charAt(cell.x) === block) {
+        return;
+    }
+    this.rows[cell.y] = row.substr(0, cell.x) + block + row.substr(cell.x + 1);
+    this.game.setBoard(this.rows);
+    this.game.draw();
+};
+
+/**
+ * draws the grid to paint on, and what the start button does (or why it can't)
+ * @returns {void}
+ */
+PuzzleEditor.prototype.draw = function () {
+    var ctx = this.game.ctx;
+    var size = this.game.blockSize;
+    var width = this.game.boardWidth * size;
+    var height = this.game.boardHeight * size;
+    ctx.save();
+    ctx.strokeStyle = "rgba(0,0,0,0.1)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (var x = 1; x < this.game.boardWidth; x++) {
+        ctx.moveTo((x * size) + 0.5, 0);
+        ctx.lineTo((x * size) + 0.5, height);
+    }
+    for (var y = 1; y < this.game.boardHeight; y++) {
+        ctx.moveTo(0, (y * size) + 0.5);
+        ctx.lineTo(width, (y * size) + 0.5);
+    }
+    ctx.stroke();
+
+    ctx.textAlign = "center";
+    ctx.font = "12px Verdana";
+    if (this.error) {
+        // "Invalid puzzle: ..." on two lines
+        var lines = this.error.split(": ");
+        ctx.fillStyle = "red";
+        ctx.fillText(lines[0], width / 2, 20);
+        ctx.fillText(lines.slice(1).join(": "), width / 2, 36);
+    }
+    var pauseKey = this.game.getKeyLabel("pause");
+    if (pauseKey) {
+        ctx.fillStyle = "black";
+        ctx.fillText("Press " + pauseKey + " to try it", width / 2, height - 10);
+    }
+    ctx.restore();
+};
+
+
+/**
+ * plays the game's music on its own <audio> element
+ * @param {Game} game the Game
+ * @param {boolean} enabled when false, nothing is created or played
+ * @returns {GameMusic}
+ */
+function GameMusic(game, enabled) {
+    this.game = game;
+    this.enabled = enabled !== false;
     this.player = null;
     this.isPlaying = false;
 }
 
 GameMusic.prototype.start = function () {
+    if (!this.player) {
+        return;
+    }
     this.player.play();
     this.isPlaying = true;
 };
 
 GameMusic.prototype.pause = function () {
+    if (!this.player) {
+        return;
+    }
     this.player.pause();
+    this.isPlaying = false;
 };
 GameMusic.prototype.selectTrack = function (track, loop) {
+    if (!this.player) {
+        return;
+    }
     this.player.src = track;
     this.player.loop = loop;
     this.player.load();
 };
 
 GameMusic.prototype.init = function (track) {
-    audio = document.createElement("audio");
+    if (!this.enabled) {
+        return;
+    }
+    var audio = document.createElement("audio");
     audio.src = track;
     audio.loop = true;
     this.game.canvas.appendChild(audio);
     this.player = audio;
 };
+
+/**
+ * stops the music and removes the <audio> element
+ * @returns {void}
+ */
+GameMusic.prototype.destroy = function () {
+    if (!this.player) {
+        return;
+    }
+    this.pause();
+    this.game.canvas.removeChild(this.player);
+    this.player = null;
+};